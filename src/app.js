@@ -1,8 +1,14 @@
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const connectDB = require('./utils/dbConnect');
+const { verifySignedUrl } = require('./middleware/signedUrl');
+const { serveUploads } = require('./utils/mediaStream');
+const { scheduleJob } = require('./utils/scheduler');
+const { updateListenerStats } = require('./utils/listenerStats');
+const { processDropFolder } = require('./utils/ernIngest');
+const { reapOrphanedFiles } = require('./utils/fileReaper');
+const { publishScheduledReleases } = require('./utils/releaseSchedule');
 
 // Initialize express app
 const app = express();
@@ -12,8 +18,11 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from the uploads directory
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Serve uploads from the configured storage
+// Cover art and avatars are public; audio and exclusive media require a signed URL
+app.use('/uploads/covers', serveUploads('covers'));
+app.use('/uploads/avatars', serveUploads('avatars'));
+app.use('/uploads', verifySignedUrl(req => `uploads:${req.path}`), serveUploads());
 
 // Connect to MongoDB
 connectDB();
@@ -29,12 +38,33 @@ app.use('/api/playlist-folders', require('./routes/playlist-folders'));
 app.use('/api/exclusive-content', require('./routes/exclusive-content'));
 app.use('/api/search', require('./routes/search'));
 app.use('/api/follows', require('./routes/follows'));
+app.use('/api/downloads', require('./routes/downloads'));
+app.use('/api/releases', require('./routes/releases'));
+app.use('/api/distributors', require('./routes/distributors'));
+app.use('/api/notifications', require('./routes/notifications'));
 
 // New routes for artist subscriptions
 app.use('/api/subscription-tiers', require('./routes/subscription-tiers'));
 app.use('/api/subscriptions', require('./routes/subscriptions'));
 app.use('/api/artist-events', require('./routes/artist-events'));
 
+// Scheduled jobs
+const LISTENER_STATS_INTERVAL = parseInt(process.env.LISTENER_STATS_INTERVAL_MS) || 60 * 60 * 1000;
+scheduleJob('listener-stats', LISTENER_STATS_INTERVAL, updateListenerStats);
+
+const ORPHAN_REAPER_INTERVAL = parseInt(process.env.ORPHAN_REAPER_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+scheduleJob('orphan-file-reaper', ORPHAN_REAPER_INTERVAL, reapOrphanedFiles);
+
+// Embargoed releases go live within a minute of their release date
+const RELEASE_SCHEDULER_INTERVAL = parseInt(process.env.RELEASE_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+scheduleJob('release-scheduler', RELEASE_SCHEDULER_INTERVAL, publishScheduledReleases);
+
+// DDEX drop folder polling is only enabled when a folder is configured
+if (process.env.DDEX_DROP_DIR) {
+  const DDEX_POLL_INTERVAL = parseInt(process.env.DDEX_POLL_INTERVAL_MS) || 5 * 60 * 1000;
+  scheduleJob('ddex-drop-folder', DDEX_POLL_INTERVAL, processDropFolder);
+}
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
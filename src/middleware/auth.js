@@ -11,6 +11,12 @@ const auth = (req, res, next) => {
 
     // Verify token
     const verified = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Session tokens carry no audience - anything with one (e.g. offline licenses) isn't a login
+    if (verified.aud) {
+      return res.status(401).json({ message: 'Token verification failed, authorization denied' });
+    }
+
     req.user = verified;
     next();
   } catch (err) {
@@ -0,0 +1,34 @@
+const { auth } = require('./auth');
+const { verifySignature } = require('../utils/signedUrl');
+
+/**
+ * Require a valid signed URL for the scope derived from the request
+ * On success req.user is set to the user the URL was minted for
+ */
+const verifySignedUrl = (getScope) => (req, res, next) => {
+  const userId = verifySignature(getScope(req), req.query);
+
+  if (!userId) {
+    return res.status(401).json({ message: 'Invalid or expired media URL' });
+  }
+
+  req.user = { id: userId };
+  req.signedUrl = true;
+  next();
+};
+
+/**
+ * Accept either a signed URL or a regular Authorization header
+ */
+const authOrSignedUrl = (getScope) => {
+  const verify = verifySignedUrl(getScope);
+
+  return (req, res, next) => {
+    if (req.query.sig) {
+      return verify(req, res, next);
+    }
+    auth(req, res, next);
+  };
+};
+
+module.exports = { verifySignedUrl, authOrSignedUrl };
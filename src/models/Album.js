@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { creditSchema } = require('./schemas/credit');
+const { availabilitySchema } = require('./schemas/availability');
+const { imageSchema } = require('./schemas/image');
+const { takedownSchema } = require('./schemas/takedown');
 
 const albumSchema = new mongoose.Schema({
   title: {
@@ -11,14 +15,28 @@ const albumSchema = new mongoose.Schema({
     ref: 'Artist',
     required: true
   },
+  // Release instant - future dates keep the album embargoed until then
   releaseDate: {
     type: Date,
     required: true
   },
+  // IANA time zone whose local midnight the release date was set to (e.g. Europe/London)
+  releaseTimeZone: String,
+  // False while embargoed; the release scheduler flips it once releaseDate passes
+  isReleased: {
+    type: Boolean,
+    default: true
+  },
+  // When followers were told about the release, so re-scheduling doesn't notify twice
+  releaseNotifiedAt: Date,
   coverArt: {
     type: String,
     required: true
   },
+  // Responsive derivatives, dominant color and placeholder of the cover art
+  images: {
+    coverArt: imageSchema
+  },
   type: {
     type: String,
     enum: ['album', 'single', 'ep'],
@@ -55,21 +73,52 @@ const albumSchema = new mongoose.Schema({
     copyright: String,
     language: String
   },
+  // Album loudness combined from its tracks
+  loudness: {
+    integrated: Number, // In LUFS (EBU R128)
+    truePeak: Number, // In dBTP
+    albumGain: Number, // ReplayGain-style gain in dB
+    albumPeak: Number, // Linear peak amplitude
+    analyzedAt: Date
+  },
+  // Where and when the release may be offered (e.g. from distributor deals)
+  availability: [availabilitySchema],
+  // Set while the release is taken down
+  takedown: takedownSchema,
+  // Album-level credits (e.g. executive producer, mastering engineer)
+  credits: [creditSchema],
   stats: {
     totalPlays: {
       type: Number,
       default: 0
     },
+    // Plays counted before the play ledger existed, kept when counters are rebuilt
+    totalPlaysBaseline: Number,
     monthlyPlays: {
       type: Number,
       default: 0
+    },
+    // Pre-saves taken before release day
+    preSaves: {
+      type: Number,
+      default: 0
     }
   }
 }, {
   timestamps: true
 });
 
+// Embargo follows the release date whenever it is set or changed
+albumSchema.pre('save', function(next) {
+  if (this.isModified('releaseDate')) {
+    this.isReleased = this.releaseDate <= new Date();
+  }
+  next();
+});
+
 // Index for search
 albumSchema.index({ title: 'text', genre: 'text' });
+albumSchema.index({ 'credits.artist': 1 });
+albumSchema.index({ isReleased: 1, releaseDate: 1 }); // For the release scheduler
 
 module.exports = mongoose.model('Album', albumSchema);
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { imageSchema } = require('./schemas/image');
 
 const VALID_ROLES = [
   'band-member',    // For actual band members
@@ -45,6 +46,20 @@ const artistSchema = new mongoose.Schema({
       type: String
     }
   }],
+  // Distributor accounts that deliver and manage this artist's catalog
+  distributors: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    },
+    addedBy: {
+      type: String
+    }
+  }],
   // Verification details
   isVerified: {
     type: Boolean,
@@ -55,10 +70,20 @@ const artistSchema = new mongoose.Schema({
     default: null
   },
   verificationDate: Date,
+  // Set when an artist applies for verification through the distributor portal
+  verificationStatus: {
+    type: String,
+    enum: ['none', 'pending', 'verified', 'rejected'],
+    default: 'none'
+  },
 
   // Cover art and profile images
   coverArt: String,
   profileImage: String,
+  images: {
+    coverArt: imageSchema,
+    profileImage: imageSchema
+  },
 
   // Statistics
   monthlyListeners: {
@@ -69,6 +94,8 @@ const artistSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Plays counted before the play ledger existed, kept when counters are rebuilt
+  totalPlaysBaseline: Number,
   followerCount: {
     type: Number,
     default: 0
@@ -141,4 +168,7 @@ artistSchema.virtual('exclusiveContent', {
   foreignField: 'artist'
 });
 
+// Artists managed by a distributor account
+artistSchema.index({ 'distributors.userId': 1 });
+
 module.exports = mongoose.model('Artist', artistSchema);
\ No newline at end of file
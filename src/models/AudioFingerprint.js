@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audio fingerprint model used to find duplicate uploads
+ * Kept separate from Track so listings don't carry the fingerprint frames
+ */
+const audioFingerprintSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+    unique: true
+  },
+  // Audio file the fingerprint was computed from, used to detect replaced audio
+  sourceFile: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the decoded audio - identical for re-tagged copies of the same file
+  contentHash: {
+    type: String,
+    index: true
+  },
+  duration: {
+    type: Number, // In seconds
+    index: true
+  },
+  // One 32-bit sub-fingerprint per frame
+  frames: [Number],
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('AudioFingerprint', audioFingerprintSchema);
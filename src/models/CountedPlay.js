@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Last counted play of a track by a user
+ * Claimed atomically so concurrent play reports can't both count
+ */
+const countedPlaySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  countedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+countedPlaySchema.index({ user: 1, track: 1 }, { unique: true });
+// The dedupe window is never longer than a track, so a day is plenty
+countedPlaySchema.index({ countedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('CountedPlay', countedPlaySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * DDEX delivery model - one record per ERN message received from a distributor
+ * Keeps the processing outcome and the acknowledgement sent back
+ */
+const ddexDeliverySchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    trim: true
+  },
+  fileName: {
+    type: String,
+    required: true
+  },
+  schemaVersion: String,
+  sender: {
+    partyId: String,
+    name: String
+  },
+  source: {
+    type: String,
+    enum: ['upload', 'drop-folder'],
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'succeeded', 'failed'],
+    default: 'processing'
+  },
+  // DDEX acknowledgement file status, e.g. FileOK or ResourceCorrupt
+  fileStatus: String,
+  // Validation and processing problems reported back to the sender
+  issues: [{
+    _id: false,
+    row: Number,
+    field: String,
+    message: String
+  }],
+  album: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Album'
+  },
+  tracks: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track'
+  }],
+  acknowledgement: String, // Acknowledgement message XML
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+ddexDeliverySchema.index({ messageId: 1, 'sender.partyId': 1 });
+ddexDeliverySchema.index({ uploadedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DdexDelivery', ddexDeliverySchema);
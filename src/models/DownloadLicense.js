@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Download license model - grants a device offline playback of a track
+ * Licenses are time-limited and must be renewed while the device is online
+ */
+const downloadLicenseSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // What the download was requested through
+  source: {
+    type: {
+      type: String,
+      enum: ['track', 'album', 'playlist'],
+      default: 'track'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  renewedAt: {
+    type: Date
+  },
+  renewalCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokeReason: {
+    type: String
+  }
+});
+
+// One license per track per device
+downloadLicenseSchema.index({ user: 1, deviceId: 1, track: 1 }, { unique: true });
+downloadLicenseSchema.index({ track: 1, status: 1 });
+
+// Method to check if license currently allows offline playback
+downloadLicenseSchema.methods.isValid = function() {
+  return this.status === 'active' && new Date() <= this.expiresAt;
+};
+
+module.exports = mongoose.model('DownloadLicense', downloadLicenseSchema);
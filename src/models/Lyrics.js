@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+/**
+ * Lyrics model - plain text or time-synced (LRC) lyrics for a track
+ * Times are stored in milliseconds from the start of the track
+ */
+const lyricsSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+    unique: true
+  },
+  language: {
+    type: String,
+    trim: true
+  },
+  // Full lyric text, always present - used for display fallback and search
+  plainText: {
+    type: String,
+    required: true
+  },
+  syncType: {
+    type: String,
+    enum: ['none', 'line', 'word'],
+    default: 'none'
+  },
+  lines: [{
+    _id: false,
+    time: Number,
+    text: String,
+    words: [{
+      _id: false,
+      time: Number,
+      text: String
+    }]
+  }],
+  source: {
+    type: String,
+    enum: ['artist', 'distributor', 'admin'],
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for searching songs by a lyric line
+lyricsSchema.index({ plainText: 'text' });
+
+module.exports = mongoose.model('Lyrics', lyricsSchema);
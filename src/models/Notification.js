@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * In-app notification for a user, e.g. a new release by an artist they follow
+ */
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['new-release'],
+    required: true
+  },
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist'
+  },
+  album: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Album'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
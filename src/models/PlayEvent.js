@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Play event model - ledger of every playback reported by clients
+ * Track, artist and album play counters are derived from counted events
+ */
+const playEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+  // All primary artists of the track - plays are attributed to each of them
+  artists: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist'
+  }],
+  album: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Album'
+  },
+  // Where playback was started from
+  context: {
+    type: {
+      type: String,
+      enum: ['playlist', 'album', 'artist', 'search', 'library', 'other'],
+      default: 'other'
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId
+    }
+  },
+  durationListened: {
+    type: Number, // In seconds
+    required: true,
+    min: 0
+  },
+  device: {
+    id: String,
+    type: {
+      type: String,
+      enum: ['web', 'mobile', 'desktop', 'cast', 'other'],
+      default: 'other'
+    },
+    userAgent: String
+  },
+  ip: String,
+  // Whether this event counted towards play totals
+  counted: {
+    type: Boolean,
+    default: false
+  },
+  // Why an event was not counted (e.g. below threshold, duplicate, flagged)
+  reason: String,
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  flagReasons: [{
+    type: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for dedup, fraud checks and counter aggregation
+playEventSchema.index({ user: 1, track: 1, createdAt: -1 });
+playEventSchema.index({ user: 1, createdAt: -1 });
+playEventSchema.index({ track: 1, counted: 1 });
+playEventSchema.index({ flagged: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PlayEvent', playEventSchema);
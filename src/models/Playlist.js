@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { imageSchema } = require('./schemas/image');
 
 const playlistSchema = new mongoose.Schema({
   name: {
@@ -47,6 +48,10 @@ const playlistSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Responsive derivatives, dominant color and placeholder of the cover image
+  images: {
+    coverImage: imageSchema
+  },
   type: {
     type: String,
     enum: ['user', 'system', 'artist'],
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user's pre-save of an upcoming album
+ * On release day the album's tracks are added to the user's Liked Songs or a chosen playlist
+ */
+const preSaveSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  album: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Album',
+    required: true
+  },
+  // Album artist, kept for artist-facing counts
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist',
+    required: true
+  },
+  // Where the tracks go on release day - Liked Songs when not set
+  playlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Playlist'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'fulfilled', 'failed'],
+    default: 'pending'
+  },
+  fulfilledAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+preSaveSchema.index({ user: 1, album: 1 }, { unique: true });
+preSaveSchema.index({ album: 1, status: 1 });
+preSaveSchema.index({ album: 1, createdAt: 1 }); // For pre-save counts over time
+preSaveSchema.index({ status: 1 });
+
+module.exports = mongoose.model('PreSave', preSaveSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * Daily snapshot of rolling listening stats for an artist, album or track
+ * Used to draw trend charts - one document per entity per day
+ */
+const statsSnapshotSchema = new mongoose.Schema({
+  entityType: {
+    type: String,
+    enum: ['artist', 'album', 'track'],
+    required: true
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'entityModel'
+  },
+  entityModel: {
+    type: String,
+    enum: ['Artist', 'Album', 'Track'],
+    required: true
+  },
+  // Start of the UTC day the snapshot describes
+  date: {
+    type: Date,
+    required: true
+  },
+  monthlyListeners: {
+    type: Number,
+    default: 0
+  },
+  monthlyPlays: {
+    type: Number,
+    default: 0
+  },
+  totalPlays: {
+    type: Number,
+    default: 0
+  }
+});
+
+statsSnapshotSchema.index({ entityType: 1, entity: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('StatsSnapshot', statsSnapshotSchema);
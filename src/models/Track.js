@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { creditSchema } = require('./schemas/credit');
+const { availabilitySchema } = require('./schemas/availability');
+const { imageSchema } = require('./schemas/image');
+const { takedownSchema } = require('./schemas/takedown');
 
 const trackSchema = new mongoose.Schema({
   title: {
@@ -6,11 +10,31 @@ const trackSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Lead primary artist - kept in sync with the first primary entry in artists
   artist: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Artist',
     required: true
   },
+  // Every performing artist in display order, primaries before features
+  artists: [{
+    _id: false,
+    artist: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Artist',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['primary', 'featured'],
+      default: 'primary'
+    },
+    // Shown before this artist's name, e.g. "A & B feat. C x D"
+    joiner: {
+      type: String,
+      enum: ['&', ',', 'x', 'and', 'with', 'feat.', 'vs.']
+    }
+  }],
   album: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Album'
@@ -37,15 +61,59 @@ const trackSchema = new mongoose.Schema({
   },
   duration: Number,
   genre: String,
+  // Original upload kept alongside the streaming file
+  master: {
+    fileUrl: String,
+    format: String, // Container as reported by ffprobe (e.g. flac, wav, mp3)
+    fileSize: Number, // In bytes
+    checksum: {
+      type: String, // SHA-256 of the master file
+      index: true
+    }
+  },
+  // Stream information read from the master
+  audio: {
+    codec: String,
+    bitrate: Number, // In kbps
+    sampleRate: Number, // In Hz
+    channels: Number
+  },
   fileUrl: {
     type: String,
     required: true
   },
   coverArt: String,
+  // Responsive derivatives, dominant color and placeholder of the cover art
+  images: {
+    coverArt: imageSchema
+  },
+  // Adaptive streaming renditions produced at ingest
+  renditions: [{
+    name: String,
+    bitrate: Number, // In kbps
+    codec: String,
+    bandwidth: Number, // In bits per second
+    playlistUrl: String
+  }],
+  hls: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed'],
+      default: 'pending'
+    },
+    masterPlaylist: String,
+    error: String,
+    processedAt: Date
+  },
   isExclusive: {
     type: Boolean,
     default: false
   },
+  // Lowest subscription tier that unlocks an exclusive track
+  minimumTierRequired: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriptionTier'
+  },
   allowDownload: {
     type: Boolean,
     default: true
@@ -54,6 +122,24 @@ const trackSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Plays counted before the play ledger existed, kept when counters are rebuilt
+  playsBaseline: Number,
+  // Counted plays over the rolling 28-day window
+  monthlyPlays: {
+    type: Number,
+    default: 0
+  },
+  // Loudness analysis for client-side normalization
+  loudness: {
+    integrated: Number, // In LUFS (EBU R128)
+    truePeak: Number, // In dBTP
+    range: Number, // Loudness range in LU
+    trackGain: Number, // ReplayGain-style gain in dB
+    trackPeak: Number, // Linear peak amplitude
+    albumGain: Number,
+    albumPeak: Number,
+    analyzedAt: Date
+  },
   metadata: {
     bpm: Number,
     key: String,
@@ -63,12 +149,70 @@ const trackSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     }
+  },
+  // Songwriting, production and performance credits
+  credits: [creditSchema],
+  // Where and when the track may be offered (e.g. from distributor deals)
+  availability: [availabilitySchema],
+  // Set while the track is taken down
+  takedown: takedownSchema,
+  // Release instant - copied from the album, or set directly on standalone tracks
+  releaseDate: Date,
+  // False while embargoed; the release scheduler flips it once releaseDate passes
+  isReleased: {
+    type: Boolean,
+    default: true
+  },
+  // Versions of the same recording (clean edit, remaster, live...) share a group id
+  version: {
+    group: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    type: {
+      type: String,
+      enum: ['original', 'explicit', 'clean', 'radio edit', 'remaster', 'live', 'acoustic', 'remix', 'instrumental', 'demo'],
+      default: 'original'
+    },
+    label: {
+      type: String, // e.g. "2011 Remaster"
+      trim: true
+    }
   }
 }, {
   timestamps: true
 });
 
+// Tracks saved with only a single artist get a matching artists entry,
+// and artist always points at the lead primary artist
+trackSchema.pre('validate', function(next) {
+  if (this.artists.length === 0 && this.artist) {
+    this.artists = [{ artist: this.artist, role: 'primary' }];
+  }
+
+  const lead = this.artists.find(entry => entry.role === 'primary');
+  if (lead) {
+    this.artist = lead.artist;
+  } else if (this.artists.length > 0) {
+    this.invalidate('artists', 'A track needs at least one primary artist');
+  }
+
+  next();
+});
+
+// Embargo follows the release date whenever it is set or changed
+trackSchema.pre('save', function(next) {
+  if (this.isModified('releaseDate') && this.releaseDate) {
+    this.isReleased = this.releaseDate <= new Date();
+  }
+  next();
+});
+
 // Index for search
 trackSchema.index({ title: 'text', genre: 'text' });
+trackSchema.index({ 'artists.artist': 1 });
+trackSchema.index({ 'version.group': 1 });
+// Find everything a person is credited on
+trackSchema.index({ 'credits.artist': 1 });
+trackSchema.index({ isReleased: 1, releaseDate: 1 }); // For the release scheduler
 
 module.exports = mongoose.model('Track', trackSchema);
\ No newline at end of file
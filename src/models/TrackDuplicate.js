@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Track duplicate model - a suspected duplicate upload awaiting admin review
+ * The original is the older of the two tracks
+ */
+const trackDuplicateSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  original: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true
+  },
+  // Exact copies share the file or decoded audio; near duplicates only sound the same
+  matchType: {
+    type: String,
+    enum: ['exact', 'near'],
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['checksum', 'content-hash', 'fingerprint'],
+    required: true
+  },
+  similarity: {
+    type: Number, // 0-1
+    min: 0,
+    max: 1
+  },
+  // Where the track's audio lines up with the original, in seconds
+  offset: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'merged', 'rejected'],
+    default: 'pending'
+  },
+  // Track kept when the pair was merged
+  keptTrack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+trackDuplicateSchema.index({ track: 1, original: 1 }, { unique: true });
+trackDuplicateSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TrackDuplicate', trackDuplicateSchema);
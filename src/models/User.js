@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { imageSchema } = require('./schemas/image');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -41,6 +42,17 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  avatar: String,
+  // Responsive derivatives, dominant color and placeholder of the avatar
+  images: {
+    avatar: imageSchema
+  },
+  // ISO 3166-1 alpha-2 code, used for territory rules when a request doesn't carry one
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   playlists: {
     liked: {  // Reference to system "Liked Songs" playlist
       type: mongoose.Schema.Types.ObjectId,
@@ -108,8 +120,34 @@ const userSchema = new mongoose.Schema({
     darkMode: {
       type: Boolean,
       default: false
+    },
+    // How explicit tracks are handled: play them, swap in the clean version, or hide them
+    explicitContent: {
+      type: String,
+      enum: ['allow', 'substitute', 'hide'],
+      default: 'allow'
     }
   },
+  // Devices registered for offline downloads
+  offlineDevices: [{
+    deviceId: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    name: {
+      type: String,
+      trim: true
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastSyncAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   recentlyPlayed: [{
     track: {
       type: mongoose.Schema.Types.ObjectId,
@@ -156,4 +194,7 @@ userSchema.virtual('subscriptions', {
   foreignField: 'user'
 });
 
+// Find an artist's followers (e.g. for new release notifications)
+userSchema.index({ 'following.artists': 1 });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
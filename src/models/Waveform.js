@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+/**
+ * Waveform model storing downsampled peak data for a track
+ * Kept separate from Track so listings don't carry large peak arrays
+ */
+const waveformSchema = new mongoose.Schema({
+  track: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Track',
+    required: true,
+    unique: true
+  },
+  // Audio file the peaks were generated from, used to detect replaced audio
+  sourceFile: {
+    type: String,
+    required: true
+  },
+  duration: {
+    type: Number // In seconds
+  },
+  // Peak arrays at several resolutions, values normalized to 0-1
+  resolutions: [{
+    points: {
+      type: Number,
+      required: true
+    },
+    peaks: [Number]
+  }],
+  // Generation state for sourceFile - failed audio isn't decoded again until it is replaced
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed'],
+    default: 'ready'
+  },
+  error: {
+    type: String
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Waveform', waveformSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+/**
+ * Availability window shared by albums and tracks
+ * Territories are ISO 3166-1 alpha-2 codes, or WORLDWIDE
+ * No windows at all means available everywhere, at any time
+ */
+const availabilitySchema = new mongoose.Schema({
+  territories: {
+    type: [{ type: String, uppercase: true, trim: true }],
+    default: ['WORLDWIDE']
+  },
+  excludedTerritories: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  startDate: Date,
+  endDate: Date
+}, { _id: false });
+
+module.exports = {
+  availabilitySchema
+};
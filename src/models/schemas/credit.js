@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const CREDIT_ROLES = [
+  'composer',
+  'lyricist',
+  'songwriter',
+  'arranger',
+  'producer',
+  'co-producer',
+  'executive producer',
+  'recording engineer',
+  'mixing engineer',
+  'mastering engineer',
+  'featured performer',
+  'performer',
+  'remixer'
+];
+
+/**
+ * Credit sub-document shared by tracks and albums
+ * Links to an Artist when the person has a profile, otherwise keeps a free-text name
+ */
+const creditSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: CREDIT_ROLES,
+    required: true
+  },
+  artist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Artist'
+  },
+  // Required when the credit isn't linked to an artist profile
+  name: {
+    type: String,
+    trim: true,
+    required: [function() { return !this.artist; }, 'A credit needs an artist or a name']
+  },
+  // Instruments or other detail for performer credits
+  instruments: [String]
+}, { _id: false });
+
+module.exports = {
+  CREDIT_ROLES,
+  creditSchema
+};
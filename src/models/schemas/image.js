@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Responsive derivatives of an uploaded image (cover art, avatars, playlist covers)
+ * original is the upload they were made from; srcset lists the variants per format
+ */
+const imageSchema = new mongoose.Schema({
+  original: String,
+  width: Number,
+  height: Number,
+  dominantColor: String, // #rrggbb
+  blurhash: String,
+  src: String, // JPEG fallback at a typical display size
+  srcset: {
+    avif: String,
+    webp: String,
+    jpeg: String
+  },
+  variants: [{
+    url: String,
+    format: {
+      type: String,
+      enum: ['avif', 'webp', 'jpeg']
+    },
+    width: Number,
+    height: Number,
+    size: Number // In bytes
+  }],
+  processedAt: Date
+}, { _id: false });
+
+module.exports = {
+  imageSchema
+};
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { availabilitySchema } = require('./availability');
+
+/**
+ * Takedown of an album or track by its distributor (or a DDEX takedown message)
+ * The availability it had is kept so the takedown can be lifted again
+ */
+const takedownSchema = new mongoose.Schema({
+  takenDownAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  takenDownBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  previousAvailability: [availabilitySchema]
+}, { _id: false });
+
+module.exports = {
+  takedownSchema
+};
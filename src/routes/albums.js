@@ -4,9 +4,47 @@ const { auth, isAdmin } = require('../middleware/auth');
 const Album = require('../models/Album');
 const Artist = require('../models/Artist');
 const Track = require('../models/Track');
-const { uploadImageToS3 } = require('../utils/fileUpload');
-const multer = require('multer');
-const upload = multer({ storage: multer.memoryStorage() });
+const { uploadCoverArt, saveUpload } = require('../utils/fileUpload');
+const { queueImageProcessing } = require('../utils/imageDerivatives');
+const { markLockedTracks } = require('../utils/trackAccess');
+const { explicitPreferenceQuery, filterExplicitTracks } = require('../utils/contentFilter');
+const { getStatsHistory } = require('../utils/listenerStats');
+const { normalizeCredits } = require('../utils/credits');
+const { RELEASED_QUERY, isReleased, setAlbumReleaseDate, syncTrackRelease } = require('../utils/releaseSchedule');
+const { canManageAlbum, canViewAlbum } = require('../utils/trackAccess');
+const {
+  getRequestCountry,
+  availableTracksQuery,
+  availableAlbumsQuery,
+  checkAlbumTerritory
+} = require('../utils/territory');
+const { NOT_TAKEN_DOWN, isTakenDown } = require('../utils/takedown');
+const { getPreSaveStats } = require('../utils/preSave');
+const PreSave = require('../models/PreSave');
+const Playlist = require('../models/Playlist');
+
+// Fields shown on countdown pages - nothing that gives the release away early
+const COUNTDOWN_FIELDS = 'title artist coverArt images.coverArt type genre releaseDate releaseTimeZone isReleased stats.preSaves tracks';
+
+/**
+ * Countdown view of an upcoming album
+ */
+const toCountdown = (album, preSave) => ({
+  _id: album._id,
+  title: album.title,
+  artist: album.artist,
+  coverArt: album.coverArt,
+  images: album.images,
+  type: album.type,
+  genre: album.genre,
+  releaseDate: album.releaseDate,
+  releaseTimeZone: album.releaseTimeZone,
+  isReleased: isReleased(album),
+  secondsUntilRelease: Math.max(0, Math.ceil((album.releaseDate - Date.now()) / 1000)),
+  trackCount: album.tracks.length,
+  preSaves: album.stats.preSaves || 0,
+  preSaved: preSave ? { status: preSave.status, playlist: preSave.playlist || null } : null
+});
 
 // Get all albums with optional filters (genre, year)
 router.get('/', auth, async (req, res) => {
@@ -17,8 +55,8 @@ router.get('/', auth, async (req, res) => {
     const queryPage = parseInt(page) || 1;
     const skip = (queryPage - 1) * queryLimit;
 
-    // Build filter query
-    const query = {};
+    // Build filter query - embargoed albums stay hidden until their release date, taken down ones for good
+    const query = { ...RELEASED_QUERY, ...NOT_TAKEN_DOWN };
 
     if (genre) {
       query.genre = { $regex: genre, $options: 'i' };
@@ -40,14 +78,17 @@ router.get('/', auth, async (req, res) => {
       sortOption = { title: 1 };
     }
 
+    // Albums not licensed in the listener's country are left out
+    const availableQuery = availableAlbumsQuery(query, await getRequestCountry(req));
+
     // Execute query with pagination
-    const albums = await Album.find(query)
+    const albums = await Album.find(availableQuery)
       .populate('artist', 'name')
       .sort(sortOption)
       .skip(skip)
       .limit(queryLimit);
 
-    const total = await Album.countDocuments(query);
+    const total = await Album.countDocuments(availableQuery);
 
     res.json({
       albums,
@@ -66,8 +107,8 @@ router.get('/featured', auth, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
 
-    // Get albums with highest popularity score
-    const featuredAlbums = await Album.find()
+    // Get albums with highest popularity score that are available in the listener's country
+    const featuredAlbums = await Album.find(availableAlbumsQuery({ ...RELEASED_QUERY, ...NOT_TAKEN_DOWN }, await getRequestCountry(req)))
       .populate('artist', 'name')
       .sort({ popularity: -1 })
       .limit(limit);
@@ -88,10 +129,12 @@ router.get('/new-releases', auth, async (req, res) => {
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-    // Find albums released in the last 30 days
-    const newReleases = await Album.find({
+    // Find albums released in the last 30 days that are available in the listener's country
+    const newReleases = await Album.find(availableAlbumsQuery({
+      ...RELEASED_QUERY,
+      ...NOT_TAKEN_DOWN,
       releaseDate: { $gte: thirtyDaysAgo }
-    })
+    }, await getRequestCountry(req)))
       .populate('artist', 'name')
       .sort({ releaseDate: -1 })
       .limit(limit);
@@ -103,6 +146,169 @@ router.get('/new-releases', auth, async (req, res) => {
   }
 });
 
+// Get upcoming albums with their countdowns, soonest first
+router.get('/upcoming', auth, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = { isReleased: false, ...NOT_TAKEN_DOWN };
+    if (req.query.artist) {
+      query.artist = req.query.artist;
+    }
+
+    // Deals usually start on release day, so only the territories are checked
+    const albums = await Album.find(availableAlbumsQuery(query, await getRequestCountry(req), { upcoming: true }))
+      .select(COUNTDOWN_FIELDS)
+      .populate('artist', 'name profileImage images.profileImage')
+      .sort({ releaseDate: 1 })
+      .limit(limit);
+
+    const preSaves = await PreSave.find({ user: req.user.id, album: { $in: albums.map(album => album._id) } });
+    const preSavesByAlbum = new Map(preSaves.map(preSave => [preSave.album.toString(), preSave]));
+
+    res.json(albums.map(album => toCountdown(album, preSavesByAlbum.get(album._id.toString()))));
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Artist not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the countdown page of an album - available before its release date
+router.get('/:id/countdown', auth, async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id)
+      .select(`${COUNTDOWN_FIELDS} takedown availability`)
+      .populate('artist', 'name profileImage images.profileImage');
+
+    if (!album || isTakenDown(album)) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    // Checked as of release day, when deals usually start
+    const releaseDay = new Date(Math.max(Date.now(), album.releaseDate || 0));
+    const regionDenied = checkAlbumTerritory(album, await getRequestCountry(req), releaseDay);
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    const preSave = await PreSave.findOne({ user: req.user.id, album: album._id });
+
+    res.json(toCountdown(album, preSave));
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pre-save an upcoming album
+// On release day its tracks are added to Liked Songs, or to the playlist sent as "playlist"
+router.post('/:id/pre-save', auth, async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id).select('artist isReleased takedown');
+    if (!album || isTakenDown(album)) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    if (isReleased(album)) {
+      return res.status(400).json({ message: 'This album is already out' });
+    }
+
+    // Only the user's own playlists can receive the tracks
+    let playlist;
+    if (req.body.playlist) {
+      playlist = await Playlist.findOne({ _id: req.body.playlist, owner: req.user.id }).select('_id');
+      if (!playlist) {
+        return res.status(404).json({ message: 'Playlist not found' });
+      }
+    }
+
+    // Pre-saving again just changes where the tracks go
+    const filter = { user: req.user.id, album: album._id };
+    const target = playlist ? { $set: { playlist: playlist._id } } : { $unset: { playlist: 1 } };
+    const existing = await PreSave.findOneAndUpdate(filter, target, { new: true });
+    if (existing) {
+      return res.json(existing);
+    }
+
+    let preSave;
+    try {
+      preSave = await PreSave.create({
+        user: req.user.id,
+        album: album._id,
+        artist: album.artist,
+        playlist: playlist ? playlist._id : undefined
+      });
+    } catch (err) {
+      // A concurrent request (e.g. a double submit) created it first
+      if (err.code !== 11000) throw err;
+      return res.json(await PreSave.findOneAndUpdate(filter, target, { new: true }));
+    }
+
+    await Album.findByIdAndUpdate(album._id, { $inc: { 'stats.preSaves': 1 } });
+
+    res.status(201).json(preSave);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album or playlist not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Cancel a pre-save before release day
+router.delete('/:id/pre-save', auth, async (req, res) => {
+  try {
+    const preSave = await PreSave.findOneAndDelete({
+      user: req.user.id,
+      album: req.params.id,
+      status: 'pending'
+    });
+
+    if (!preSave) {
+      return res.status(404).json({ message: 'Pre-save not found' });
+    }
+
+    await Album.findByIdAndUpdate(preSave.album, { $inc: { 'stats.preSaves': -1 } });
+
+    res.json({ message: 'Pre-save cancelled' });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Pre-save not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get pre-save counts over time (artist members, distributors and admins)
+router.get('/:id/pre-saves', auth, async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id).select('artist');
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    if (!await canManageAlbum(album, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to view pre-saves for this album' });
+    }
+
+    res.json(await getPreSaveStats(album._id, req.query.days));
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get a specific album by ID with tracks
 router.get('/:id', auth, async (req, res) => {
   try {
@@ -110,20 +316,34 @@ router.get('/:id', auth, async (req, res) => {
 
     // Find album and populate artist details
     const album = await Album.findById(albumId)
-      .populate('artist', 'name profileImage');
+      .populate('artist', 'name profileImage images.profileImage')
+      .populate('credits.artist', 'name profileImage images.profileImage');
 
-    if (!album) {
+    // Embargoed and taken down albums are only visible to the people releasing them
+    if (!album || !await canViewAlbum(album, req.user)) {
       return res.status(404).json({ message: 'Album not found' });
     }
 
-    // Find all tracks for this album
-    const tracks = await Track.find({ album: albumId })
+    const country = await getRequestCountry(req);
+    const regionDenied = checkAlbumTerritory(album, country);
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    // Find all tracks for this album, leaving out any not licensed in the listener's country
+    const tracks = await Track.find(await explicitPreferenceQuery(
+      await availableTracksQuery({ album: albumId, ...NOT_TAKEN_DOWN }, country),
+      req.user.id
+    ))
       .populate('artist', 'name')
       .sort({ trackNumber: 1 });
 
     // Add tracks to the response
     const albumResponse = album.toObject();
-    albumResponse.tracks = tracks;
+    albumResponse.tracks = await markLockedTracks(await filterExplicitTracks(tracks, req.user.id, country), req.user);
+
+    // Daily play snapshots for trend charts
+    albumResponse.stats.history = await getStatsHistory('album', album._id, req.query.days);
 
     res.json(albumResponse);
   } catch (err) {
@@ -136,9 +356,9 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // Create a new album (admin only)
-router.post('/', [auth, isAdmin, upload.single('coverArt')], async (req, res) => {
+router.post('/', [auth, isAdmin, uploadCoverArt], async (req, res) => {
   try {
-    const { title, artist: artistId, releaseDate, genre, description } = req.body;
+    const { title, artist: artistId, releaseDate, releaseTimeZone, genre, description } = req.body;
 
     if (!title || !artistId) {
       return res.status(400).json({ message: 'Title and artist are required' });
@@ -150,25 +370,33 @@ router.post('/', [auth, isAdmin, upload.single('coverArt')], async (req, res) =>
       return res.status(404).json({ message: 'Artist not found' });
     }
 
-    // Upload cover art if provided
-    let coverArtUrl = null;
-    if (req.file) {
-      coverArtUrl = await uploadImageToS3(req.file, 'album-covers');
-    }
-
     // Create new album
     const newAlbum = new Album({
       title,
       artist: artistId,
-      releaseDate: releaseDate || Date.now(),
       genre: genre || 'Unknown',
       description: description || '',
-      coverArt: coverArtUrl,
       popularity: 0
     });
 
+    // A future release date keeps the album embargoed until then
+    const scheduled = setAlbumReleaseDate(newAlbum, releaseDate || new Date(), releaseTimeZone);
+    if (scheduled.error) {
+      return res.status(400).json({ message: scheduled.error });
+    }
+
+    // Upload cover art if provided
+    if (req.file) {
+      newAlbum.coverArt = await saveUpload(req.file);
+    }
+
     await newAlbum.save();
 
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(newAlbum.coverArt);
+    }
+
     res.status(201).json(newAlbum);
   } catch (err) {
     console.error(err);
@@ -177,10 +405,10 @@ router.post('/', [auth, isAdmin, upload.single('coverArt')], async (req, res) =>
 });
 
 // Update an album (admin only)
-router.patch('/:id', [auth, isAdmin, upload.single('coverArt')], async (req, res) => {
+router.patch('/:id', [auth, isAdmin, uploadCoverArt], async (req, res) => {
   try {
     const albumId = req.params.id;
-    const { title, artist, releaseDate, genre, description } = req.body;
+    const { title, artist, releaseDate, releaseTimeZone, genre, description } = req.body;
 
     // Find album
     const album = await Album.findById(albumId);
@@ -198,17 +426,33 @@ router.patch('/:id', [auth, isAdmin, upload.single('coverArt')], async (req, res
       }
       album.artist = artist;
     }
-    if (releaseDate) album.releaseDate = releaseDate;
+    if (releaseDate) {
+      const scheduled = setAlbumReleaseDate(album, releaseDate, releaseTimeZone);
+      if (scheduled.error) {
+        return res.status(400).json({ message: scheduled.error });
+      }
+    }
     if (genre) album.genre = genre;
     if (description) album.description = description;
 
     // Upload new cover art if provided
     if (req.file) {
-      album.coverArt = await uploadImageToS3(req.file, 'album-covers');
+      album.coverArt = await saveUpload(req.file);
     }
 
+    const releaseChanged = album.isModified('releaseDate');
     await album.save();
 
+    // Tracks are embargoed together with their album
+    if (releaseChanged) {
+      await syncTrackRelease(album);
+    }
+
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(album.coverArt);
+    }
+
     res.json(album);
   } catch (err) {
     console.error(err);
@@ -219,6 +463,33 @@ router.patch('/:id', [auth, isAdmin, upload.single('coverArt')], async (req, res
   }
 });
 
+// Replace an album's credits (admin only)
+router.put('/:id/credits', [auth, isAdmin], async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id);
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    const { credits, error } = await normalizeCredits(req.body.credits);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    album.credits = credits;
+    await album.save();
+    await album.populate('credits.artist', 'name profileImage images.profileImage');
+
+    res.json(album.credits);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete an album (admin only)
 router.delete('/:id', [auth, isAdmin], async (req, res) => {
   try {
@@ -236,7 +507,10 @@ router.delete('/:id', [auth, isAdmin], async (req, res) => {
       { $unset: { album: 1 } }
     );
 
-    await album.remove();
+    // Pending pre-saves have nothing left to add
+    await PreSave.deleteMany({ album: albumId });
+
+    await album.deleteOne();
 
     res.json({ message: 'Album deleted successfully' });
   } catch (err) {
@@ -248,23 +522,54 @@ router.delete('/:id', [auth, isAdmin], async (req, res) => {
   }
 });
 
+// Get rolling play stats and daily history for an album
+router.get('/:id/stats', auth, async (req, res) => {
+  try {
+    const album = await Album.findById(req.params.id).select('stats');
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+
+    res.json({
+      totalPlays: album.stats.totalPlays,
+      monthlyPlays: album.stats.monthlyPlays,
+      history: await getStatsHistory('album', album._id, req.query.days)
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get all tracks for a specific album
 router.get('/:id/tracks', auth, async (req, res) => {
   try {
     const albumId = req.params.id;
 
-    // Verify album exists
+    // Verify album exists, is out and not taken down
     const album = await Album.findById(albumId);
-    if (!album) {
+    if (!album || !await canViewAlbum(album, req.user)) {
       return res.status(404).json({ message: 'Album not found' });
     }
 
-    // Find all tracks for this album
-    const tracks = await Track.find({ album: albumId })
+    const country = await getRequestCountry(req);
+    const regionDenied = checkAlbumTerritory(album, country);
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    // Find all tracks for this album, leaving out any not licensed in the listener's country
+    const tracks = await Track.find(await explicitPreferenceQuery(
+      await availableTracksQuery({ album: albumId, ...NOT_TAKEN_DOWN }, country),
+      req.user.id
+    ))
       .populate('artist', 'name')
       .sort({ trackNumber: 1 });
 
-    res.json(tracks);
+    res.json(await markLockedTracks(await filterExplicitTracks(tracks, req.user.id, country), req.user));
   } catch (err) {
     console.error(err);
     if (err.kind === 'ObjectId') {
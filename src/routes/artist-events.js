@@ -284,7 +284,7 @@ router.get('/', async (req, res) => {
     })
     .sort({ date: 1 })
     .limit(20)
-    .populate('artist', 'name profileImage');
+    .populate('artist', 'name profileImage images.profileImage');
 
     res.json(events);
   } catch (err) {
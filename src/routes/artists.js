@@ -5,8 +5,17 @@ const Artist = require('../models/Artist');
 const User = require('../models/User');
 const Track = require('../models/Track');
 const Album = require('../models/Album');
-const { uploadCover } = require('../utils/fileUpload');
+const { uploadCover, saveUpload } = require('../utils/fileUpload');
+const { queueImageProcessing } = require('../utils/imageDerivatives');
 const { getArtistInfo } = require('../utils/lastfm');
+const { markLockedTracks } = require('../utils/trackAccess');
+const { getStatsHistory } = require('../utils/listenerStats');
+const { getArtistCredits } = require('../utils/credits');
+const { ARTIST_ROLES, artistTracksQuery, withArtistDisplay } = require('../utils/trackArtists');
+const { CREDIT_ROLES } = require('../models/schemas/credit');
+const { RELEASED_QUERY } = require('../utils/releaseSchedule');
+const { NOT_TAKEN_DOWN } = require('../utils/takedown');
+const { getRequestCountry, availableTracksQuery, availableAlbumsQuery } = require('../utils/territory');
 
 // Get all artists (paginated)
 router.get('/', async (req, res) => {
@@ -57,20 +66,64 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Artist not found' });
     }
 
-    // Get artist tracks
-    const tracks = await Track.find({ artist: artist._id })
-      .populate('album', 'title coverArt')
+    // Releases not licensed in the listener's country are left out
+    const country = await getRequestCountry(req);
+
+    // Get artist tracks - embargoed releases stay hidden until their release date, taken down ones for good
+    const tracks = await Track.find(await availableTracksQuery({
+      ...artistTracksQuery(artist._id, 'primary'),
+      ...RELEASED_QUERY,
+      ...NOT_TAKEN_DOWN
+    }, country))
+      .populate('album', 'title coverArt images.coverArt')
+      .populate('artists.artist', 'name')
       .sort({ createdAt: -1 })
       .limit(10);
 
     // Get artist albums
-    const albums = await Album.find({ artist: artist._id })
+    const albums = await Album.find(availableAlbumsQuery({ artist: artist._id, ...RELEASED_QUERY, ...NOT_TAKEN_DOWN }, country))
       .sort({ releaseDate: -1 });
 
+    // "Appears on" - features, plus other artists' albums with tracks by this artist
+    const featuredTracks = await Track.find(await availableTracksQuery({
+      ...artistTracksQuery(artist._id, 'featured'),
+      ...RELEASED_QUERY,
+      ...NOT_TAKEN_DOWN
+    }, country))
+      .populate('album', 'title coverArt images.coverArt')
+      .populate('artists.artist', 'name')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    const appearsOnAlbumIds = await Track.distinct('album', {
+      ...artistTracksQuery(artist._id),
+      album: { $ne: null }
+    });
+    const appearsOnAlbums = await Album.find(availableAlbumsQuery({
+      _id: { $in: appearsOnAlbumIds },
+      artist: { $ne: artist._id },
+      ...RELEASED_QUERY,
+      ...NOT_TAKEN_DOWN
+    }, country))
+      .populate('artist', 'name')
+      .sort({ releaseDate: -1 });
+
+    // Daily listener snapshots for trend charts
+    const statsHistory = await getStatsHistory('artist', artist._id, req.query.days);
+
     res.json({
       artist,
-      tracks,
-      albums
+      tracks: withArtistDisplay(await markLockedTracks(tracks, req.user)),
+      albums,
+      appearsOn: {
+        tracks: withArtistDisplay(await markLockedTracks(featuredTracks, req.user)),
+        albums: appearsOnAlbums
+      },
+      stats: {
+        monthlyListeners: artist.monthlyListeners,
+        totalPlays: artist.totalPlays,
+        history: statsHistory
+      }
     });
   } catch (err) {
     console.error(err);
@@ -78,23 +131,37 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Get all tracks for an artist
+// Get all tracks for an artist, including features
+// Use ?role=primary or ?role=featured to narrow the list
 router.get('/:id/tracks', async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const tracks = await Track.find({ artist: req.params.id })
-      .populate('album', 'title coverArt')
+    const { role } = req.query;
+    if (role && !ARTIST_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ARTIST_ROLES.join(', ')}` });
+    }
+
+    // Tracks not licensed in the listener's country are left out
+    const query = await availableTracksQuery({
+      ...artistTracksQuery(req.params.id, role),
+      ...RELEASED_QUERY,
+      ...NOT_TAKEN_DOWN
+    }, await getRequestCountry(req));
+
+    const tracks = await Track.find(query)
+      .populate('album', 'title coverArt images.coverArt')
+      .populate('artists.artist', 'name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Track.countDocuments({ artist: req.params.id });
+    const total = await Track.countDocuments(query);
 
     res.json({
-      tracks,
+      tracks: withArtistDisplay(await markLockedTracks(tracks, req.user)),
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalTracks: total
@@ -108,7 +175,9 @@ router.get('/:id/tracks', async (req, res) => {
 // Get all albums for an artist
 router.get('/:id/albums', async (req, res) => {
   try {
-    const albums = await Album.find({ artist: req.params.id })
+    // Albums not licensed in the listener's country are left out
+    const query = availableAlbumsQuery({ artist: req.params.id, ...RELEASED_QUERY, ...NOT_TAKEN_DOWN }, await getRequestCountry(req));
+    const albums = await Album.find(query)
       .sort({ releaseDate: -1 });
 
     res.json(albums);
@@ -118,6 +187,40 @@ router.get('/:id/albums', async (req, res) => {
   }
 });
 
+// Get every track and album an artist is credited on, optionally for one role
+router.get('/:id/credits', async (req, res) => {
+  try {
+    const artist = await Artist.findById(req.params.id).select('name profileImage images.profileImage');
+    if (!artist) {
+      return res.status(404).json({ message: 'Artist not found' });
+    }
+
+    const { role } = req.query;
+    if (role && !CREDIT_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${CREDIT_ROLES.join(', ')}` });
+    }
+
+    const { tracks, albums } = await getArtistCredits(artist._id, {
+      role,
+      user: req.user,
+      country: await getRequestCountry(req)
+    });
+
+    res.json({
+      artist,
+      tracks,
+      albums,
+      totalCredits: tracks.length + albums.length
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Artist not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get artist's exclusive content
 router.get('/:id/exclusive', auth, async (req, res) => {
   try {
@@ -174,7 +277,7 @@ router.post('/', auth, isAdmin, uploadCover, async (req, res) => {
 
     // Add cover image if uploaded
     if (req.file) {
-      newArtist.coverArt = `/uploads/covers/${req.file.filename}`;
+      newArtist.coverArt = await saveUpload(req.file);
     }
 
     // Try to fetch additional info from Last.fm
@@ -194,6 +297,12 @@ router.post('/', auth, isAdmin, uploadCover, async (req, res) => {
     }
 
     await newArtist.save();
+
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(newArtist.coverArt);
+    }
+
     res.status(201).json(newArtist);
   } catch (err) {
     console.error(err);
@@ -238,10 +347,16 @@ router.patch('/:id', auth, isAdmin, uploadCover, async (req, res) => {
 
     // Add cover image if uploaded
     if (req.file) {
-      artist.coverArt = `/uploads/covers/${req.file.filename}`;
+      artist.coverArt = await saveUpload(req.file);
     }
 
     await artist.save();
+
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(artist.coverArt);
+    }
+
     res.json(artist);
   } catch (err) {
     console.error(err);
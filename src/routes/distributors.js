@@ -1,72 +1,275 @@
 const express = require('express');
+const fs = require('fs');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, isAdmin, isDistributor } = require('../middleware/auth');
 const User = require('../models/User');
 const Artist = require('../models/Artist');
 const Track = require('../models/Track');
 const Album = require('../models/Album');
-const { uploadToS3, uploadImageToS3 } = require('../utils/fileUpload');
-const multer = require('multer');
-const upload = multer({ storage: multer.memoryStorage() });
-
-// Middleware to check if user has artist rights
-const artistAuth = async (req, res, next) => {
+const ExclusiveContent = require('../models/ExclusiveContent');
+const SubscriptionTier = require('../models/SubscriptionTier');
+const Waveform = require('../models/Waveform');
+const TrackDuplicate = require('../models/TrackDuplicate');
+const { uploadMedia, uploadCoverArt, uploadAudioWithCoverArt, saveUpload } = require('../utils/fileUpload');
+const { ingestAudioFile } = require('../utils/audioIngest');
+const { queueTrackPackaging } = require('../utils/hlsPackager');
+const { queueLoudnessAnalysis } = require('../utils/loudness');
+const { queueWaveformGeneration } = require('../utils/waveform');
+const { queueDuplicateCheck } = require('../utils/duplicates');
+const { queueImageProcessing } = require('../utils/imageDerivatives');
+const { deleteTrack, removeTrackFiles } = require('../utils/trackRemoval');
+const { adjustPlaylistDurations } = require('../utils/playlistStats');
+const { saveLyrics } = require('../utils/lyrics');
+const {
+  NOT_TAKEN_DOWN,
+  isTakenDown,
+  liftTakedown,
+  takeDownTracks,
+  takeDownAlbum,
+  restoreAlbum
+} = require('../utils/takedown');
+const { RELEASED_QUERY, isReleased, resolveReleaseDate, setAlbumReleaseDate, syncTrackRelease } = require('../utils/releaseSchedule');
+const { normalizeAvailability } = require('../utils/territory');
+
+// Middleware loading the artists linked to the distributor account
+const distributorAuth = async (req, res, next) => {
   try {
-    // Find the user with populated artist data
-    const user = await User.findById(req.user.id).populate('artist');
+    const artists = await Artist.find({ 'distributors.userId': req.user.id })
+      .select('name profileImage images.profileImage isVerified trackCount exclusiveTrackCount followerCount')
+      .sort({ name: 1 });
 
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    req.artists = artists;
+    req.artistIds = artists.map(artist => artist._id);
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const portal = [auth, isDistributor, distributorAuth];
+
+/**
+ * Query matching tracks with a managed artist among their primary artists
+ */
+const managedTrackQuery = (artistIds) => ({
+  $or: [
+    { artist: { $in: artistIds } },
+    { artists: { $elemMatch: { artist: { $in: artistIds }, role: 'primary' } } }
+  ]
+});
+
+/**
+ * Check whether an artist id is one of the distributor's artists
+ */
+const isManaged = (req, artistId) => req.artistIds.some(id => id.toString() === String(artistId));
+
+/**
+ * Remove uploaded files again when a request is rejected
+ */
+const discardUploads = (req) => Promise.all([req.file, ...Object.values(req.files || {}).flat()]
+  .filter(Boolean)
+  .map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+/**
+ * Overall catalog status of a track
+ */
+const getTrackStatus = (track) => {
+  if (isTakenDown(track)) return 'taken-down';
+  if (!isReleased(track)) return 'scheduled';
+  const hlsStatus = track.hls && track.hls.status;
+  if (hlsStatus === 'failed') return 'failed';
+  if (hlsStatus === 'ready') return 'live';
+  return 'processing';
+};
+
+// Query for each catalog status filter
+const STATUS_QUERIES = {
+  live: { 'hls.status': 'ready', ...RELEASED_QUERY, ...NOT_TAKEN_DOWN },
+  processing: { 'hls.status': { $in: ['pending', 'processing'] }, ...RELEASED_QUERY, ...NOT_TAKEN_DOWN },
+  failed: { 'hls.status': 'failed', ...RELEASED_QUERY, ...NOT_TAKEN_DOWN },
+  scheduled: { isReleased: false, ...NOT_TAKEN_DOWN },
+  'taken-down': { 'takedown.takenDownAt': { $exists: true } }
+};
+
+/**
+ * Overall catalog status of an album
+ */
+const getAlbumStatus = (album) => {
+  if (isTakenDown(album)) return 'taken-down';
+  return isReleased(album) ? 'live' : 'scheduled';
+};
 
-    // Check if user has an artist profile
-    if (!user.artist) {
-      return res.status(403).json({ message: 'Artist profile required' });
+/**
+ * Attach status and background job progress to catalog tracks
+ */
+const withProcessingStatus = async (tracks) => {
+  const trackIds = tracks.map(track => track._id);
+
+  const [waveforms, duplicates] = await Promise.all([
+    // Waveforms from before status was tracked have none and are ready
+    Waveform.find({ track: { $in: trackIds }, status: { $nin: ['pending', 'failed'] } }).select('track'),
+    TrackDuplicate.find({ track: { $in: trackIds }, status: 'pending' }).select('track')
+  ]);
+
+  const withWaveform = new Set(waveforms.map(waveform => waveform.track.toString()));
+  const pendingDuplicates = duplicates.reduce((counts, duplicate) => {
+    const id = duplicate.track.toString();
+    counts[id] = (counts[id] || 0) + 1;
+    return counts;
+  }, {});
+
+  return tracks.map(track => ({
+    ...track.toObject(),
+    status: getTrackStatus(track),
+    processing: {
+      hls: {
+        status: track.hls && track.hls.status,
+        error: track.hls && track.hls.error,
+        processedAt: track.hls && track.hls.processedAt
+      },
+      loudnessAnalyzed: Boolean(track.loudness && track.loudness.analyzedAt),
+      waveformGenerated: withWaveform.has(track._id.toString()),
+      pendingDuplicates: pendingDuplicates[track._id.toString()] || 0
     }
+  }));
+};
 
-    // Add the artist data to the request for use in route handlers
-    req.artist = user.artist;
-    next();
+/**
+ * Resolve a tier id that must belong to the given artist
+ * Returns undefined when none was sent and null when it is invalid
+ */
+const resolveTier = async (tierId, artistId) => {
+  if (!tierId) return undefined;
+  if (!mongoose.Types.ObjectId.isValid(tierId)) return null;
+  return SubscriptionTier.findOne({ _id: tierId, artist: artistId });
+};
+
+// Get the artists linked to the distributor account
+router.get('/artists', portal, async (req, res) => {
+  res.json(req.artists);
+});
+
+// Get the distributor dashboard across all managed artists
+router.get('/dashboard', portal, async (req, res) => {
+  try {
+    const managed = managedTrackQuery(req.artistIds);
+
+    const [statusCounts, totals, albumCount, lastUpload] = await Promise.all([
+      Promise.all(Object.entries(STATUS_QUERIES).map(async ([status, query]) => (
+        [status, await Track.countDocuments({ ...managed, ...query })]
+      ))),
+      Track.aggregate([
+        { $match: managed },
+        {
+          $group: {
+            _id: null,
+            tracks: { $sum: 1 },
+            exclusiveTracks: { $sum: { $cond: ['$isExclusive', 1, 0] } },
+            plays: { $sum: '$plays' },
+            monthlyPlays: { $sum: '$monthlyPlays' }
+          }
+        }
+      ]),
+      Album.countDocuments({ artist: { $in: req.artistIds } }),
+      Track.findOne(managed).sort({ createdAt: -1 }).select('createdAt')
+    ]);
+
+    const summary = totals[0] || { tracks: 0, exclusiveTracks: 0, plays: 0, monthlyPlays: 0 };
+
+    res.json({
+      artists: req.artists.length,
+      albums: albumCount,
+      tracks: summary.tracks,
+      exclusiveTracks: summary.exclusiveTracks,
+      plays: summary.plays,
+      monthlyPlays: summary.monthlyPlays,
+      tracksByStatus: Object.fromEntries(statusCounts),
+      lastUpload: lastUpload ? lastUpload.createdAt : null
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
-};
+});
 
-// Get artist exclusive content dashboard
-router.get('/dashboard', [auth, artistAuth], async (req, res) => {
+// Get the catalog of managed tracks with their processing status
+router.get('/catalog', portal, async (req, res) => {
   try {
-    const artistId = req.artist._id;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { artist, album, status, exclusive, q } = req.query;
+
+    if (artist && !isManaged(req, artist)) {
+      return res.status(403).json({ message: 'You do not manage this artist' });
+    }
+    if (status && !STATUS_QUERIES[status]) {
+      return res.status(400).json({ message: `Status must be one of: ${Object.keys(STATUS_QUERIES).join(', ')}` });
+    }
+
+    const query = managedTrackQuery(artist ? [artist] : req.artistIds);
+    if (album) query.album = album;
+    if (status) Object.assign(query, STATUS_QUERIES[status]);
+    if (exclusive !== undefined) query.isExclusive = exclusive === 'true';
+    if (q) query.title = { $regex: q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const [tracks, totalTracks] = await Promise.all([
+      Track.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-renditions')
+        .populate('artist', 'name')
+        .populate('album', 'title coverArt images.coverArt'),
+      Track.countDocuments(query)
+    ]);
 
-    // Get exclusive content stats
-    const exclusiveTracks = await Track.find({
-      artist: artistId,
-      isExclusive: true
+    res.json({
+      items: await withProcessingStatus(tracks),
+      currentPage: page,
+      totalPages: Math.ceil(totalTracks / limit),
+      totalTracks
     });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Count total exclusive plays
-    const totalExclusivePlays = exclusiveTracks.reduce((sum, track) => sum + track.plays, 0);
+// Get the albums of managed artists
+router.get('/catalog/albums', portal, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { artist } = req.query;
 
-    // Count total supporter-only content
-    const exclusiveTrackCount = exclusiveTracks.length;
+    if (artist && !isManaged(req, artist)) {
+      return res.status(403).json({ message: 'You do not manage this artist' });
+    }
 
-    // Get recent supporters (this would ideally connect to a subscription/support system)
-    // For now, just providing a mock response structure
+    const query = { artist: artist || { $in: req.artistIds } };
+
+    const [albums, totalAlbums] = await Promise.all([
+      Album.find(query)
+        .sort({ releaseDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('artist', 'name'),
+      Album.countDocuments(query)
+    ]);
 
     res.json({
-      exclusiveContent: {
-        totalTracks: exclusiveTrackCount,
-        totalPlays: totalExclusivePlays,
-      },
-      supporterStats: {
-        totalSupporters: req.artist.supporterCount || 0,
-        recentSupporters: []
-      },
-      recentActivity: {
-        lastUpload: exclusiveTracks.length > 0 ?
-          exclusiveTracks.sort((a, b) => b.createdAt - a.createdAt)[0].createdAt :
-          null
-      }
+      items: albums.map(album => ({
+        ...album.toObject(),
+        status: getAlbumStatus(album)
+      })),
+      currentPage: page,
+      totalPages: Math.ceil(totalAlbums / limit),
+      totalAlbums
     });
   } catch (err) {
     console.error(err);
@@ -74,204 +277,325 @@ router.get('/dashboard', [auth, artistAuth], async (req, res) => {
   }
 });
 
-// Upload a new exclusive track
-router.post('/tracks', [
-  auth,
-  artistAuth,
-  upload.fields([
-    { name: 'audio', maxCount: 1 },
-    { name: 'coverArt', maxCount: 1 }
-  ])
-], async (req, res) => {
+// Upload a new track for a managed artist
+router.post('/tracks', [...portal, uploadAudioWithCoverArt], async (req, res) => {
   try {
     const {
       title,
       genre,
-      isExclusive,
       minimumTier,
-      description,
-      releaseDate,
       trackNumber,
-      lyrics
+      lyrics,
+      distributorName,
+      releaseDate
     } = req.body;
 
+    // Artists with a single distributor don't have to be named
+    const artist = req.body.artist || (req.artistIds.length === 1 ? req.artistIds[0] : null);
+    const isExclusive = req.body.isExclusive === undefined
+      ? true
+      : req.body.isExclusive === true || req.body.isExclusive === 'true';
+
     // Validate required fields
-    if (!title || !req.files.audio) {
+    if (!title || !req.files || !req.files.audio) {
+      await discardUploads(req);
       return res.status(400).json({ message: 'Title and audio file are required' });
     }
+    if (!artist) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Please specify the artist' });
+    }
+    if (!isManaged(req, artist)) {
+      await discardUploads(req);
+      return res.status(403).json({ message: 'You do not manage this artist' });
+    }
 
-    // Upload audio file to S3
-    const audioFile = req.files.audio[0];
-    const audioUrl = await uploadToS3(audioFile, 'exclusive-tracks');
+    const tier = await resolveTier(minimumTier, artist);
+    if (tier === null) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Subscription tier not found for this artist' });
+    }
+
+    // A future release date keeps the track embargoed until then
+    const scheduledFor = releaseDate ? resolveReleaseDate(releaseDate) : undefined;
+    if (scheduledFor === null) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Invalid release date' });
+    }
+
+    // Keep the upload as the master and create the streaming file from it
+    let ingested;
+    try {
+      ingested = await ingestAudioFile(req.files.audio[0]);
+    } catch (err) {
+      console.error(err);
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Could not read audio file' });
+    }
 
-    // Upload cover art if provided
+    // Store cover art if provided
     let coverArtUrl = null;
     if (req.files.coverArt) {
-      coverArtUrl = await uploadImageToS3(req.files.coverArt[0], 'track-covers');
+      coverArtUrl = await saveUpload(req.files.coverArt[0]);
     }
 
+    const account = await User.findById(req.user.id).select('username');
+
     // Create new track
     const newTrack = new Track({
       title,
-      artist: req.artist._id,
-      audioUrl,
+      artist,
+      fileUrl: ingested.fileUrl,
+      master: ingested.master,
+      audio: ingested.audio,
+      duration: ingested.duration,
       genre: genre || 'Unknown',
       coverArt: coverArtUrl,
-      isExclusive: true, // Always true for exclusive content
-      minimumSupportTier: minimumTier || 1,
-      description: description || '',
-      releaseDate: releaseDate || Date.now(),
+      isExclusive,
+      minimumTierRequired: isExclusive && tier ? tier._id : undefined,
       trackNumber: trackNumber || 1,
-      lyrics: lyrics || '',
-      plays: 0
+      releaseDate: scheduledFor,
+      distributor: {
+        name: distributorName || account.username,
+        uploadDate: new Date()
+      }
     });
 
     await newTrack.save();
 
+    // Lyrics are stored separately (plain text or LRC)
+    if (lyrics) {
+      await saveLyrics(newTrack._id, lyrics, { source: 'distributor', userId: req.user.id });
+    }
+
     // Update artist's track count
-    await Artist.findByIdAndUpdate(
-      req.artist._id,
-      { $inc: { exclusiveTrackCount: 1 } }
-    );
+    await Artist.findByIdAndUpdate(artist, {
+      $inc: isExclusive ? { exclusiveTrackCount: 1 } : { trackCount: 1 }
+    });
+
+    // Transcode, render waveform peaks, measure loudness, look for duplicates
+    // and resize the artwork in the background
+    queueTrackPackaging(newTrack._id);
+    queueWaveformGeneration(newTrack._id);
+    queueLoudnessAnalysis(newTrack._id);
+    queueDuplicateCheck(newTrack._id);
+    if (coverArtUrl) {
+      queueImageProcessing(coverArtUrl);
+    }
 
     res.status(201).json(newTrack);
   } catch (err) {
     console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Artist not found' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get all exclusive tracks for the authenticated artist
-router.get('/tracks', [auth, artistAuth], async (req, res) => {
+// Update a managed track
+router.patch('/tracks/:id', [...portal, uploadAudioWithCoverArt], async (req, res) => {
   try {
-    const { page, limit } = req.query;
-
-    const queryLimit = parseInt(limit) || 20;
-    const queryPage = parseInt(page) || 1;
-    const skip = (queryPage - 1) * queryLimit;
-
-    // Find all exclusive tracks for this artist
-    const tracks = await Track.find({
-      artist: req.artist._id,
-      isExclusive: true
-    })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(queryLimit);
-
-    const total = await Track.countDocuments({
-      artist: req.artist._id,
-      isExclusive: true
-    });
+    const {
+      title,
+      genre,
+      minimumTier,
+      trackNumber,
+      lyrics
+    } = req.body;
 
-    res.json({
-      tracks,
-      total,
-      currentPage: queryPage,
-      totalPages: Math.ceil(total / queryLimit)
-    });
+    // Find track and verify it belongs to a managed artist
+    const track = await Track.findOne({ _id: req.params.id, ...managedTrackQuery(req.artistIds) });
+
+    if (!track) {
+      await discardUploads(req);
+      return res.status(404).json({ message: 'Track not found or not managed by you' });
+    }
+
+    const tier = await resolveTier(minimumTier, track.artist);
+    if (tier === null) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Subscription tier not found for this artist' });
+    }
+
+    // Update fields if provided
+    if (title) track.title = title;
+    if (genre) track.genre = genre;
+    if (tier) track.minimumTierRequired = tier._id;
+    if (trackNumber) track.trackNumber = trackNumber;
+
+    // Moving between the free and exclusive catalog moves the artist's counts too
+    let countChange;
+    if (req.body.isExclusive !== undefined) {
+      const isExclusive = req.body.isExclusive === true || req.body.isExclusive === 'true';
+      if (isExclusive !== track.isExclusive) {
+        countChange = isExclusive
+          ? { exclusiveTrackCount: 1, trackCount: -1 }
+          : { exclusiveTrackCount: -1, trackCount: 1 };
+        track.isExclusive = isExclusive;
+      }
+    }
+
+    // Replace the audio if provided - everything derived from it is redone
+    let previousAudio;
+    if (req.files && req.files.audio) {
+      let ingested;
+      try {
+        ingested = await ingestAudioFile(req.files.audio[0]);
+      } catch (err) {
+        console.error(err);
+        await discardUploads(req);
+        return res.status(400).json({ message: 'Could not read audio file' });
+      }
+
+      previousAudio = { _id: track._id, fileUrl: track.fileUrl, master: { fileUrl: track.master && track.master.fileUrl } };
+
+      // Keep album and playlist running times in step with the new audio
+      const durationChange = (ingested.duration || 0) - (track.duration || 0);
+      if (track.album) {
+        await Album.updateOne(
+          { _id: track.album },
+          { $inc: { totalDuration: durationChange } }
+        );
+      }
+      await adjustPlaylistDurations(track._id, durationChange);
+
+      track.fileUrl = ingested.fileUrl;
+      track.master = ingested.master;
+      track.audio = ingested.audio;
+      track.duration = ingested.duration;
+      track.renditions = [];
+      track.hls = { status: 'pending' };
+      track.loudness = undefined;
+    }
+
+    // Store new cover art if provided
+    if (req.files && req.files.coverArt) {
+      track.coverArt = await saveUpload(req.files.coverArt[0]);
+    }
+
+    await track.save();
+
+    if (countChange) {
+      await Artist.findByIdAndUpdate(track.artist, { $inc: countChange });
+    }
+
+    // Resize the new artwork and extract its colors in the background
+    if (req.files && req.files.coverArt) {
+      queueImageProcessing(track.coverArt);
+    }
+
+    if (previousAudio) {
+      await removeTrackFiles(previousAudio);
+      queueTrackPackaging(track._id);
+      queueWaveformGeneration(track._id);
+      queueLoudnessAnalysis(track._id);
+      queueDuplicateCheck(track._id);
+    }
+
+    if (lyrics) {
+      await saveLyrics(track._id, lyrics, { source: 'distributor', userId: req.user.id });
+    }
+
+    res.json(track);
   } catch (err) {
     console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Upload exclusive content (non-audio, like images, PDFs, etc.)
-router.post('/media', [
-  auth,
-  artistAuth,
-  upload.single('media')
-], async (req, res) => {
+// Delete a managed track
+router.delete('/tracks/:id', portal, async (req, res) => {
   try {
-    const { title, description, contentType, minimumTier } = req.body;
+    const track = await Track.findOne({ _id: req.params.id, ...managedTrackQuery(req.artistIds) });
 
-    if (!title || !req.file) {
-      return res.status(400).json({ message: 'Title and media file are required' });
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found or not managed by you' });
     }
 
-    // Upload media file to S3
-    // This is a simplified example - in a real application, you'd have more robust handling
-    // for different content types, validation, etc.
-    const mediaUrl = await uploadToS3(req.file, 'exclusive-media');
+    // Also updates the artist's track count
+    await deleteTrack(track);
 
-    // Create a record of the exclusive content
-    // In a real application, you'd have a separate model for non-audio content
-    // This is simplified to demonstrate the concept
-    const exclusiveContent = {
-      title,
-      description: description || '',
-      artistId: req.artist._id,
-      mediaUrl,
-      contentType: contentType || 'other',
-      minimumSupportTier: minimumTier || 1,
-      createdAt: new Date(),
-      isExclusive: true
-    };
+    res.json({ message: 'Track deleted successfully' });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Normally you'd save this to a database
-    // For this example, we're just returning the object
+// Take a managed track down everywhere
+router.post('/tracks/:id/takedown', portal, async (req, res) => {
+  try {
+    const track = await Track.findOne({ _id: req.params.id, ...managedTrackQuery(req.artistIds) });
 
-    res.status(201).json({
-      message: 'Exclusive content uploaded successfully',
-      content: exclusiveContent
-    });
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found or not managed by you' });
+    }
+
+    // Also revokes offline downloads
+    await takeDownTracks([track], { reason: req.body.reason, userId: req.user.id });
+
+    res.json(track);
   } catch (err) {
     console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Update an exclusive track
-router.patch('/tracks/:id', [
-  auth,
-  artistAuth,
-  upload.fields([
-    { name: 'audio', maxCount: 1 },
-    { name: 'coverArt', maxCount: 1 }
-  ])
-], async (req, res) => {
+// Restore a taken down track to its previous availability
+router.post('/tracks/:id/restore', portal, async (req, res) => {
   try {
-    const trackId = req.params.id;
-    const {
-      title,
-      genre,
-      minimumTier,
-      description,
-      releaseDate,
-      trackNumber,
-      lyrics
-    } = req.body;
-
-    // Find track and verify ownership
-    const track = await Track.findOne({
-      _id: trackId,
-      artist: req.artist._id,
-      isExclusive: true
-    });
+    const track = await Track.findOne({ _id: req.params.id, ...managedTrackQuery(req.artistIds) });
 
     if (!track) {
-      return res.status(404).json({ message: 'Exclusive track not found or not owned by you' });
+      return res.status(404).json({ message: 'Track not found or not managed by you' });
+    }
+    if (!isTakenDown(track)) {
+      return res.status(400).json({ message: 'Track is not taken down' });
     }
 
-    // Update fields if provided
-    if (title) track.title = title;
-    if (genre) track.genre = genre;
-    if (minimumTier) track.minimumSupportTier = minimumTier;
-    if (description) track.description = description;
-    if (releaseDate) track.releaseDate = releaseDate;
-    if (trackNumber) track.trackNumber = trackNumber;
-    if (lyrics) track.lyrics = lyrics;
+    liftTakedown(track);
+    await track.save();
 
-    // Upload new audio file if provided
-    if (req.files.audio) {
-      track.audioUrl = await uploadToS3(req.files.audio[0], 'exclusive-tracks');
+    res.json(track);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
     }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    // Upload new cover art if provided
-    if (req.files.coverArt) {
-      track.coverArt = await uploadImageToS3(req.files.coverArt[0], 'track-covers');
+// Set the territories and dates a managed track is available in
+// Send an empty list to follow the album's availability (or be available everywhere)
+router.put('/tracks/:id/availability', portal, async (req, res) => {
+  try {
+    const { availability, error } = normalizeAvailability(req.body.availability);
+    if (error) {
+      return res.status(400).json({ message: error });
     }
 
+    const track = await Track.findOne({ _id: req.params.id, ...managedTrackQuery(req.artistIds) });
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found or not managed by you' });
+    }
+
+    // The takedown window would be overwritten
+    if (isTakenDown(track)) {
+      return res.status(400).json({ message: 'Restore the track before changing its availability' });
+    }
+
+    track.availability = availability;
     await track.save();
 
     res.json(track);
@@ -284,35 +608,260 @@ router.patch('/tracks/:id', [
   }
 });
 
-// Delete an exclusive track
-router.delete('/tracks/:id', [auth, artistAuth], async (req, res) => {
+// Update a managed album
+router.patch('/albums/:id', [...portal, uploadCoverArt], async (req, res) => {
+  try {
+    const { title, genre, releaseDate, releaseTimeZone, description, label, copyright } = req.body;
+
+    const album = await Album.findOne({ _id: req.params.id, artist: { $in: req.artistIds } });
+    if (!album) {
+      await discardUploads(req);
+      return res.status(404).json({ message: 'Album not found or not managed by you' });
+    }
+
+    // Update fields if provided
+    if (title) album.title = title;
+    if (genre) album.genre = genre;
+    if (releaseDate) {
+      const scheduled = setAlbumReleaseDate(album, releaseDate, releaseTimeZone);
+      if (scheduled.error) {
+        await discardUploads(req);
+        return res.status(400).json({ message: scheduled.error });
+      }
+    }
+    if (description) album.description = description;
+    if (label) album.metadata.label = label;
+    if (copyright) album.metadata.copyright = copyright;
+
+    // Upload new cover art if provided
+    if (req.file) {
+      album.coverArt = await saveUpload(req.file);
+    }
+
+    const releaseChanged = album.isModified('releaseDate');
+    await album.save();
+
+    // Tracks are embargoed together with their album
+    if (releaseChanged) {
+      await syncTrackRelease(album);
+    }
+
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(album.coverArt);
+    }
+
+    res.json(album);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      await discardUploads(req);
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Take a managed album and all of its tracks down everywhere
+router.post('/albums/:id/takedown', portal, async (req, res) => {
+  try {
+    const album = await Album.findOne({ _id: req.params.id, artist: { $in: req.artistIds } });
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found or not managed by you' });
+    }
+
+    await takeDownAlbum(album, { reason: req.body.reason, userId: req.user.id });
+
+    res.json(album);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restore a taken down album and its tracks
+router.post('/albums/:id/restore', portal, async (req, res) => {
+  try {
+    const album = await Album.findOne({ _id: req.params.id, artist: { $in: req.artistIds } });
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found or not managed by you' });
+    }
+    if (!isTakenDown(album)) {
+      return res.status(400).json({ message: 'Album is not taken down' });
+    }
+
+    await restoreAlbum(album);
+
+    res.json(album);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the territories and dates a managed album is available in
+// Its tracks follow unless they have availability of their own; send an empty list to lift all restrictions
+router.put('/albums/:id/availability', portal, async (req, res) => {
   try {
-    const trackId = req.params.id;
+    const { availability, error } = normalizeAvailability(req.body.availability);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const album = await Album.findOne({ _id: req.params.id, artist: { $in: req.artistIds } });
+    if (!album) {
+      return res.status(404).json({ message: 'Album not found or not managed by you' });
+    }
 
-    // Find track and verify ownership
-    const track = await Track.findOne({
-      _id: trackId,
-      artist: req.artist._id,
-      isExclusive: true
+    // The takedown window would be overwritten
+    if (isTakenDown(album)) {
+      return res.status(400).json({ message: 'Restore the album before changing its availability' });
+    }
+
+    album.availability = availability;
+    await album.save();
+
+    res.json(album);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Album not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Upload exclusive content (non-audio, like images, PDFs, etc.) for a managed artist
+router.post('/media', [...portal, uploadMedia], async (req, res) => {
+  try {
+    const { title, description, minimumTier } = req.body;
+    const artist = req.body.artist || (req.artistIds.length === 1 ? req.artistIds[0] : null);
+
+    if (!title || !req.file) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Title and media file are required' });
+    }
+    if (!artist) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Please specify the artist' });
+    }
+    if (!isManaged(req, artist)) {
+      await discardUploads(req);
+      return res.status(403).json({ message: 'You do not manage this artist' });
+    }
+
+    const tier = await resolveTier(minimumTier, artist);
+    if (tier === null) {
+      await discardUploads(req);
+      return res.status(400).json({ message: 'Subscription tier not found for this artist' });
+    }
+
+    // Anything that isn't playable or viewable is offered as a download
+    const [mediaType] = req.file.mimetype.split('/');
+    const contentType = req.body.contentType
+      || (['audio', 'video', 'image', 'text'].includes(mediaType) ? mediaType : 'download');
+
+    const content = new ExclusiveContent({
+      title,
+      description: description || '',
+      artist,
+      contentType,
+      contentUrl: await saveUpload(req.file),
+      fileSize: req.file.size,
+      minimumTierRequired: tier ? tier._id : null
     });
 
-    if (!track) {
-      return res.status(404).json({ message: 'Exclusive track not found or not owned by you' });
+    await content.save();
+
+    res.status(201).json({
+      message: 'Exclusive content uploaded successfully',
+      content
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Get the artists linked to a distributor account
+router.get('/accounts/:userId/artists', [auth, isAdmin], async (req, res) => {
+  try {
+    const artists = await Artist.find({ 'distributors.userId': req.params.userId })
+      .select('name profileImage distributors')
+      .sort({ name: 1 });
+
+    res.json(artists);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User not found' });
     }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    await track.remove();
+// Admin: Link an artist to a distributor account
+router.post('/accounts/:userId/artists', [auth, isAdmin], async (req, res) => {
+  try {
+    const { artistId } = req.body;
 
-    // Update artist's exclusive track count
-    await Artist.findByIdAndUpdate(
-      req.artist._id,
-      { $inc: { exclusiveTrackCount: -1 } }
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.isDistributor) {
+      return res.status(400).json({ message: 'User is not a distributor' });
+    }
+
+    const artist = await Artist.findById(artistId);
+    if (!artist) {
+      return res.status(404).json({ message: 'Artist not found' });
+    }
+
+    const isLinked = artist.distributors.some(
+      distributor => distributor.userId.toString() === user._id.toString()
     );
+    if (isLinked) {
+      return res.status(400).json({ message: 'Artist is already linked to this distributor' });
+    }
+
+    artist.distributors.push({ userId: user._id, addedBy: 'admin' });
+    await artist.save();
 
-    res.json({ message: 'Exclusive track deleted successfully' });
+    res.status(201).json(artist.distributors);
   } catch (err) {
     console.error(err);
     if (err.kind === 'ObjectId') {
-      return res.status(404).json({ message: 'Track not found' });
+      return res.status(404).json({ message: 'User or artist not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Unlink an artist from a distributor account
+router.delete('/accounts/:userId/artists/:artistId', [auth, isAdmin], async (req, res) => {
+  try {
+    const artist = await Artist.findByIdAndUpdate(
+      req.params.artistId,
+      { $pull: { distributors: { userId: req.params.userId } } },
+      { new: true }
+    );
+
+    if (!artist) {
+      return res.status(404).json({ message: 'Artist not found' });
+    }
+
+    res.json(artist.distributors);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'User or artist not found' });
     }
     res.status(500).json({ message: 'Server error' });
   }
@@ -327,12 +876,12 @@ router.post('/apply', auth, async (req, res) => {
       return res.status(400).json({ message: 'Artist name is required' });
     }
 
-    // Check if user already has an artist profile
-    const user = await User.findById(req.user.id);
+    // Check if user is already a member of an artist profile
+    const existing = await Artist.findOne({ 'members.userId': req.user.id });
 
-    if (user.artist) {
+    if (existing) {
       // Update existing artist profile with verification application
-      await Artist.findByIdAndUpdate(user.artist, {
+      await Artist.findByIdAndUpdate(existing._id, {
         $set: {
           verificationStatus: 'pending',
           name: artistName,
@@ -347,23 +896,18 @@ router.post('/apply', auth, async (req, res) => {
     // Create new artist profile with pending verification status
     const newArtist = new Artist({
       name: artistName,
-      user: req.user.id,
+      members: [{ userId: req.user.id, role: 'band-member', addedBy: 'self' }],
       genres: genre ? genre.split(',').map(g => g.trim()) : [],
       bio: bio || '',
       isVerified: false,
       trackCount: 0,
       exclusiveTrackCount: 0,
       followerCount: 0,
-      supporterCount: 0,
       verificationStatus: 'pending'
     });
 
     await newArtist.save();
 
-    // Update user with artist reference
-    user.artist = newArtist._id;
-    await user.save();
-
     res.status(201).json({
       message: 'Artist profile created and verification application submitted successfully',
       artist: newArtist
@@ -374,4 +918,4 @@ router.post('/apply', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
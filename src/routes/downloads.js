@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const DownloadLicense = require('../models/DownloadLicense');
+const Track = require('../models/Track');
+const Album = require('../models/Album');
+const Playlist = require('../models/Playlist');
+const User = require('../models/User');
+const {
+  MAX_OFFLINE_DEVICES,
+  checkDownloadEligibility,
+  registerOfflineDevice,
+  issueLicense,
+  formatLicense,
+  revokeLicenses
+} = require('../utils/downloadLicense');
+const { getRequestCountry } = require('../utils/territory');
+
+/**
+ * Resolve the tracks behind a download request
+ * Returns null when the album or playlist doesn't exist or isn't accessible
+ */
+const resolveTracks = async (type, id, userId) => {
+  if (type === 'track') {
+    const track = await Track.findById(id);
+    return track ? [track] : null;
+  }
+
+  if (type === 'album') {
+    const album = await Album.findById(id);
+    if (!album) return null;
+    return Track.find({ album: album._id }).sort({ discNumber: 1, trackNumber: 1 });
+  }
+
+  if (type === 'playlist') {
+    const playlist = await Playlist.findById(id);
+    if (!playlist) return null;
+
+    // Same access rule as viewing the playlist
+    const canView = playlist.isPublic ||
+      playlist.owner.toString() === userId ||
+      playlist.followers.some(follower => follower.toString() === userId);
+    if (!canView) return null;
+
+    return Track.find({ _id: { $in: playlist.tracks.map(t => t.track) } });
+  }
+
+  return null;
+};
+
+// Request download licenses for a track, album or playlist on a device
+router.post('/licenses', auth, async (req, res) => {
+  try {
+    const { type, id, deviceId, deviceName } = req.body;
+
+    if (!['track', 'album', 'playlist'].includes(type) || !id || !deviceId) {
+      return res.status(400).json({ message: 'Type (track, album or playlist), id and deviceId are required' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const tracks = await resolveTracks(type, id, req.user.id);
+    if (!tracks) {
+      return res.status(404).json({ message: `${type.charAt(0).toUpperCase() + type.slice(1)} not found` });
+    }
+
+    const country = await getRequestCountry(req);
+    const eligible = [];
+    const refused = [];
+
+    for (const track of tracks) {
+      const refusal = await checkDownloadEligibility(track, req.user, country);
+      if (refusal) {
+        refused.push({ track: track._id, ...refusal });
+      } else {
+        eligible.push(track);
+      }
+    }
+
+    // Nothing can be licensed - refuse before the device takes up a slot
+    if (eligible.length === 0) {
+      if (type === 'track' && refused.length === 1) {
+        return res.status(403).json(refused[0]);
+      }
+      return res.status(403).json({
+        message: 'None of these tracks can be downloaded',
+        code: 'NOTHING_TO_DOWNLOAD',
+        refused
+      });
+    }
+
+    if (!registerOfflineDevice(user, deviceId, deviceName)) {
+      return res.status(403).json({
+        message: `Offline downloads are limited to ${MAX_OFFLINE_DEVICES} devices. Remove a device to continue.`,
+        code: 'DEVICE_LIMIT_REACHED',
+        devices: user.offlineDevices
+      });
+    }
+
+    await user.save();
+
+    const licenses = [];
+    for (const track of eligible) {
+      const license = await issueLicense(req.user.id, track, deviceId, { type, id });
+      licenses.push(formatLicense(license));
+    }
+
+    res.status(201).json({ licenses, refused });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the current user's licenses, optionally for a single device
+router.get('/licenses', auth, async (req, res) => {
+  try {
+    const query = { user: req.user.id, status: 'active' };
+    if (req.query.deviceId) {
+      query.deviceId = req.query.deviceId;
+    }
+
+    const licenses = await DownloadLicense.find(query)
+      .populate('track', 'title artist duration coverArt images.coverArt')
+      .sort({ issuedAt: -1 });
+
+    res.json(licenses);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Renew a license - eligibility is checked again so lapsed subscriptions can't renew
+router.post('/licenses/:id/renew', auth, async (req, res) => {
+  try {
+    const license = await DownloadLicense.findOne({ _id: req.params.id, user: req.user.id });
+    if (!license) {
+      return res.status(404).json({ message: 'License not found' });
+    }
+
+    if (license.status === 'revoked') {
+      return res.status(400).json({ message: 'License has been revoked' });
+    }
+
+    const track = await Track.findById(license.track);
+    if (!track) {
+      await revokeLicenses({ _id: license._id }, 'Track removed');
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const refusal = await checkDownloadEligibility(track, req.user, await getRequestCountry(req));
+    if (refusal) {
+      await revokeLicenses({ _id: license._id }, refusal.message);
+      return res.status(403).json(refusal);
+    }
+
+    const renewed = await issueLicense(req.user.id, track, license.deviceId, license.source);
+
+    res.json(formatLicense(renewed));
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'License not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke a license
+router.delete('/licenses/:id', auth, async (req, res) => {
+  try {
+    const license = await DownloadLicense.findOne({ _id: req.params.id, user: req.user.id });
+    if (!license) {
+      return res.status(404).json({ message: 'License not found' });
+    }
+
+    await revokeLicenses({ _id: license._id }, 'Revoked by user');
+
+    res.json({ message: 'License revoked successfully' });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'License not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get devices registered for offline downloads
+router.get('/devices', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('offlineDevices');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      devices: user.offlineDevices,
+      maxDevices: MAX_OFFLINE_DEVICES
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a device and revoke all of its licenses
+router.delete('/devices/:deviceId', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { deviceId } = req.params;
+    const device = user.offlineDevices.find(d => d.deviceId === deviceId);
+    if (!device) {
+      return res.status(404).json({ message: 'Device not found' });
+    }
+
+    user.offlineDevices = user.offlineDevices.filter(d => d.deviceId !== deviceId);
+    await user.save();
+
+    await revokeLicenses({ user: req.user.id, deviceId }, 'Device removed');
+
+    res.json({ message: 'Device removed successfully' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
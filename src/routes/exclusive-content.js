@@ -4,7 +4,8 @@ const { auth } = require('../middleware/auth');
 const ExclusiveContent = require('../models/ExclusiveContent');
 const Artist = require('../models/Artist');
 const UserSubscription = require('../models/UserSubscription');
-const { uploadMedia } = require('../utils/fileUpload');
+const { uploadMedia, saveUpload } = require('../utils/fileUpload');
+const { signUploadUrl } = require('../utils/signedUrl');
 const mongoose = require('mongoose');
 
 // Middleware to check if user is artist member
@@ -212,7 +213,7 @@ router.post('/', auth, isArtistMember, uploadMedia, async (req, res) => {
 
     // Handle file uploads
     if (req.file) {
-      newContent.contentUrl = `/uploads/content/${req.file.filename}`;
+      newContent.contentUrl = await saveUpload(req.file);
 
       // Add file metadata
       if (req.file.mimetype.startsWith('video/')) {
@@ -294,7 +295,7 @@ router.put('/:id', auth, uploadMedia, async (req, res) => {
 
     // Handle file uploads
     if (req.file) {
-      content.contentUrl = `/uploads/content/${req.file.filename}`;
+      content.contentUrl = await saveUpload(req.file);
       content.fileSize = req.file.size;
 
       if (req.body.duration) {
@@ -348,6 +349,21 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Get a short-lived signed URL for the content's media file
+router.get('/:id/stream-url', auth, checkSubscriptionAccess, async (req, res) => {
+  try {
+    const media = signUploadUrl(req.content.contentUrl, req.user.id);
+
+    res.json({
+      url: media.url,
+      expiresAt: media.expiresAt
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Record a content download
 router.post('/:id/download', auth, checkSubscriptionAccess, async (req, res) => {
   try {
@@ -355,9 +371,12 @@ router.post('/:id/download', auth, checkSubscriptionAccess, async (req, res) =>
     req.content.downloadCount += 1;
     await req.content.save();
 
+    const download = signUploadUrl(req.content.contentUrl, req.user.id);
+
     res.json({
       message: 'Download recorded',
-      downloadUrl: req.content.contentUrl
+      downloadUrl: download.url,
+      expiresAt: download.expiresAt
     });
   } catch (err) {
     console.error(err);
@@ -18,14 +18,14 @@ router.post('/artist/:id', auth, async (req, res) => {
 
     // Check if user already follows this artist
     const user = await User.findById(userId);
-    if (user.followingArtists.includes(artistId)) {
+    if (user.following.artists.includes(artistId)) {
       return res.status(400).json({ message: 'Already following this artist' });
     }
 
     // Add artist to user's following list
     await User.findByIdAndUpdate(
       userId,
-      { $addToSet: { followingArtists: artistId } }
+      { $addToSet: { 'following.artists': artistId } }
     );
 
     // Increment artist's follower count
@@ -58,14 +58,14 @@ router.delete('/artist/:id', auth, async (req, res) => {
 
     // Check if user follows this artist
     const user = await User.findById(userId);
-    if (!user.followingArtists.includes(artistId)) {
+    if (!user.following.artists.includes(artistId)) {
       return res.status(400).json({ message: 'Not following this artist' });
     }
 
     // Remove artist from user's following list
     await User.findByIdAndUpdate(
       userId,
-      { $pull: { followingArtists: artistId } }
+      { $pull: { 'following.artists': artistId } }
     );
 
     // Decrement artist's follower count
@@ -173,15 +173,15 @@ router.delete('/user/:id', auth, async (req, res) => {
 router.get('/artists', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).populate({
-      path: 'followingArtists',
-      select: 'name profileImage bio followerCount isVerified'
+      path: 'following.artists',
+      select: 'name profileImage images.profileImage bio followerCount isVerified'
     });
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user.followingArtists);
+    res.json(user.following.artists);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -193,7 +193,7 @@ router.get('/users', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).populate({
       path: 'followingUsers',
-      select: 'username firstName lastName avatar'
+      select: 'username firstName lastName avatar images.avatar'
     });
 
     if (!user) {
@@ -212,7 +212,7 @@ router.get('/followers', auth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).populate({
       path: 'followers',
-      select: 'username firstName lastName avatar'
+      select: 'username firstName lastName avatar images.avatar'
     });
 
     if (!user) {
@@ -237,7 +237,7 @@ router.get('/check/artist/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const isFollowing = user.followingArtists.includes(artistId);
+    const isFollowing = user.following.artists.includes(artistId);
 
     res.json({ isFollowing });
   } catch (err) {
@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middleware/auth');
+const Notification = require('../models/Notification');
+
+// Get the current user's notifications, newest first
+// Use ?unread=true to only get unread ones
+router.get('/', auth, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const query = { user: req.user.id };
+    if (req.query.unread === 'true') {
+      query.readAt = { $exists: false };
+    }
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('artist', 'name profileImage images.profileImage')
+        .populate('album', 'title coverArt images.coverArt releaseDate')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user.id, readAt: { $exists: false } })
+    ]);
+
+    res.json({
+      items: notifications,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalNotifications: total,
+      unreadCount
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark every notification as read
+router.post('/read-all', auth, async (req, res) => {
+  try {
+    const { modifiedCount } = await Notification.updateMany(
+      { user: req.user.id, readAt: { $exists: false } },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({ message: 'Notifications marked as read', updated: modifiedCount });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -13,7 +13,7 @@ router.get('/', auth, async (req, res) => {
     const folders = await PlaylistFolder.find({ owner: req.user.id })
       .populate({
         path: 'playlists',
-        select: 'name color coverImage stats.totalDuration stats.followerCount'
+        select: 'name color coverImage images.coverImage stats.totalDuration stats.followerCount'
       })
       .populate({
         path: 'parentFolder',
@@ -33,7 +33,7 @@ router.get('/:id', auth, async (req, res) => {
     const folder = await PlaylistFolder.findById(req.params.id)
       .populate({
         path: 'playlists',
-        select: 'name color coverImage stats.totalDuration stats.followerCount tracks',
+        select: 'name color coverImage images.coverImage stats.totalDuration stats.followerCount tracks',
         populate: {
           path: 'tracks.track',
           select: 'title artist duration',
@@ -528,7 +528,7 @@ router.get('/:id/search', auth, async (req, res) => {
           ]
         }
       ]
-    }).select('name description color coverImage owner isPublic stats');
+    }).select('name description color coverImage images.coverImage owner isPublic stats');
 
     // Search child folders
     const childFolders = await PlaylistFolder.find({
@@ -4,10 +4,14 @@ const { auth } = require('../middleware/auth');
 const Playlist = require('../models/Playlist');
 const User = require('../models/User');
 const Track = require('../models/Track');
-const { uploadCover } = require('../utils/fileUpload');
+const { uploadCover, saveUpload } = require('../utils/fileUpload');
+const { queueImageProcessing } = require('../utils/imageDerivatives');
 const mongoose = require('mongoose');
 const PlaylistFolder = require('../models/PlaylistFolder');
 const { validateColor } = require('../middleware/validation');
+const { markLockedTracks, canViewTrack } = require('../utils/trackAccess');
+const { applyExplicitPreference } = require('../utils/contentFilter');
+const { getRequestCountry } = require('../utils/territory');
 
 // Get all public playlists (paginated)
 router.get('/public', async (req, res) => {
@@ -84,7 +88,7 @@ router.get('/:id', auth, async (req, res) => {
           },
           {
             path: 'album',
-            select: 'title coverArt'
+            select: 'title coverArt images.coverArt'
           }
         ]
       });
@@ -98,7 +102,17 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied to private playlist' });
     }
 
-    res.json(playlist);
+    // Apply the explicit content setting and mark exclusive tracks the user can't play
+    const playlistResponse = playlist.toObject();
+    const entries = playlistResponse.tracks.filter(t => t.track);
+    const filtered = await applyExplicitPreference(entries.map(t => t.track), req.user.id, await getRequestCountry(req));
+    const visible = entries
+      .map((t, i) => ({ ...t, track: filtered[i] }))
+      .filter(t => t.track);
+    const tracks = await markLockedTracks(visible.map(t => t.track), req.user);
+    playlistResponse.tracks = visible.map((t, i) => ({ ...t, track: tracks[i] }));
+
+    res.json(playlistResponse);
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -138,11 +152,16 @@ router.post('/', [auth, validateColor], uploadCover, async (req, res) => {
 
     // Add cover image if uploaded
     if (req.file) {
-      newPlaylist.coverImage = `/uploads/covers/${req.file.filename}`;
+      newPlaylist.coverImage = await saveUpload(req.file);
     }
 
     await newPlaylist.save();
 
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(newPlaylist.coverImage);
+    }
+
     // Add to user's playlists
     await User.findByIdAndUpdate(req.user.id, {
       $push: { 'playlists.created': newPlaylist._id }
@@ -178,9 +197,9 @@ router.post('/:id/tracks', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied: You do not own this playlist' });
     }
 
-    // Check if track exists
+    // Check if track exists and is out (and not taken down)
     const track = await Track.findById(trackId);
-    if (!track) {
+    if (!track || !await canViewTrack(track, req.user)) {
       return res.status(404).json({ message: 'Track not found' });
     }
 
@@ -302,10 +321,16 @@ router.put('/:id', [auth, validateColor], uploadCover, async (req, res) => {
 
     // Update cover image if uploaded
     if (req.file) {
-      playlist.coverImage = `/uploads/covers/${req.file.filename}`;
+      playlist.coverImage = await saveUpload(req.file);
     }
 
     await playlist.save();
+
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(playlist.coverImage);
+    }
+
     res.json(playlist);
   } catch (err) {
     console.error(err);
@@ -480,7 +505,7 @@ router.get('/recent', auth, async (req, res) => {
     .sort({ updatedAt: -1 })
     .limit(limit)
     .populate('folder', 'name')
-    .select('name color coverImage updatedAt tracks.length stats');
+    .select('name color coverImage images.coverImage updatedAt tracks.length stats');
 
     res.json(recentPlaylists);
   } catch (err) {
@@ -713,9 +738,9 @@ router.post('/liked/toggle/:trackId', auth, async (req, res) => {
       return res.status(400).json({ message: 'Invalid track ID' });
     }
 
-    // Make sure track exists
+    // Make sure track exists and is out (and not taken down)
     const track = await Track.findById(trackId);
-    if (!track) {
+    if (!track || !await canViewTrack(track, req.user)) {
       return res.status(404).json({ message: 'Track not found' });
     }
 
@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isDistributor } = require('../middleware/auth');
+const { uploadReleaseArchive } = require('../utils/fileUpload');
+const DdexDelivery = require('../models/DdexDelivery');
+const { ingestReleaseArchive } = require('../utils/releaseIngest');
+const { ingestErnArchive } = require('../utils/ernIngest');
+
+// Ingest a whole release from a zip of audio files, artwork and a manifest (distributors only)
+// The manifest is validated in full first; the album and tracks are created together or not at all
+router.post('/ingest', auth, isDistributor, uploadReleaseArchive, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a release archive' });
+    }
+
+    // Distributors may only deliver for the artists linked to their account
+    const result = await ingestReleaseArchive(req.file, {
+      distributorName: req.body.distributorName,
+      managedBy: req.user.id
+    });
+
+    if (result.errors) {
+      return res.status(422).json({
+        message: 'Release manifest failed validation',
+        errors: result.errors
+      });
+    }
+
+    res.status(201).json({
+      album: result.album,
+      tracks: result.tracks
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Ingest DDEX ERN 3.8/4.x messages from a zip of XML messages and their resources (distributors only)
+// Each message is processed on its own and gets a delivery record with an acknowledgement
+router.post('/ddex', auth, isDistributor, uploadReleaseArchive, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload a DDEX delivery archive' });
+    }
+
+    const result = await ingestErnArchive(req.file, {
+      userId: req.user.id,
+      distributorName: req.body.distributorName
+    });
+
+    if (result.errors) {
+      return res.status(422).json({
+        message: 'DDEX delivery could not be read',
+        errors: result.errors
+      });
+    }
+
+    const succeeded = result.deliveries.every(delivery => delivery.status === 'succeeded');
+    res.status(succeeded ? 201 : 422).json({
+      deliveries: result.deliveries.map(delivery => {
+        const { acknowledgement, ...summary } = delivery.toObject();
+        return summary;
+      })
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the DDEX deliveries uploaded by the current distributor (paginated)
+router.get('/ddex/deliveries', auth, isDistributor, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = { uploadedBy: req.user.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await DdexDelivery.find(filter)
+      .select('-acknowledgement')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await DdexDelivery.countDocuments(filter);
+
+    res.json({
+      deliveries,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDeliveries: total
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download the acknowledgement message for a delivery
+router.get('/ddex/deliveries/:id/acknowledgement', auth, async (req, res) => {
+  try {
+    const delivery = await DdexDelivery.findById(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+
+    const isUploader = delivery.uploadedBy && delivery.uploadedBy.toString() === req.user.id;
+    if (!isUploader && !req.user.isAdmin) {
+      return res.status(403).json({ message: 'Not authorized to view this delivery' });
+    }
+
+    if (!delivery.acknowledgement) {
+      return res.status(409).json({ message: 'Delivery is still being processed' });
+    }
+
+    res.type('application/xml').send(delivery.acknowledgement);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Delivery not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
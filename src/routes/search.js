@@ -8,6 +8,31 @@ const Playlist = require('../models/Playlist');
 const PlaylistFolder = require('../models/PlaylistFolder');
 const User = require('../models/User');
 const { searchTracks } = require('../utils/lastfm');
+const { markLockedTracks } = require('../utils/trackAccess');
+const { searchLyrics } = require('../utils/lyrics');
+const { withArtistDisplay } = require('../utils/trackArtists');
+const { explicitPreferenceQuery, filterExplicitTracks } = require('../utils/contentFilter');
+const { RELEASED_QUERY } = require('../utils/releaseSchedule');
+const { NOT_TAKEN_DOWN } = require('../utils/takedown');
+const { getRequestCountry, availableTracksQuery, availableAlbumsQuery } = require('../utils/territory');
+
+/**
+ * Conditions matching tracks that credit any of the given artists
+ * as lead, primary, featured or in the songwriting/production credits
+ */
+const creditedArtistConditions = (artistIds) => [
+  { artist: { $in: artistIds } },
+  { 'artists.artist': { $in: artistIds } },
+  { 'credits.artist': { $in: artistIds } }
+];
+
+/**
+ * Attach the matching lyric line to tracks found through their lyrics
+ */
+const withLyricMatches = (tracks, lyricMatches) => tracks.map(track => {
+  const line = lyricMatches.get(track._id.toString());
+  return line ? { ...track, lyricMatch: line } : track;
+});
 
 // Global search across all entities
 router.get('/', auth, async (req, res) => {
@@ -36,27 +61,41 @@ router.get('/', auth, async (req, res) => {
       ? searchCondition
       : regexCondition;
 
-    // Search tracks
-    const tracks = await Track.find({
+    // Artists matched by name also surface every track crediting them
+    const matchedArtistIds = await Artist.find({ name: regexSearch }).distinct('_id');
+
+    // Releases not licensed in the listener's country are left out
+    const country = await getRequestCountry(req);
+
+    // Search tracks, including by a line from their lyrics
+    const lyricMatches = await searchLyrics(query);
+    const tracks = await Track.find(await explicitPreferenceQuery(await availableTracksQuery({
       $or: [
         { title: regexSearch },
-        { genre: regexSearch }
-      ]
-    })
+        { genre: regexSearch },
+        { _id: { $in: [...lyricMatches.keys()] } },
+        ...creditedArtistConditions(matchedArtistIds)
+      ],
+      ...RELEASED_QUERY,
+      ...NOT_TAKEN_DOWN
+    }, country), req.user.id))
       .populate('artist', 'name')
-      .populate('album', 'title coverArt')
+      .populate('artists.artist', 'name')
+      .populate('album', 'title coverArt images.coverArt')
       .limit(limit);
 
     // Search artists
     const artists = await Artist.find({ name: regexSearch }).limit(limit);
 
     // Search albums
-    const albums = await Album.find({
+    const albums = await Album.find(availableAlbumsQuery({
       $or: [
         { title: regexSearch },
         { genre: regexSearch }
-      ]
-    })
+      ],
+      ...RELEASED_QUERY,
+      ...NOT_TAKEN_DOWN
+    }, country))
       .populate('artist', 'name')
       .limit(limit);
 
@@ -94,7 +133,7 @@ router.get('/', auth, async (req, res) => {
       .limit(limit);
 
     res.json({
-      tracks,
+      tracks: withArtistDisplay(withLyricMatches(await markLockedTracks(await filterExplicitTracks(tracks, req.user.id, country), req.user), lyricMatches)),
       artists,
       albums,
       playlists,
@@ -120,11 +159,20 @@ router.get('/tracks', auth, async (req, res) => {
       return res.status(400).json({ message: 'At least one search parameter is required' });
     }
 
-    // Build search query
-    const searchQuery = {};
+    // Build search query - embargoed tracks stay hidden until their release date
+    const searchQuery = { ...RELEASED_QUERY, ...NOT_TAKEN_DOWN };
+    const conditions = [];
+    let lyricMatches = new Map();
 
     if (q) {
-      searchQuery.title = { $regex: q, $options: 'i' };
+      // Match the title or a line from the lyrics
+      lyricMatches = await searchLyrics(q);
+      conditions.push({
+        $or: [
+          { title: { $regex: q, $options: 'i' } },
+          { _id: { $in: [...lyricMatches.keys()] } }
+        ]
+      });
     }
 
     if (genre) {
@@ -132,25 +180,30 @@ router.get('/tracks', auth, async (req, res) => {
     }
 
     if (artist) {
-      // Find artist by name first
-      const artistDoc = await Artist.findOne({ name: { $regex: artist, $options: 'i' } });
-      if (artistDoc) {
-        searchQuery.artist = artistDoc._id;
-      } else {
-        // If no artist found, search will return no results
-        searchQuery.artist = null;
-      }
+      // Match tracks crediting any artist with a matching name
+      // If no artist is found the search returns no results
+      const artistIds = await Artist.find({ name: { $regex: artist, $options: 'i' } }).distinct('_id');
+      conditions.push({ $or: creditedArtistConditions(artistIds) });
     }
 
+    if (conditions.length > 0) {
+      searchQuery.$and = conditions;
+    }
+
+    // Tracks not licensed in the listener's country are left out, as are explicit ones for users who hide them
+    const country = await getRequestCountry(req);
+    const availableQuery = await explicitPreferenceQuery(await availableTracksQuery(searchQuery, country), req.user.id);
+
     // Execute search
-    const tracks = await Track.find(searchQuery)
+    const tracks = await Track.find(availableQuery)
       .populate('artist', 'name')
-      .populate('album', 'title coverArt')
+      .populate('artists.artist', 'name')
+      .populate('album', 'title coverArt images.coverArt')
       .sort({ plays: -1 })
       .skip(skip)
       .limit(searchLimit);
 
-    const total = await Track.countDocuments(searchQuery);
+    const total = await Track.countDocuments(availableQuery);
 
     // If local search returned few results, try Last.fm
     if (tracks.length < 5 && q) {
@@ -160,7 +213,7 @@ router.get('/tracks', auth, async (req, res) => {
         // Return both local and Last.fm results
         res.json({
           localTracks: {
-            items: tracks,
+            items: withArtistDisplay(withLyricMatches(await markLockedTracks(await filterExplicitTracks(tracks, req.user.id, country), req.user), lyricMatches)),
             total,
             currentPage: searchPage,
             totalPages: Math.ceil(total / searchLimit)
@@ -176,7 +229,7 @@ router.get('/tracks', auth, async (req, res) => {
 
     // Return only local results
     res.json({
-      tracks: tracks,
+      tracks: withArtistDisplay(withLyricMatches(await markLockedTracks(await filterExplicitTracks(tracks, req.user.id, country), req.user), lyricMatches)),
       total,
       currentPage: searchPage,
       totalPages: Math.ceil(total / searchLimit)
@@ -244,8 +297,8 @@ router.get('/albums', auth, async (req, res) => {
       return res.status(400).json({ message: 'At least one search parameter is required' });
     }
 
-    // Build search query
-    const searchQuery = {};
+    // Build search query - embargoed albums stay hidden until their release date
+    const searchQuery = { ...RELEASED_QUERY, ...NOT_TAKEN_DOWN };
 
     if (q) {
       searchQuery.title = { $regex: q, $options: 'i' };
@@ -266,14 +319,17 @@ router.get('/albums', auth, async (req, res) => {
       }
     }
 
+    // Albums not licensed in the listener's country are left out
+    const availableQuery = availableAlbumsQuery(searchQuery, await getRequestCountry(req));
+
     // Execute search
-    const albums = await Album.find(searchQuery)
+    const albums = await Album.find(availableQuery)
       .populate('artist', 'name')
       .sort({ releaseDate: -1 })
       .skip(skip)
       .limit(searchLimit);
 
-    const total = await Album.countDocuments(searchQuery);
+    const total = await Album.countDocuments(availableQuery);
 
     res.json({
       albums,
@@ -13,7 +13,7 @@ router.get('/my', auth, async (req, res) => {
     const subscriptions = await UserSubscription.find({
       user: req.user.id
     })
-    .populate('artist', 'name profileImage')
+    .populate('artist', 'name profileImage images.profileImage')
     .populate('tier', 'name price features');
 
     res.json(subscriptions);
@@ -27,7 +27,7 @@ router.get('/my', auth, async (req, res) => {
 router.get('/:id', auth, async (req, res) => {
   try {
     const subscription = await UserSubscription.findById(req.params.id)
-      .populate('artist', 'name profileImage coverArt')
+      .populate('artist', 'name profileImage images.profileImage coverArt images.coverArt')
       .populate('tier', 'name price features');
 
     if (!subscription) {
@@ -147,7 +147,7 @@ router.post('/', auth, async (req, res) => {
 
     // Return the subscription with populated fields
     const populatedSubscription = await UserSubscription.findById(newSubscription._id)
-      .populate('artist', 'name profileImage')
+      .populate('artist', 'name profileImage images.profileImage')
       .populate('tier', 'name price features');
 
     res.status(201).json(populatedSubscription);
@@ -230,7 +230,7 @@ router.put('/:id/change-tier', auth, async (req, res) => {
 
     // Return the updated subscription with populated fields
     const updatedSubscription = await UserSubscription.findById(subscription._id)
-      .populate('artist', 'name profileImage')
+      .populate('artist', 'name profileImage images.profileImage')
       .populate('tier', 'name price features');
 
     res.json({
@@ -1,60 +1,116 @@
 const express = require('express');
 const router = express.Router();
-const { auth, isDistributor } = require('../middleware/auth');
+const { auth, isAdmin, isDistributor } = require('../middleware/auth');
+const { authOrSignedUrl } = require('../middleware/signedUrl');
 const Track = require('../models/Track');
 const Artist = require('../models/Artist');
+const Album = require('../models/Album');
 const User = require('../models/User');
-const { uploadTrackWithCover } = require('../utils/fileUpload');
-const NodeID3 = require('node-id3');
-const path = require('path');
-const multer = require('multer');
+const { uploadAudioFile, uploadTrackWithCover, saveUpload } = require('../utils/fileUpload');
+const { sendMediaFile, sendPlaylist } = require('../utils/mediaStream');
+const { signUrl } = require('../utils/signedUrl');
+const { queueTrackPackaging, getTrackHlsKey } = require('../utils/hlsPackager');
+const { queueLoudnessAnalysis, backfillLoudness } = require('../utils/loudness');
+const { queueWaveformGeneration, requestWaveform, selectResolution } = require('../utils/waveform');
+const Waveform = require('../models/Waveform');
+const { recordPlay, rebuildPlayCounters } = require('../utils/playLedger');
+const PlayEvent = require('../models/PlayEvent');
+const { checkTrackAccess, markLockedTracks, canManageTrack, canViewTrack } = require('../utils/trackAccess');
+const Lyrics = require('../models/Lyrics');
+const { saveLyrics } = require('../utils/lyrics');
+const { toLrc } = require('../utils/lrc');
+const { normalizeCredits } = require('../utils/credits');
+const { normalizeTrackArtists, withArtistDisplay } = require('../utils/trackArtists');
+const { explicitPreferenceQuery, filterExplicitTracks, resolvePlayableTrack } = require('../utils/contentFilter');
+const { saveEmbeddedCover, findConflicts } = require('../utils/audioMetadata');
+const { queueImageProcessing } = require('../utils/imageDerivatives');
+const { ingestAudioFile, getStreamKey, getMasterKey } = require('../utils/audioIngest');
+const storage = require('../utils/storage');
+const TrackDuplicate = require('../models/TrackDuplicate');
+const { findDuplicates, queueDuplicateCheck, backfillDuplicateChecks, mergeDuplicate } = require('../utils/duplicates');
+const { deleteTrack, removeTrackFiles } = require('../utils/trackRemoval');
+const { adjustPlaylistDurations } = require('../utils/playlistStats');
+const { revokeLicenses } = require('../utils/downloadLicense');
+const { RELEASED_QUERY, isReleased } = require('../utils/releaseSchedule');
+const { NOT_TAKEN_DOWN, isTakenDown } = require('../utils/takedown');
+const { getRequestCountry, availableTracksQuery, checkTrackTerritory } = require('../utils/territory');
 const fs = require('fs');
+const mongoose = require('mongoose');
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    // Create directory if it doesn't exist
-    const dir = path.join(__dirname, '../../uploads/tracks');
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    cb(null, dir);
-  },
-  filename: function (req, file, cb) {
-    // Create a unique file name
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
+const PLAY_CONTEXT_TYPES = PlayEvent.schema.path('context.type').enumValues;
+const DEVICE_TYPES = PlayEvent.schema.path('device.type').enumValues;
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
-});
+// Media routes accept either the Authorization header or a signed URL
+const trackMediaAuth = authOrSignedUrl(req => `track:${req.params.id}`);
 
 // Upload a new track
-router.post('/', auth, upload.single('audioFile'), async (req, res) => {
+router.post('/', auth, uploadAudioFile, async (req, res) => {
   try {
-    const { title, artist, genre } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Please upload an audio file' });
+    }
+
+    // Keep the upload as the master, read its stream info and tags
+    // and create the streaming file from it
+    let ingested;
+    try {
+      ingested = await ingestAudioFile(req.file);
+    } catch (err) {
+      console.error(err);
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ message: 'Could not read audio file' });
+    }
+
+    const { fileUrl, master, audio, duration, tags } = ingested;
+
+    // Remove the master and streaming file if the upload is rejected
+    const discardUpload = async () => {
+      await storage.remove(getMasterKey({ master })).catch(() => {});
+      await storage.remove(getStreamKey({ fileUrl })).catch(() => {});
+    };
+
+    // Form fields take precedence; embedded tags fill the gaps
+    const title = req.body.title || tags.title;
+    const genre = req.body.genre || tags.genre;
+
+    // A full artist list (with features) may be sent instead of a single artist
+    let artists;
+    if (req.body.artists) {
+      const normalized = await normalizeTrackArtists(req.body.artists);
+      if (normalized.error) {
+        await discardUpload();
+        return res.status(400).json({ message: normalized.error });
+      }
+      artists = normalized.artists;
+    }
+    const artist = artists ? artists[0].artist : req.body.artist;
 
     if (!title || !artist) {
+      await discardUpload();
       return res.status(400).json({ message: 'Please provide a title and artist' });
     }
 
     // Check if artist exists
     const artistDoc = await Artist.findById(artist);
     if (!artistDoc) {
+      await discardUpload();
       return res.status(404).json({ message: 'Artist not found' });
     }
 
     // For testing purposes, allow any user to upload a track
     // In production, you'd check if user is an admin, the artist, or a distributor
 
-    let fileUrl = null;
-    if (req.file) {
-      fileUrl = req.file.filename;
-    } else {
-      return res.status(400).json({ message: 'Please upload an audio file' });
+    // Report form fields that disagree with the embedded tags
+    const metadataConflicts = findConflicts(
+      { title: req.body.title, artist: artistDoc.name, genre: req.body.genre },
+      tags
+    );
+
+    // Use embedded artwork when present
+    let coverArt;
+    if (tags.image) {
+      coverArt = await saveEmbeddedCover(tags.image);
     }
 
     // Get distributor name or use default
@@ -64,14 +120,21 @@ router.post('/', auth, upload.single('audioFile'), async (req, res) => {
     const newTrack = new Track({
       title,
       artist,
+      artists,
       fileUrl,
+      coverArt,
       genre: genre || 'Unknown',
-      duration: 180, // Default duration for testing
+      duration,
+      audio,
+      master,
       distributor: {
         name: distributorName,
         uploadDate: new Date()
       },
       metadata: {
+        bpm: tags.bpm,
+        isrc: tags.isrc,
+        language: tags.language,
         explicit: false
       }
     });
@@ -83,13 +146,199 @@ router.post('/', auth, upload.single('audioFile'), async (req, res) => {
       $inc: { trackCount: 1 }
     });
 
-    res.status(201).json(newTrack);
+    // Transcode, render waveform peaks, measure loudness, look for duplicates
+    // and resize embedded artwork in the background
+    queueTrackPackaging(newTrack._id);
+    queueWaveformGeneration(newTrack._id);
+    queueLoudnessAnalysis(newTrack._id);
+    queueDuplicateCheck(newTrack._id);
+    if (coverArt) {
+      queueImageProcessing(coverArt);
+    }
+
+    res.status(201).json({
+      ...newTrack.toObject(),
+      metadataConflicts
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Queue loudness analysis for tracks that haven't been measured yet
+router.post('/loudness/backfill', auth, isAdmin, async (req, res) => {
+  try {
+    const force = req.body.force === true || req.body.force === 'true';
+    const queued = await backfillLoudness({ force });
+
+    res.status(202).json({
+      message: 'Loudness backfill queued',
+      queued
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Rebuild play counters from the play ledger
+router.post('/plays/rebuild', auth, isAdmin, async (req, res) => {
+  try {
+    const updated = await rebuildPlayCounters();
+
+    res.json({
+      message: 'Play counters rebuilt from play ledger',
+      updated
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Get play events flagged as suspicious
+router.get('/plays/flagged', auth, isAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const events = await PlayEvent.find({ flagged: true })
+      .populate('user', 'username')
+      .populate('track', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await PlayEvent.countDocuments({ flagged: true });
+
+    res.json({
+      events,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalEvents: total
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Queue duplicate checks for tracks that haven't been fingerprinted yet
+router.post('/duplicates/scan', auth, isAdmin, async (req, res) => {
+  try {
+    const force = req.body.force === true || req.body.force === 'true';
+    const queued = await backfillDuplicateChecks({ force });
+
+    res.status(202).json({
+      message: 'Duplicate scan queued',
+      queued
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Get suspected duplicate tracks awaiting review
+router.get('/duplicates', auth, isAdmin, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { status: req.query.status || 'pending' };
+    if (req.query.matchType) {
+      filter.matchType = req.query.matchType;
+    }
+
+    const trackFields = 'title artist album duration master.checksum distributor createdAt';
+    const duplicates = await TrackDuplicate.find(filter)
+      .populate({ path: 'track', select: trackFields, populate: { path: 'artist', select: 'name' } })
+      .populate({ path: 'original', select: trackFields, populate: { path: 'artist', select: 'name' } })
+      .sort({ similarity: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await TrackDuplicate.countDocuments(filter);
+
+    res.json({
+      duplicates,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDuplicates: total
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Admin: Merge a duplicate pair - plays, playlists and history move to the kept track
+// The original is kept unless { keep } names the other track of the pair
+router.post('/duplicates/:id/merge', auth, isAdmin, async (req, res) => {
+  try {
+    const duplicate = await TrackDuplicate.findById(req.params.id);
+    if (!duplicate) {
+      return res.status(404).json({ message: 'Duplicate not found' });
+    }
+
+    if (duplicate.status !== 'pending') {
+      return res.status(409).json({ message: `Duplicate has already been ${duplicate.status}` });
+    }
+
+    const { keep } = req.body;
+    if (keep && ![duplicate.track, duplicate.original].some(id => id.toString() === String(keep))) {
+      return res.status(400).json({ message: 'keep must be one of the two tracks' });
+    }
+
+    const result = await mergeDuplicate(duplicate, { keepId: keep, userId: req.user.id });
+    if (result.error) {
+      return res.status(409).json({ message: result.error });
+    }
+
+    res.json({
+      message: 'Tracks merged',
+      duplicate: result.duplicate,
+      track: result.kept
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Duplicate not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Admin: Reject a suspected duplicate - both tracks stay and the pair isn't flagged again
+router.post('/duplicates/:id/reject', auth, isAdmin, async (req, res) => {
+  try {
+    const duplicate = await TrackDuplicate.findById(req.params.id);
+    if (!duplicate) {
+      return res.status(404).json({ message: 'Duplicate not found' });
+    }
+
+    if (duplicate.status !== 'pending') {
+      return res.status(409).json({ message: `Duplicate has already been ${duplicate.status}` });
+    }
+
+    duplicate.status = 'rejected';
+    duplicate.reviewedBy = req.user.id;
+    duplicate.reviewedAt = new Date();
+    await duplicate.save();
+
+    res.json(duplicate);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Duplicate not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get all tracks (paginated)
 router.get('/', auth, async (req, res) => {
   try {
@@ -97,17 +346,27 @@ router.get('/', auth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
 
-    const tracks = await Track.find()
+    // Embargoed tracks stay hidden until their release date, taken down ones for good,
+    // tracks not licensed in the listener's country are left out, and explicit ones for users who hide them
+    const country = await getRequestCountry(req);
+    const query = await explicitPreferenceQuery(
+      await availableTracksQuery({ ...RELEASED_QUERY, ...NOT_TAKEN_DOWN }, country),
+      req.user.id
+    );
+    const tracks = await Track.find(query)
       .populate('artist', 'name')
-      .populate('album', 'title coverArt')
+      .populate('artists.artist', 'name')
+      .populate('album', 'title coverArt images.coverArt')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Track.countDocuments();
+    const total = await Track.countDocuments(query);
+
+    const visibleTracks = await filterExplicitTracks(tracks, req.user.id, country);
 
     res.json({
-      tracks,
+      tracks: withArtistDisplay(await markLockedTracks(visibleTracks, req.user)),
       currentPage: page,
       totalPages: Math.ceil(total / limit),
       totalTracks: total
@@ -121,36 +380,424 @@ router.get('/', auth, async (req, res) => {
 // Get single track by ID
 router.get('/:id', auth, async (req, res) => {
   try {
-    const track = await Track.findById(req.query.id)
+    const track = await Track.findById(req.params.id)
       .populate('artist', 'name')
-      .populate('album', 'title coverArt type releaseDate');
+      .populate('artists.artist', 'name profileImage images.profileImage')
+      .populate('album', 'title coverArt images.coverArt type releaseDate')
+      .populate('credits.artist', 'name profileImage images.profileImage');
 
+    // Embargoed and taken down tracks are only visible to the people releasing them
+    if (!track || !await canViewTrack(track, req.user)) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const regionDenied = await checkTrackTerritory(track, await getRequestCountry(req));
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    const [trackResponse] = withArtistDisplay(await markLockedTracks([track], req.user));
+    res.json(trackResponse);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a track's details, audio or cover art (artist members, distributors and admins)
+// Send a new audio file as "track" and new artwork as "cover"
+router.patch('/:id', auth, uploadTrackWithCover, async (req, res) => {
+  const audioFile = req.files && req.files.track && req.files.track[0];
+  const coverFile = req.files && req.files.cover && req.files.cover[0];
+
+  // Remove uploaded files again if the edit is rejected
+  const discardUploads = () => Promise.all([audioFile, coverFile]
+    .filter(Boolean)
+    .map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+  try {
+    const track = await Track.findById(req.params.id);
     if (!track) {
+      await discardUploads();
       return res.status(404).json({ message: 'Track not found' });
     }
 
+    if (!await canManageTrack(track, req.user)) {
+      await discardUploads();
+      return res.status(403).json({ message: 'Not authorized to edit this track' });
+    }
+
+    const { title, genre, trackNumber, discNumber, allowDownload, explicit, bpm, key, isrc, language } = req.body;
+    const parseFlag = (value) => value === true || value === 'true';
+
+    if (title !== undefined) {
+      if (!String(title).trim()) {
+        await discardUploads();
+        return res.status(400).json({ message: 'Title cannot be empty' });
+      }
+      track.title = title;
+    }
+
+    for (const [field, value] of [['trackNumber', trackNumber], ['discNumber', discNumber]]) {
+      if (value === undefined) continue;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        await discardUploads();
+        return res.status(400).json({ message: `${field} must be a positive integer` });
+      }
+      track[field] = number;
+    }
+
+    if (genre !== undefined) track.genre = genre;
+    if (explicit !== undefined) track.metadata.explicit = parseFlag(explicit);
+    if (bpm !== undefined) track.metadata.bpm = Number(bpm) || undefined;
+    if (key !== undefined) track.metadata.key = key || undefined;
+    if (isrc !== undefined) track.metadata.isrc = isrc ? String(isrc).toUpperCase().replace(/-/g, '').trim() : undefined;
+    if (language !== undefined) track.metadata.language = language || undefined;
+
+    const downloadsDisabled = allowDownload !== undefined && track.allowDownload && !parseFlag(allowDownload);
+    if (allowDownload !== undefined) track.allowDownload = parseFlag(allowDownload);
+
+    // Replace the audio: the upload becomes the new master and everything derived is redone
+    let previousAudio;
+    if (audioFile) {
+      let ingested;
+      try {
+        ingested = await ingestAudioFile(audioFile);
+      } catch (err) {
+        console.error(err);
+        await discardUploads();
+        return res.status(400).json({ message: 'Could not read audio file' });
+      }
+
+      previousAudio = { _id: track._id, fileUrl: track.fileUrl, master: { fileUrl: track.master && track.master.fileUrl } };
+
+      // Keep album and playlist running times in step with the new audio
+      const durationChange = (ingested.duration || 0) - (track.duration || 0);
+      if (track.album) {
+        await Album.updateOne(
+          { _id: track.album },
+          { $inc: { totalDuration: durationChange } }
+        );
+      }
+      await adjustPlaylistDurations(track._id, durationChange);
+
+      track.fileUrl = ingested.fileUrl;
+      track.master = ingested.master;
+      track.audio = ingested.audio;
+      track.duration = ingested.duration;
+      track.renditions = [];
+      track.hls = { status: 'pending' };
+      track.loudness = undefined;
+    }
+
+    // The previous cover may be shared with the album, so the orphan file reaper removes it
+    if (coverFile) {
+      track.coverArt = await saveUpload(coverFile);
+    }
+
+    await track.save();
+
+    // Resize the new artwork and extract its colors in the background
+    if (coverFile) {
+      queueImageProcessing(track.coverArt);
+    }
+
+    if (previousAudio) {
+      await removeTrackFiles(previousAudio);
+      queueTrackPackaging(track._id);
+      queueWaveformGeneration(track._id);
+      queueLoudnessAnalysis(track._id);
+      queueDuplicateCheck(track._id);
+    }
+
+    // Offline copies can't be kept once downloads are turned off
+    if (downloadsDisabled) {
+      await revokeLicenses({ track: track._id }, 'Downloads disabled for this track');
+    }
+
     res.json(track);
   } catch (err) {
+    // Uploads left behind by a failed edit are removed by the orphan file reaper
     console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Play track and increment play count
-router.post('/:id/play', auth, async (req, res) => {
+// Delete a track - it is removed from albums, playlists, liked songs and listening history
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    if (!await canManageTrack(track, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to delete this track' });
+    }
+
+    await deleteTrack(track);
+
+    res.json({ message: 'Track deleted successfully' });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace a track's primary and featured artists (artist members, distributors and admins)
+router.put('/:id/artists', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    if (!await canManageTrack(track, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to edit artists for this track' });
+    }
+
+    const { artists, error } = await normalizeTrackArtists(req.body.artists);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const previousLead = track.artist.toString();
+
+    track.artists = artists;
+    await track.save();
+
+    // Move the track count when the lead artist changes
+    if (track.artist.toString() !== previousLead) {
+      await Artist.findByIdAndUpdate(previousLead, { $inc: { trackCount: -1 } });
+      await Artist.findByIdAndUpdate(track.artist, { $inc: { trackCount: 1 } });
+    }
+
+    await track.populate('artists.artist', 'name profileImage images.profileImage');
+    const [trackResponse] = withArtistDisplay([track.toObject()]);
+
+    res.json({
+      artists: trackResponse.artists,
+      artistDisplay: trackResponse.artistDisplay
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get every version of a track (original, clean edit, remaster, live...)
+router.get('/:id/versions', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    // Embargoed and taken down tracks are only visible to the people releasing them
+    if (!track || !await canViewTrack(track, req.user)) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const regionDenied = await checkTrackTerritory(track, await getRequestCountry(req));
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    // Versions still under embargo, taken down or not licensed in the listener's country aren't listed
+    const versions = track.version.group
+      ? await Track.find(await availableTracksQuery({
+        'version.group': track.version.group,
+        ...RELEASED_QUERY,
+        ...NOT_TAKEN_DOWN
+      }, await getRequestCountry(req)))
+        .populate('artist', 'name')
+        .populate('album', 'title coverArt images.coverArt')
+        .sort({ createdAt: 1 })
+      : [track];
+
+    res.json({
+      group: track.version.group || null,
+      versions: await markLockedTracks(versions, req.user)
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set a track's version type and optionally link it to another version of the same recording
+router.put('/:id/version', auth, async (req, res) => {
+  try {
+    const { of, type, label } = req.body;
+
+    const versionTypes = Track.schema.path('version.type').enumValues;
+    if (type && !versionTypes.includes(type)) {
+      return res.status(400).json({ message: `Version type must be one of: ${versionTypes.join(', ')}` });
+    }
+
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    if (!await canManageTrack(track, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to edit this track' });
+    }
+
+    if (of) {
+      if (of === track._id.toString()) {
+        return res.status(400).json({ message: 'A track cannot be a version of itself' });
+      }
+
+      const other = await Track.findById(of);
+      if (!other) {
+        return res.status(404).json({ message: 'Linked track not found' });
+      }
+
+      if (!await canManageTrack(other, req.user)) {
+        return res.status(403).json({ message: 'Not authorized to edit the linked track' });
+      }
+
+      // The first link starts a group named after the existing track
+      if (!other.version.group) {
+        other.version.group = other._id;
+        await other.save();
+      }
+      track.version.group = other.version.group;
+    }
+
+    if (type) track.version.type = type;
+    if (label !== undefined) track.version.label = label || undefined;
+
+    // Keep the explicit flag consistent with explicit/clean version types
+    if (track.version.type === 'explicit') track.metadata.explicit = true;
+    if (track.version.type === 'clean') track.metadata.explicit = false;
+
+    await track.save();
+
+    res.json(track.version);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a track from its version group
+router.delete('/:id/version', auth, async (req, res) => {
   try {
     const track = await Track.findById(req.params.id);
     if (!track) {
       return res.status(404).json({ message: 'Track not found' });
     }
 
-    // Increment play count
-    track.plays += 1;
+    if (!await canManageTrack(track, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to edit this track' });
+    }
+
+    track.version.group = undefined;
     await track.save();
 
-    // Update artist's total plays
-    await Artist.findByIdAndUpdate(track.artist, {
-      $inc: { totalPlays: 1 }
+    res.json({ message: 'Track removed from its version group' });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace a track's credits (artist members, distributors and admins)
+router.put('/:id/credits', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    if (!await canManageTrack(track, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to edit credits for this track' });
+    }
+
+    const { credits, error } = await normalizeCredits(req.body.credits);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    track.credits = credits;
+    await track.save();
+    await track.populate('credits.artist', 'name profileImage images.profileImage');
+
+    res.json(track.credits);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Report a play - recorded in the play ledger, counted only if it passes the play rules
+router.post('/:id/play', auth, async (req, res) => {
+  try {
+    const { durationListened, context, device } = req.body;
+
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    // Previews before the release date don't count as plays
+    if (!isReleased(track)) {
+      return res.status(403).json({ message: 'This track has not been released yet', code: 'NOT_RELEASED' });
+    }
+    if (isTakenDown(track)) {
+      return res.status(403).json({ message: 'This track has been taken down', code: 'TAKEN_DOWN' });
+    }
+
+    const regionDenied = await checkTrackTerritory(track, await getRequestCountry(req));
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    if (durationListened === undefined || isNaN(parseFloat(durationListened))) {
+      return res.status(400).json({ message: 'durationListened (in seconds) is required' });
+    }
+
+    const playContext = context && PLAY_CONTEXT_TYPES.includes(context.type)
+      ? {
+        type: context.type,
+        id: mongoose.Types.ObjectId.isValid(context.id) ? context.id : undefined
+      }
+      : { type: 'other' };
+
+    const event = await recordPlay({
+      userId: req.user.id,
+      track,
+      durationListened,
+      context: playContext,
+      device: {
+        id: device && device.id,
+        type: device && DEVICE_TYPES.includes(device.type) ? device.type : 'other',
+        userAgent: req.get('User-Agent')
+      },
+      ip: req.ip
     });
 
     // Add to user's recently played
@@ -164,29 +811,364 @@ router.post('/:id/play', auth, async (req, res) => {
       }
     });
 
-    res.json({ message: 'Play recorded successfully' });
+    res.json({
+      message: 'Play recorded successfully',
+      counted: event.counted,
+      reason: event.reason
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Get track audio file
-router.get('/:id/stream', auth, async (req, res) => {
+// Admin: Look up catalog tracks that duplicate a track
+router.get('/:id/duplicates', auth, isAdmin, async (req, res) => {
   try {
     const track = await Track.findById(req.params.id);
     if (!track) {
       return res.status(404).json({ message: 'Track not found' });
     }
 
-    // Check if track is exclusive and user has access
-    if (track.isExclusive) {
-      // Add your exclusive content access check logic here
-      // For now, we'll just allow it
+    const matches = await findDuplicates(track);
+    const tracks = await Track.find({ _id: { $in: matches.map(match => match.track) } })
+      .select('title artist album duration createdAt')
+      .populate('artist', 'name');
+    const byId = new Map(tracks.map(match => [match._id.toString(), match]));
+
+    res.json({
+      track: track._id,
+      matches: matches.map(match => ({ ...match, track: byId.get(match.track.toString()) }))
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
     }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    const filePath = path.join(__dirname, '../../uploads/tracks', track.fileUrl);
-    res.sendFile(filePath);
+// Get waveform peak data for a track
+router.get('/:id/waveform', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    // Embargoed and taken down tracks are only visible to the people releasing them
+    if (!track || !await canViewTrack(track, req.user)) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const regionDenied = await checkTrackTerritory(track, await getRequestCountry(req));
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    const waveform = await Waveform.findOne({ track: track._id });
+
+    // Missing or generated from a replaced audio file - (re)generate it
+    if (!waveform || waveform.sourceFile !== track.fileUrl) {
+      await requestWaveform(track);
+      return res.status(202).json({ message: 'Waveform is being generated' });
+    }
+
+    if (waveform.status === 'failed') {
+      return res.status(422).json({ message: 'Waveform could not be generated from this track\'s audio' });
+    }
+
+    if (waveform.status === 'pending') {
+      // Re-queues after a restart dropped the job; a no-op while it is still queued
+      queueWaveformGeneration(track._id);
+      return res.status(202).json({ message: 'Waveform is being generated' });
+    }
+
+    // Peaks only change when the audio does, so let clients cache them
+    res.set({
+      'Cache-Control': 'private, max-age=86400',
+      'Last-Modified': waveform.generatedAt.toUTCString()
+    });
+
+    // HTTP dates have whole-second precision
+    const modifiedSince = Date.parse(req.get('If-Modified-Since'));
+    if (!isNaN(modifiedSince) && Math.floor(waveform.generatedAt.getTime() / 1000) * 1000 <= modifiedSince) {
+      return res.status(304).end();
+    }
+
+    const resolution = selectResolution(waveform, req.query.points);
+
+    res.json({
+      track: track._id,
+      duration: waveform.duration,
+      points: resolution.points,
+      peaks: resolution.peaks
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get lyrics for a track - synced lyrics include timed lines and an LRC rendering
+router.get('/:id/lyrics', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track || !await canViewTrack(track, req.user)) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const regionDenied = await checkTrackTerritory(track, await getRequestCountry(req));
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    const lyrics = await Lyrics.findOne({ track: track._id });
+    if (!lyrics) {
+      return res.status(404).json({ message: 'No lyrics available for this track' });
+    }
+
+    res.json({
+      track: track._id,
+      language: lyrics.language,
+      syncType: lyrics.syncType,
+      plainText: lyrics.plainText,
+      lines: lyrics.lines,
+      lrc: lyrics.syncType === 'none' ? null : toLrc(lyrics.lines),
+      updatedAt: lyrics.updatedAt
+    });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add or replace lyrics (artist members, distributors and admins)
+// Accepts plain text or LRC; LRC timestamps are detected automatically
+router.put('/:id/lyrics', auth, async (req, res) => {
+  try {
+    const { lyrics, language } = req.body;
+
+    if (typeof lyrics !== 'string' || !lyrics.trim()) {
+      return res.status(400).json({ message: 'Lyrics text is required' });
+    }
+
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const role = await canManageTrack(track, req.user);
+    if (!role) {
+      return res.status(403).json({ message: 'Not authorized to edit lyrics for this track' });
+    }
+
+    const saved = await saveLyrics(track._id, lyrics, {
+      source: role,
+      userId: req.user.id,
+      language
+    });
+
+    if (!saved) {
+      return res.status(400).json({ message: 'Lyrics contain no text' });
+    }
+
+    res.json(saved);
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove lyrics from a track
+router.delete('/:id/lyrics', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    if (!await canManageTrack(track, req.user)) {
+      return res.status(403).json({ message: 'Not authorized to edit lyrics for this track' });
+    }
+
+    const result = await Lyrics.deleteOne({ track: track._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'No lyrics available for this track' });
+    }
+
+    res.json({ message: 'Lyrics removed successfully' });
+  } catch (err) {
+    console.error(err);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get short-lived signed URLs for streaming a track without the Authorization header
+router.get('/:id/stream-url', auth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    // Explicit tracks may be replaced by their clean version
+    const playable = await resolvePlayableTrack(track, req.user.id, await getRequestCountry(req));
+    if (playable.blocked) {
+      return res.status(403).json(playable.blocked);
+    }
+
+    const regionDenied = await checkTrackTerritory(playable.track, await getRequestCountry(req));
+    if (regionDenied) {
+      return res.status(403).json(regionDenied);
+    }
+
+    const accessDenied = await checkTrackAccess(playable.track, req.user);
+    if (accessDenied) {
+      return res.status(403).json(accessDenied);
+    }
+
+    // URLs stay on the requested track; the media routes apply the same substitution
+    const scope = `track:${track._id}`;
+    const stream = signUrl(`/api/tracks/${track._id}/stream`, scope, req.user.id);
+    const hls = playable.track.hls.status === 'ready'
+      ? signUrl(`/api/tracks/${track._id}/hls/master.m3u8`, scope, req.user.id)
+      : null;
+
+    res.json({
+      track: playable.track._id,
+      substitutedFor: playable.substituted ? track._id : null,
+      streamUrl: stream.url,
+      hlsUrl: hls ? hls.url : null,
+      expiresAt: stream.expiresAt
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Stream track audio file (supports byte ranges and conditional requests)
+router.get('/:id/stream', trackMediaAuth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const playable = await resolvePlayableTrack(track, req.user.id, await getRequestCountry(req));
+    if (playable.blocked) {
+      return res.status(403).json(playable.blocked);
+    }
+
+    // Check the listener's region and their access to exclusive tracks
+    // (signed URLs are only minted after the access check has passed)
+    if (!req.signedUrl) {
+      const regionDenied = await checkTrackTerritory(playable.track, await getRequestCountry(req));
+      if (regionDenied) {
+        return res.status(403).json(regionDenied);
+      }
+
+      const accessDenied = await checkTrackAccess(playable.track, req.user);
+      if (accessDenied) {
+        return res.status(403).json(accessDenied);
+      }
+    }
+
+    res.set('X-Track-Id', playable.track._id.toString());
+    await sendMediaFile(req, res, getStreamKey(playable.track));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get HLS master playlist for adaptive streaming
+router.get('/:id/hls/master.m3u8', trackMediaAuth, async (req, res) => {
+  try {
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const playable = await resolvePlayableTrack(track, req.user.id, await getRequestCountry(req));
+    if (playable.blocked) {
+      return res.status(403).json(playable.blocked);
+    }
+
+    // Signed URLs are only minted after the access check has passed
+    if (!req.signedUrl) {
+      const regionDenied = await checkTrackTerritory(playable.track, await getRequestCountry(req));
+      if (regionDenied) {
+        return res.status(403).json(regionDenied);
+      }
+
+      const accessDenied = await checkTrackAccess(playable.track, req.user);
+      if (accessDenied) {
+        return res.status(403).json(accessDenied);
+      }
+    }
+
+    if (playable.track.hls.status !== 'ready') {
+      return res.status(409).json({
+        message: 'Adaptive stream is not available yet',
+        status: playable.track.hls.status
+      });
+    }
+
+    await sendPlaylist(req, res, getTrackHlsKey(playable.track._id, playable.track.hls.masterPlaylist));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get HLS rendition playlist or segment
+router.get('/:id/hls/:rendition/:file', trackMediaAuth, async (req, res) => {
+  try {
+    const { rendition, file } = req.params;
+
+    const track = await Track.findById(req.params.id);
+    if (!track) {
+      return res.status(404).json({ message: 'Track not found' });
+    }
+
+    const playable = await resolvePlayableTrack(track, req.user.id, await getRequestCountry(req));
+    if (playable.blocked) {
+      return res.status(403).json(playable.blocked);
+    }
+
+    // Signed URLs are only minted after the access check has passed
+    if (!req.signedUrl) {
+      const regionDenied = await checkTrackTerritory(playable.track, await getRequestCountry(req));
+      if (regionDenied) {
+        return res.status(403).json(regionDenied);
+      }
+
+      const accessDenied = await checkTrackAccess(playable.track, req.user);
+      if (accessDenied) {
+        return res.status(403).json(accessDenied);
+      }
+    }
+
+    // Only serve known renditions and plain playlist/segment file names
+    const knownRendition = playable.track.renditions.some(r => r.name === rendition);
+    if (!knownRendition || !/^[\w-]+\.(m3u8|ts)$/.test(file)) {
+      return res.status(404).json({ message: 'Stream file not found' });
+    }
+
+    const key = getTrackHlsKey(playable.track._id, rendition, file);
+    if (file.endsWith('.m3u8')) {
+      await sendPlaylist(req, res, key);
+    } else {
+      await sendMediaFile(req, res, key);
+    }
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -4,7 +4,10 @@ const bcrypt = require('bcryptjs');
 const { auth, isAdmin } = require('../middleware/auth');
 const User = require('../models/User');
 const Playlist = require('../models/Playlist');
-const { uploadAvatar } = require('../utils/fileUpload');
+const PreSave = require('../models/PreSave');
+const { uploadAvatar, saveUpload } = require('../utils/fileUpload');
+const { queueImageProcessing } = require('../utils/imageDerivatives');
+const { normalizeCountry } = require('../utils/territory');
 
 // Get user profile
 router.get('/profile', auth, async (req, res) => {
@@ -38,7 +41,7 @@ router.get('/recently-played', auth, async (req, res) => {
           },
           {
             path: 'album',
-            select: 'title coverArt'
+            select: 'title coverArt images.coverArt'
           }
         ]
       })
@@ -58,7 +61,7 @@ router.get('/recently-played', auth, async (req, res) => {
 // Update user profile
 router.patch('/profile', auth, uploadAvatar, async (req, res) => {
   try {
-    const { firstName, lastName, username, email } = req.body;
+    const { firstName, lastName, username, email, country } = req.body;
 
     // Build user object
     const userFields = {};
@@ -92,9 +95,19 @@ router.patch('/profile', auth, uploadAvatar, async (req, res) => {
       userFields.email = email;
     }
 
+    // An empty country clears it
+    if (country !== undefined) {
+      const code = normalizeCountry(country);
+      if (country && !code) {
+        return res.status(400).json({ message: 'Country must be an ISO 3166-1 alpha-2 code' });
+      }
+
+      userFields.country = code;
+    }
+
     // Add avatar if uploaded
     if (req.file) {
-      userFields.avatar = `/uploads/avatars/${req.file.filename}`;
+      userFields.avatar = await saveUpload(req.file);
     }
 
     const user = await User.findByIdAndUpdate(
@@ -103,6 +116,11 @@ router.patch('/profile', auth, uploadAvatar, async (req, res) => {
       { new: true }
     ).select('-password');
 
+    // Resize the new image and extract its colors in the background
+    if (req.file) {
+      queueImageProcessing(user.avatar);
+    }
+
     res.json(user);
   } catch (err) {
     console.error(err);
@@ -283,6 +301,86 @@ router.post('/like/:trackId', auth, async (req, res) => {
   }
 });
 
+// Get the current user's preferences
+router.get('/me/preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('preferences');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user.preferences);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the current user's preferences
+router.patch('/me/preferences', auth, async (req, res) => {
+  try {
+    const { explicitContent, darkMode, appNotifications, emailNotifications } = req.body;
+
+    const explicitOptions = User.schema.path('preferences.explicitContent').enumValues;
+    if (explicitContent !== undefined && !explicitOptions.includes(explicitContent)) {
+      return res.status(400).json({ message: `explicitContent must be one of: ${explicitOptions.join(', ')}` });
+    }
+
+    const fields = {};
+    if (explicitContent !== undefined) fields['preferences.explicitContent'] = explicitContent;
+    if (typeof darkMode === 'boolean') fields['preferences.darkMode'] = darkMode;
+    if (typeof appNotifications === 'boolean') fields['preferences.appNotifications'] = appNotifications;
+    if (emailNotifications && typeof emailNotifications === 'object') {
+      ['newReleases', 'artistUpdates', 'exclusiveContent', 'subscriptionRenewals'].forEach(key => {
+        if (typeof emailNotifications[key] === 'boolean') {
+          fields[`preferences.emailNotifications.${key}`] = emailNotifications[key];
+        }
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: fields },
+      { new: true }
+    ).select('preferences');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user.preferences);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get the albums the user has pre-saved
+// Use ?status=fulfilled (or failed) to see earlier ones; pending by default
+router.get('/me/pre-saves', auth, async (req, res) => {
+  try {
+    const statuses = PreSave.schema.path('status').enumValues;
+    const status = req.query.status || 'pending';
+    if (!statuses.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${statuses.join(', ')}` });
+    }
+
+    const preSaves = await PreSave.find({ user: req.user.id, status })
+      .populate({
+        path: 'album',
+        select: 'title coverArt images.coverArt type releaseDate releaseTimeZone',
+        populate: { path: 'artist', select: 'name' }
+      })
+      .populate('playlist', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(preSaves);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get user's library (playlists and folders in a hierarchical structure)
 router.get('/me/library', auth, async (req, res) => {
   try {
@@ -290,19 +388,19 @@ router.get('/me/library', auth, async (req, res) => {
     const user = await User.findById(req.user.id)
       .populate({
         path: 'playlists.created',
-        select: 'name color coverImage tracks folder stats.totalDuration stats.followerCount createdAt updatedAt'
+        select: 'name color coverImage images.coverImage tracks folder stats.totalDuration stats.followerCount createdAt updatedAt'
       })
       .populate({
         path: 'playlists.folders',
         select: 'name description playlists parentFolder isPublic createdAt updatedAt',
         populate: {
           path: 'playlists',
-          select: 'name color coverImage stats.totalDuration'
+          select: 'name color coverImage images.coverImage stats.totalDuration'
         }
       })
       .populate({
         path: 'playlists.liked',
-        select: 'name coverImage tracks stats.totalDuration'
+        select: 'name coverImage images.coverImage tracks stats.totalDuration'
       });
 
     // Get user's ownership of playlists
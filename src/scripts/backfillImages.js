@@ -0,0 +1,39 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const mongoose = require('mongoose');
+const connectDB = require('../utils/dbConnect');
+const { findUnprocessedImages, processImage } = require('../utils/imageDerivatives');
+
+/**
+ * Generate responsive derivatives for images uploaded before they existed
+ * Pass --force to regenerate every image
+ */
+async function backfillImages() {
+  const force = process.argv.includes('--force');
+
+  try {
+    await connectDB();
+
+    const urls = await findUnprocessedImages({ force });
+    console.log(`Processing ${urls.length} image(s)...`);
+
+    let processed = 0;
+    for (const url of urls) {
+      try {
+        await processImage(url);
+        processed++;
+      } catch (error) {
+        console.error(`Failed to process ${url}:`, error.message);
+      }
+    }
+
+    console.log(`Image backfill complete. Processed ${processed} of ${urls.length} image(s).`);
+  } catch (error) {
+    console.error('Image backfill failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+}
+
+// Run the backfill
+backfillImages();
@@ -0,0 +1,44 @@
+require('dotenv').config({ path: require('path').resolve(__dirname, '../../.env') });
+const storage = require('../utils/storage');
+
+async function testStorage() {
+  const key = `imports/storage-test-${Date.now()}.txt`;
+  const content = Buffer.from('Mousa storage test');
+
+  try {
+    console.log('Storage driver:', storage.name);
+
+    // Write, inspect and read back a small object
+    await storage.saveBuffer(key, content);
+    console.log('Saved', key);
+
+    const stats = await storage.stat(key);
+    console.log('Stat:', stats);
+
+    const partial = await storage.openReadStream(key, { start: 0, end: 4 });
+    let prefix = '';
+    for await (const chunk of partial) prefix += chunk;
+    console.log('Range read:', JSON.stringify(prefix));
+
+    const read = await storage.readFile(key);
+    if (!read.equals(content)) {
+      throw new Error('Read content does not match what was written');
+    }
+
+    const listed = await storage.list('imports/');
+    console.log('Listed:', listed.some(object => object.key === key));
+
+    await storage.remove(key);
+    console.log('Removed, stat now:', await storage.stat(key));
+
+    console.log('\nStorage test completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Storage test failed:', error);
+    await storage.remove(key).catch(() => {});
+    process.exit(1);
+  }
+}
+
+// Run the test
+testStorage();
@@ -0,0 +1,71 @@
+const path = require('path');
+const fs = require('fs');
+const runProcess = require('./runProcess');
+
+const UNZIP_PATH = process.env.UNZIP_PATH || 'unzip';
+
+// Guards against archive bombs
+const MAX_ENTRIES = 1000;
+const MAX_UNCOMPRESSED_SIZE = 4 * 1024 * 1024 * 1024;
+
+/**
+ * List the entries of a zip archive and check it is safe to extract
+ * Rejects archives with absolute or parent-relative paths, symlinks or that expand too far
+ */
+const inspectArchive = async (zipPath) => {
+  const [{ stdout: names }, { stdout: listing }] = await Promise.all([
+    runProcess(UNZIP_PATH, ['-Z1', zipPath]),
+    runProcess(UNZIP_PATH, ['-Z', zipPath])
+  ]);
+
+  const entries = names.toString().split('\n').map(name => name.trim()).filter(Boolean);
+
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`Archive has more than ${MAX_ENTRIES} entries`);
+  }
+
+  const unsafe = entries.find(name => path.isAbsolute(name) || name.split(/[\\/]/).includes('..'));
+  if (unsafe) {
+    throw new Error(`Archive entry has an unsafe path: ${unsafe}`);
+  }
+
+  // Symlinks would be restored by unzip and could point anywhere on the server
+  // e.g. "lrwxrwxrwx  3.0 unx       13 bx stor 24-Jan-01 00:00 cover.jpg"
+  const symlink = listing.toString().split('\n').find(line => /^l[rwxsStT-]{9}\s/.test(line));
+  if (symlink) {
+    throw new Error(`Archive entry is a symlink: ${symlink.split(/\s+/).slice(8).join(' ')}`);
+  }
+
+  // e.g. "12 files, 48213321 bytes uncompressed, 40112233 bytes compressed:  16.8%"
+  const match = /(\d+) bytes uncompressed/.exec(listing.toString());
+  if (match && parseInt(match[1], 10) > MAX_UNCOMPRESSED_SIZE) {
+    throw new Error('Archive is too large once extracted');
+  }
+
+  return entries.filter(name => !name.endsWith('/'));
+};
+
+/**
+ * Extract a zip archive into a new directory
+ * Returns the list of extracted file paths relative to the directory
+ */
+const extractArchive = async (zipPath, destDir) => {
+  const entries = await inspectArchive(zipPath);
+
+  await fs.promises.mkdir(destDir, { recursive: true });
+  await runProcess(UNZIP_PATH, ['-qq', '-o', zipPath, '-d', destDir]);
+
+  // Only plain files and folders may come out, whatever the listing said
+  for (const name of await fs.promises.readdir(destDir, { recursive: true })) {
+    const stats = await fs.promises.lstat(path.join(destDir, name));
+    if (!stats.isFile() && !stats.isDirectory()) {
+      throw new Error(`Archive entry is not a regular file: ${name}`);
+    }
+  }
+
+  return entries;
+};
+
+module.exports = {
+  extractArchive
+};
@@ -0,0 +1,112 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const storage = require('./storage');
+const { runFfmpeg } = require('./ffmpeg');
+const { extractAudioMetadata } = require('./audioMetadata');
+
+// Streaming files are encoded here before they're stored
+const TRACKS_DIR = path.join(storage.UPLOADS_DIR, 'tracks');
+
+// Progressive download format served from /stream
+const STREAM_BITRATE = '320k';
+
+/**
+ * Storage key of the progressive streaming file for a track
+ */
+const getStreamKey = (track) => `tracks/${track.fileUrl}`;
+
+/**
+ * Storage key of the uploaded master for a track
+ */
+const getMasterKey = (track) => `masters/${track.master.fileUrl}`;
+
+/**
+ * Best available source for processing - the master when we have one
+ */
+const getSourceKey = (track) => {
+  if (track.master && track.master.fileUrl) {
+    return getMasterKey(track);
+  }
+  return getStreamKey(track);
+};
+
+/**
+ * Compute the checksum of a file (SHA-256 unless another algorithm is given)
+ */
+const hashFile = (filePath, algorithm = 'sha256') => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+};
+
+/**
+ * Create the MP3 streaming file from a master
+ * MP3 masters are copied as-is; everything else is transcoded
+ */
+const createStreamingFile = async (masterPath, codec) => {
+  const filename = path.basename(masterPath, path.extname(masterPath)) + '.mp3';
+  const outputPath = path.join(TRACKS_DIR, filename);
+
+  await fs.promises.mkdir(TRACKS_DIR, { recursive: true });
+
+  if (codec === 'mp3') {
+    await fs.promises.copyFile(masterPath, outputPath);
+  } else {
+    await runFfmpeg([
+      '-i', masterPath,
+      '-vn',
+      '-map_metadata', '0',
+      '-c:a', 'libmp3lame',
+      '-b:a', STREAM_BITRATE,
+      '-id3v2_version', '3',
+      outputPath
+    ]);
+  }
+
+  return filename;
+};
+
+/**
+ * Ingest an uploaded audio master
+ * Reads stream info and tags, checksums the master, creates the streaming file
+ * and moves both into storage
+ */
+const ingestAudioFile = async (file) => {
+  const { audio, tags } = await extractAudioMetadata(file.path);
+  const checksum = await hashFile(file.path);
+  const fileUrl = await createStreamingFile(file.path, audio.codec);
+
+  await storage.saveFile(getStreamKey({ fileUrl }), path.join(TRACKS_DIR, fileUrl));
+  await storage.saveFile(getMasterKey({ master: { fileUrl: file.filename } }), file.path);
+
+  return {
+    fileUrl,
+    master: {
+      fileUrl: file.filename,
+      format: audio.format,
+      fileSize: file.size,
+      checksum
+    },
+    audio: {
+      codec: audio.codec,
+      bitrate: audio.bitrate,
+      sampleRate: audio.sampleRate,
+      channels: audio.channels
+    },
+    duration: audio.duration,
+    tags
+  };
+};
+
+module.exports = {
+  ingestAudioFile,
+  getStreamKey,
+  getMasterKey,
+  getSourceKey,
+  hashFile
+};
@@ -0,0 +1,128 @@
+const NodeID3 = require('node-id3');
+const storage = require('./storage');
+const { runFfprobe } = require('./ffmpeg');
+
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+/**
+ * Read container level information with ffprobe
+ * Returns duration (seconds), bitrate (kbps), sample rate (Hz), channels and codec
+ */
+const probeAudio = async (filePath) => {
+  const { stdout } = await runFfprobe([
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    '-select_streams', 'a:0',
+    filePath
+  ]);
+
+  const probe = JSON.parse(stdout.toString());
+  const stream = (probe.streams || [])[0];
+  if (!stream) {
+    throw new Error('No audio stream found');
+  }
+
+  const format = probe.format || {};
+  const duration = parseFloat(stream.duration || format.duration);
+  const bitrate = parseInt(stream.bit_rate || format.bit_rate, 10);
+
+  return {
+    format: format.format_name,
+    codec: stream.codec_name,
+    duration: isNaN(duration) ? undefined : Math.round(duration),
+    bitrate: isNaN(bitrate) ? undefined : Math.round(bitrate / 1000),
+    sampleRate: parseInt(stream.sample_rate, 10) || undefined,
+    channels: stream.channels
+  };
+};
+
+/**
+ * Normalize a TCON value - strips numeric ID3v1 genre references like "(13)"
+ */
+const cleanGenre = (genre) => {
+  if (!genre) return undefined;
+  const cleaned = genre.replace(/^\(\d+\)/, '').trim();
+  return cleaned || undefined;
+};
+
+/**
+ * Read ID3 frames relevant to the catalog
+ */
+const readTags = async (filePath) => {
+  let tags;
+  try {
+    tags = await NodeID3.Promise.read(filePath);
+  } catch (err) {
+    // Files without an ID3 header are still valid uploads
+    return {};
+  }
+
+  const bpm = parseFloat(tags.bpm);
+
+  return {
+    title: tags.title ? tags.title.trim() : undefined,
+    artist: tags.artist ? tags.artist.trim() : undefined,
+    genre: cleanGenre(tags.genre),
+    bpm: isNaN(bpm) ? undefined : Math.round(bpm),
+    isrc: tags.ISRC ? tags.ISRC.replace(/-/g, '').trim().toUpperCase() : undefined,
+    language: tags.language ? tags.language.trim() : undefined,
+    image: tags.image && tags.image.imageBuffer ? tags.image : undefined
+  };
+};
+
+/**
+ * Store an embedded APIC picture with the other covers
+ * Returns the public URL of the saved image
+ */
+const saveEmbeddedCover = async (image) => {
+  const mime = image.mime && image.mime.includes('/') ? image.mime : `image/${image.mime || 'jpeg'}`;
+  const extension = IMAGE_EXTENSIONS[mime.toLowerCase()] || '.jpg';
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  const filename = uniqueSuffix + extension;
+
+  const key = `covers/${filename}`;
+  await storage.saveBuffer(key, image.imageBuffer);
+
+  return storage.uploadUrl(key);
+};
+
+/**
+ * Compare submitted form values against embedded tags
+ * Returns a list of fields where both are present but differ
+ */
+const findConflicts = (submitted, embedded) => {
+  const normalize = value => String(value).trim().toLowerCase();
+
+  return Object.keys(submitted)
+    .filter(field => submitted[field] && embedded[field] &&
+      normalize(submitted[field]) !== normalize(embedded[field]))
+    .map(field => ({
+      field,
+      submitted: submitted[field],
+      embedded: embedded[field]
+    }));
+};
+
+/**
+ * Extract stream information and tags from an uploaded audio file
+ */
+const extractAudioMetadata = async (filePath) => {
+  const audio = await probeAudio(filePath);
+  const tags = await readTags(filePath);
+
+  return { audio, tags };
+};
+
+module.exports = {
+  extractAudioMetadata,
+  saveEmbeddedCover,
+  findConflicts
+};
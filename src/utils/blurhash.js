@@ -0,0 +1,92 @@
+/**
+ * BlurHash encoder (https://blurha.sh)
+ * Turns a small RGB image into a ~30 character placeholder clients can render
+ * while the real image loads
+ */
+
+const BASE83 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz#$%*+,-.:;=?@[]^_{|}~';
+
+const encode83 = (value, length) => {
+  let result = '';
+  for (let i = 1; i <= length; i++) {
+    const digit = Math.floor(value / 83 ** (length - i)) % 83;
+    result += BASE83[digit];
+  }
+  return result;
+};
+
+const srgbToLinear = (value) => {
+  const v = value / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+const linearToSrgb = (value) => {
+  const v = Math.max(0, Math.min(1, value));
+  return v <= 0.0031308
+    ? Math.trunc(v * 12.92 * 255 + 0.5)
+    : Math.trunc((1.055 * v ** (1 / 2.4) - 0.055) * 255 + 0.5);
+};
+
+const signPow = (value, exponent) => Math.sign(value) * Math.abs(value) ** exponent;
+
+/**
+ * Average colour of the image weighted by one cosine basis function
+ */
+const basisFactor = (pixels, width, height, channels, x, y) => {
+  const normalisation = x === 0 && y === 0 ? 1 : 2;
+  let r = 0;
+  let g = 0;
+  let b = 0;
+
+  for (let j = 0; j < height; j++) {
+    for (let i = 0; i < width; i++) {
+      const basis = normalisation * Math.cos((Math.PI * x * i) / width) * Math.cos((Math.PI * y * j) / height);
+      const offset = (j * width + i) * channels;
+      r += basis * srgbToLinear(pixels[offset]);
+      g += basis * srgbToLinear(pixels[offset + 1]);
+      b += basis * srgbToLinear(pixels[offset + 2]);
+    }
+  }
+
+  const scale = 1 / (width * height);
+  return [r * scale, g * scale, b * scale];
+};
+
+/**
+ * Encode raw pixels (RGB or RGBA rows) into a BlurHash string
+ * componentsX/componentsY (1-9) control how much detail the hash keeps
+ */
+const encodeBlurhash = (pixels, width, height, { channels = 3, componentsX = 4, componentsY = 3 } = {}) => {
+  const factors = [];
+  for (let y = 0; y < componentsY; y++) {
+    for (let x = 0; x < componentsX; x++) {
+      factors.push(basisFactor(pixels, width, height, channels, x, y));
+    }
+  }
+
+  const [dc, ...ac] = factors;
+  let hash = encode83((componentsX - 1) + (componentsY - 1) * 9, 1);
+
+  let maximumValue = 1;
+  if (ac.length > 0) {
+    const actualMaximum = Math.max(...ac.flat().map(Math.abs));
+    const quantisedMaximum = Math.max(0, Math.min(82, Math.floor(actualMaximum * 166 - 0.5)));
+    maximumValue = (quantisedMaximum + 1) / 166;
+    hash += encode83(quantisedMaximum, 1);
+  } else {
+    hash += encode83(0, 1);
+  }
+
+  hash += encode83((linearToSrgb(dc[0]) << 16) + (linearToSrgb(dc[1]) << 8) + linearToSrgb(dc[2]), 4);
+
+  const quantise = value => Math.max(0, Math.min(18, Math.floor(signPow(value / maximumValue, 0.5) * 9 + 9.5)));
+  ac.forEach(([r, g, b]) => {
+    hash += encode83(quantise(r) * 19 * 19 + quantise(g) * 19 + quantise(b), 2);
+  });
+
+  return hash;
+};
+
+module.exports = {
+  encodeBlurhash
+};
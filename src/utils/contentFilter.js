@@ -0,0 +1,132 @@
+const Track = require('../models/Track');
+const User = require('../models/User');
+const { RELEASED_QUERY } = require('./releaseSchedule');
+const { NOT_TAKEN_DOWN } = require('./takedown');
+const { availableTracksQuery } = require('./territory');
+
+// Populated fields used wherever a clean version stands in for an explicit track
+const SUBSTITUTE_POPULATE = [
+  { path: 'artist', select: 'name' },
+  { path: 'artists.artist', select: 'name' },
+  { path: 'album', select: 'title coverArt images.coverArt' }
+];
+
+/**
+ * Get a user's explicit content preference ('allow', 'substitute' or 'hide')
+ */
+const getExplicitPreference = async (userId) => {
+  if (!userId) return 'allow';
+
+  const user = await User.findById(userId).select('preferences.explicitContent');
+  return (user && user.preferences && user.preferences.explicitContent) || 'allow';
+};
+
+/**
+ * Narrow a track query for users who hide explicit content
+ * Filtering in the query keeps pages full and totals right
+ */
+const explicitPreferenceQuery = async (query, userId) => (
+  await getExplicitPreference(userId) === 'hide'
+    ? { $and: [query, { 'metadata.explicit': { $ne: true } }] }
+    : query
+);
+
+const isExplicit = (track) => Boolean(track && track.metadata && track.metadata.explicit);
+
+/**
+ * Find the clean versions for a set of explicit tracks, among those available in a country
+ * Returns a map of explicit track id to its clean version
+ */
+const findCleanVersions = async (tracks, country) => {
+  const groups = [...new Set(tracks
+    .filter(track => track.version && track.version.group)
+    .map(track => track.version.group.toString()))];
+
+  if (groups.length === 0) return new Map();
+
+  const candidates = await Track.find(await availableTracksQuery({
+    'version.group': { $in: groups },
+    'metadata.explicit': { $ne: true },
+    ...RELEASED_QUERY,
+    ...NOT_TAKEN_DOWN
+  }, country)).populate(SUBSTITUTE_POPULATE);
+
+  // Prefer versions marked as clean edits over other non-explicit versions
+  const rank = (track) => (track.version.type === 'clean' ? 0 : track.version.type === 'radio edit' ? 1 : 2);
+  const byGroup = new Map();
+  candidates
+    .sort((a, b) => rank(a) - rank(b))
+    .forEach(track => {
+      const group = track.version.group.toString();
+      if (!byGroup.has(group)) byGroup.set(group, track);
+    });
+
+  const cleanVersions = new Map();
+  tracks.forEach(track => {
+    const clean = track.version && track.version.group && byGroup.get(track.version.group.toString());
+    if (clean) cleanVersions.set(track._id.toString(), clean);
+  });
+
+  return cleanVersions;
+};
+
+/**
+ * Apply a user's explicit content preference to a list of tracks
+ * Explicit tracks are swapped for their clean version when one exists in the listener's country,
+ * otherwise (or when the user hides explicit content) they become null.
+ * The result lines up with the input; substitutes are plain objects carrying substitutedFor
+ */
+const applyExplicitPreference = async (tracks, userId, country) => {
+  const explicit = tracks.filter(isExplicit);
+  if (explicit.length === 0) return tracks;
+
+  const preference = await getExplicitPreference(userId);
+  if (preference === 'allow') return tracks;
+
+  const cleanVersions = preference === 'substitute' ? await findCleanVersions(explicit, country) : new Map();
+
+  return tracks.map(track => {
+    if (!isExplicit(track)) return track;
+
+    const clean = cleanVersions.get(track._id.toString());
+    return clean ? { ...clean.toObject(), substitutedFor: track._id } : null;
+  });
+};
+
+/**
+ * Apply the user's explicit content preference and drop hidden tracks
+ */
+const filterExplicitTracks = async (tracks, userId, country) => {
+  const applied = await applyExplicitPreference(tracks, userId, country);
+  return applied.filter(Boolean);
+};
+
+/**
+ * Decide which track to actually play for a streaming request
+ * Returns { track, substituted } or { blocked } with a 403 payload
+ */
+const resolvePlayableTrack = async (track, userId, country) => {
+  if (!isExplicit(track)) return { track, substituted: false };
+
+  const preference = await getExplicitPreference(userId);
+  if (preference === 'allow') return { track, substituted: false };
+
+  if (preference === 'substitute') {
+    const clean = (await findCleanVersions([track], country)).get(track._id.toString());
+    if (clean) return { track: clean, substituted: true };
+  }
+
+  return {
+    blocked: {
+      message: 'This track is explicit and your settings filter explicit content',
+      code: 'EXPLICIT_CONTENT_FILTERED'
+    }
+  };
+};
+
+module.exports = {
+  explicitPreferenceQuery,
+  applyExplicitPreference,
+  filterExplicitTracks,
+  resolvePlayableTrack
+};
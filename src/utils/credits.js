@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Artist = require('../models/Artist');
+const Track = require('../models/Track');
+const Album = require('../models/Album');
+const { CREDIT_ROLES } = require('../models/schemas/credit');
+const { markLockedTracks } = require('./trackAccess');
+const { RELEASED_QUERY } = require('./releaseSchedule');
+const { NOT_TAKEN_DOWN } = require('./takedown');
+const { availableTracksQuery, availableAlbumsQuery } = require('./territory');
+
+/**
+ * Validate submitted credits and check that linked artists exist
+ * Returns { credits } on success or { error } describing the first problem
+ */
+const normalizeCredits = async (input) => {
+  let credits = input;
+
+  // Multipart forms send the list as a JSON string
+  if (typeof credits === 'string') {
+    try {
+      credits = JSON.parse(credits);
+    } catch (err) {
+      return { error: 'Credits must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(credits)) {
+    return { error: 'Credits must be an array' };
+  }
+
+  const normalized = [];
+  for (const credit of credits) {
+    const role = credit && typeof credit.role === 'string' ? credit.role.trim().toLowerCase() : null;
+    if (!CREDIT_ROLES.includes(role)) {
+      return { error: `Credit role must be one of: ${CREDIT_ROLES.join(', ')}` };
+    }
+
+    const name = typeof credit.name === 'string' ? credit.name.trim() : '';
+    if (!credit.artist && !name) {
+      return { error: 'Each credit needs an artist or a name' };
+    }
+
+    if (credit.artist && !mongoose.isValidObjectId(credit.artist)) {
+      return { error: `Invalid artist id: ${credit.artist}` };
+    }
+
+    normalized.push({
+      role,
+      artist: credit.artist || undefined,
+      name: name || undefined,
+      instruments: Array.isArray(credit.instruments) ? credit.instruments.map(String) : []
+    });
+  }
+
+  const artistIds = [...new Set(normalized.filter(c => c.artist).map(c => c.artist.toString()))];
+  const found = await Artist.countDocuments({ _id: { $in: artistIds } });
+  if (found !== artistIds.length) {
+    return { error: 'One or more credited artists were not found' };
+  }
+
+  return { credits: normalized };
+};
+
+/**
+ * Roles an artist holds in a list of credits
+ */
+const rolesFor = (credits, artistId) => [...new Set(credits
+  .filter(credit => credit.artist && credit.artist.toString() === artistId.toString())
+  .map(credit => credit.role))];
+
+/**
+ * Everything an artist is credited on, with the roles held on each item
+ * Items not licensed in the given country are left out
+ */
+const getArtistCredits = async (artistId, { role, user, country } = {}) => {
+  const match = role
+    ? { credits: { $elemMatch: { artist: artistId, role } }, ...RELEASED_QUERY, ...NOT_TAKEN_DOWN }
+    : { 'credits.artist': artistId, ...RELEASED_QUERY, ...NOT_TAKEN_DOWN };
+
+  const [tracks, albums] = await Promise.all([
+    Track.find(await availableTracksQuery(match, country))
+      .populate('artist', 'name')
+      .populate('album', 'title coverArt images.coverArt')
+      .sort({ createdAt: -1 }),
+    Album.find(availableAlbumsQuery(match, country))
+      .populate('artist', 'name')
+      .sort({ releaseDate: -1 })
+  ]);
+
+  const lockedTracks = await markLockedTracks(tracks, user);
+
+  return {
+    tracks: lockedTracks.map(track => ({ track, roles: rolesFor(track.credits, artistId) })),
+    albums: albums.map(album => ({ album, roles: rolesFor(album.credits, artistId) }))
+  };
+};
+
+module.exports = {
+  normalizeCredits,
+  getArtistCredits
+};
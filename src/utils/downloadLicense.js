@@ -0,0 +1,146 @@
+const jwt = require('jsonwebtoken');
+const DownloadLicense = require('../models/DownloadLicense');
+const { checkTrackAccess } = require('./trackAccess');
+const { checkTrackTerritory } = require('./territory');
+const { signUrl } = require('./signedUrl');
+
+// How long a device may play a download offline before renewing
+const LICENSE_TTL_DAYS = parseInt(process.env.DOWNLOAD_LICENSE_TTL_DAYS) || 30;
+
+// Lifetime of the signed URL used to fetch the file, in seconds
+const DOWNLOAD_URL_TTL = 60 * 60;
+
+const MAX_OFFLINE_DEVICES = parseInt(process.env.MAX_OFFLINE_DEVICES) || 3;
+
+// Audience of license tokens - the auth middleware refuses tokens that carry one
+const LICENSE_AUDIENCE = 'offline-license';
+
+// Separate from the session secret so a license token can never pass as a login
+const getLicenseSecret = () => process.env.DOWNLOAD_LICENSE_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Check whether a user may download a track for offline playback in their country
+ * Returns null when allowed, otherwise an object describing the refusal
+ */
+const checkDownloadEligibility = async (track, user, country) => {
+  if (!track.allowDownload) {
+    return { code: 'DOWNLOAD_NOT_ALLOWED', message: 'This track is not available for download' };
+  }
+
+  const regionDenied = await checkTrackTerritory(track, country);
+  if (regionDenied) {
+    return { code: regionDenied.code, message: regionDenied.message };
+  }
+
+  const accessDenied = await checkTrackAccess(track, user);
+  if (accessDenied) {
+    return { code: accessDenied.code, message: accessDenied.message };
+  }
+
+  return null;
+};
+
+/**
+ * Register a device for offline downloads, enforcing the per-user device cap
+ * Returns false when the cap has been reached
+ */
+const registerOfflineDevice = (user, deviceId, name) => {
+  const device = user.offlineDevices.find(d => d.deviceId === deviceId);
+
+  if (device) {
+    device.lastSyncAt = new Date();
+    if (name) device.name = name;
+    return true;
+  }
+
+  if (user.offlineDevices.length >= MAX_OFFLINE_DEVICES) {
+    return false;
+  }
+
+  user.offlineDevices.push({ deviceId, name });
+  return true;
+};
+
+/**
+ * Issue or refresh the license for a track on a device
+ */
+const issueLicense = async (userId, track, deviceId, source) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + LICENSE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const existing = await DownloadLicense.findOne({ user: userId, deviceId, track: track._id });
+
+  if (existing) {
+    existing.status = 'active';
+    existing.expiresAt = expiresAt;
+    existing.renewedAt = now;
+    existing.renewalCount += 1;
+    existing.revokedAt = undefined;
+    existing.revokeReason = undefined;
+    await existing.save();
+    return existing;
+  }
+
+  return DownloadLicense.create({
+    user: userId,
+    track: track._id,
+    deviceId,
+    source,
+    issuedAt: now,
+    expiresAt
+  });
+};
+
+/**
+ * Build the client payload for a license
+ * Includes a signed token the app verifies offline and a short-lived file URL
+ */
+const formatLicense = (license) => {
+  const token = jwt.sign(
+    {
+      lic: license._id,
+      trk: license.track._id || license.track,
+      dev: license.deviceId
+    },
+    getLicenseSecret(),
+    {
+      audience: LICENSE_AUDIENCE,
+      expiresIn: Math.max(Math.floor((license.expiresAt - Date.now()) / 1000), 1)
+    }
+  );
+
+  const trackId = license.track._id || license.track;
+  const download = signUrl(`/api/tracks/${trackId}/stream`, `track:${trackId}`, license.user, DOWNLOAD_URL_TTL);
+
+  return {
+    _id: license._id,
+    track: license.track,
+    deviceId: license.deviceId,
+    source: license.source,
+    status: license.status,
+    issuedAt: license.issuedAt,
+    expiresAt: license.expiresAt,
+    renewalCount: license.renewalCount,
+    token,
+    downloadUrl: download.url
+  };
+};
+
+/**
+ * Revoke licenses matching a query
+ */
+const revokeLicenses = (query, reason) => {
+  return DownloadLicense.updateMany(
+    { ...query, status: 'active' },
+    { $set: { status: 'revoked', revokedAt: new Date(), revokeReason: reason } }
+  );
+};
+
+module.exports = {
+  MAX_OFFLINE_DEVICES,
+  checkDownloadEligibility,
+  registerOfflineDevice,
+  issueLicense,
+  formatLicense,
+  revokeLicenses
+};
@@ -0,0 +1,234 @@
+const Track = require('../models/Track');
+const Playlist = require('../models/Playlist');
+const User = require('../models/User');
+const PlayEvent = require('../models/PlayEvent');
+const CountedPlay = require('../models/CountedPlay');
+const Lyrics = require('../models/Lyrics');
+const AudioFingerprint = require('../models/AudioFingerprint');
+const TrackDuplicate = require('../models/TrackDuplicate');
+const { generateFingerprint, compareFingerprints } = require('./fingerprint');
+const { deleteTrack } = require('./trackRemoval');
+const { pullTrackFromPlaylists, adjustPlaylistDurations } = require('./playlistStats');
+const { enqueue } = require('./jobQueue');
+
+// Fingerprints at least this similar are flagged as near duplicates
+const NEAR_DUPLICATE_SIMILARITY = parseFloat(process.env.NEAR_DUPLICATE_SIMILARITY) || 0.75;
+
+// Only tracks of about the same length are compared, in seconds
+const DURATION_TOLERANCE = 5;
+
+/**
+ * Find catalog tracks that duplicate a track
+ * Exact matches share the master checksum or decoded audio; near matches have similar fingerprints
+ * Returns [{ track, matchType, method, similarity, offset }], best first
+ */
+const findDuplicates = async (track) => {
+  const matches = new Map();
+  const addMatch = (trackId, match) => {
+    const key = trackId.toString();
+    if (key !== track._id.toString() && !matches.has(key)) {
+      matches.set(key, { track: trackId, ...match });
+    }
+  };
+
+  if (track.master && track.master.checksum) {
+    const sameFile = await Track.find({ 'master.checksum': track.master.checksum }).select('_id');
+    sameFile.forEach(match => addMatch(match._id, { matchType: 'exact', method: 'checksum', similarity: 1, offset: 0 }));
+  }
+
+  const fingerprint = await AudioFingerprint.findOne({ track: track._id });
+  if (fingerprint) {
+    const sameAudio = await AudioFingerprint.find({ contentHash: fingerprint.contentHash }).select('track');
+    sameAudio.forEach(match => addMatch(match.track, { matchType: 'exact', method: 'content-hash', similarity: 1, offset: 0 }));
+
+    const candidates = await AudioFingerprint.find({
+      track: { $ne: track._id },
+      duration: {
+        $gte: fingerprint.duration - DURATION_TOLERANCE,
+        $lte: fingerprint.duration + DURATION_TOLERANCE
+      }
+    });
+
+    candidates.forEach(candidate => {
+      const { similarity, offset } = compareFingerprints(fingerprint.frames, candidate.frames);
+      if (similarity >= NEAR_DUPLICATE_SIMILARITY) {
+        addMatch(candidate.track, { matchType: 'near', method: 'fingerprint', similarity, offset });
+      }
+    });
+  }
+
+  // Drop fingerprints of tracks that have since been deleted
+  const existing = await Track.find({ _id: { $in: [...matches.values()].map(match => match.track) } }).select('_id');
+  const existingIds = new Set(existing.map(match => match._id.toString()));
+
+  return [...matches.values()]
+    .filter(match => existingIds.has(match.track.toString()))
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+/**
+ * Fingerprint a track and flag any duplicates for review
+ * Pairs that were already reviewed are left alone
+ */
+const checkForDuplicates = async (trackId) => {
+  await generateFingerprint(trackId);
+
+  const track = await Track.findById(trackId).select('master createdAt');
+  if (!track) return [];
+
+  const matches = await findDuplicates(track);
+  if (matches.length === 0) return [];
+
+  const others = await Track.find({ _id: { $in: matches.map(match => match.track) } }).select('createdAt');
+  const createdAt = new Map(others.map(other => [other._id.toString(), other.createdAt]));
+
+  return Promise.all(matches.map(match => {
+    // The older upload is treated as the original
+    const otherIsOlder = createdAt.get(match.track.toString()) <= track.createdAt;
+    const pair = otherIsOlder
+      ? { track: track._id, original: match.track }
+      : { track: match.track, original: track._id };
+
+    return TrackDuplicate.findOneAndUpdate(
+      pair,
+      {
+        $setOnInsert: {
+          matchType: match.matchType,
+          method: match.method,
+          similarity: match.similarity,
+          offset: otherIsOlder ? match.offset : -match.offset
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }));
+};
+
+/**
+ * Queue a duplicate check for a track without blocking the request
+ */
+const queueDuplicateCheck = (trackId, options) => {
+  enqueue(`duplicates:${trackId}`, () => checkForDuplicates(trackId), options);
+};
+
+/**
+ * Queue duplicate checks for tracks without a fingerprint (or all tracks when forced)
+ * They run at low priority so new uploads are still processed first
+ * Returns the number of tracks queued
+ */
+const backfillDuplicateChecks = async ({ force = false } = {}) => {
+  let query = {};
+  if (!force) {
+    const fingerprinted = await AudioFingerprint.distinct('track');
+    query = { _id: { $nin: fingerprinted } };
+  }
+  const tracks = await Track.find(query).select('_id');
+
+  tracks.forEach(track => queueDuplicateCheck(track._id, { priority: 'low' }));
+
+  return tracks.length;
+};
+
+/**
+ * Fold one track into another and remove it
+ * Plays, playlist entries, listening history and lyrics move to the kept track
+ */
+const mergeTracks = async (removed, kept) => {
+  // Playlists holding both keep a single entry
+  await pullTrackFromPlaylists(removed, { 'tracks.track': kept._id });
+  await adjustPlaylistDurations(removed._id, (kept.duration || 0) - (removed.duration || 0));
+  await Playlist.updateMany(
+    { 'tracks.track': removed._id },
+    { $set: { 'tracks.$[entry].track': kept._id } },
+    { arrayFilters: [{ 'entry.track': removed._id }] }
+  );
+
+  // Likewise listening history keeps the kept track once
+  await User.updateMany(
+    { $and: [{ 'recentlyPlayed.track': removed._id }, { 'recentlyPlayed.track': kept._id }] },
+    { $pull: { recentlyPlayed: { track: removed._id } } }
+  );
+  await User.updateMany(
+    { 'recentlyPlayed.track': removed._id },
+    { $set: { 'recentlyPlayed.$[entry].track': kept._id } },
+    { arrayFilters: [{ 'entry.track': removed._id }] }
+  );
+
+  // Recent counted plays move too, so the kept track's dedupe window covers them
+  const claims = await CountedPlay.find({ track: removed._id });
+  if (claims.length > 0) {
+    await CountedPlay.bulkWrite(claims.map(claim => ({
+      updateOne: {
+        filter: { user: claim.user, track: kept._id },
+        update: { $max: { countedAt: claim.countedAt } },
+        upsert: true
+      }
+    })));
+    await CountedPlay.deleteMany({ track: removed._id });
+  }
+
+  // Pre-ledger plays of the removed track join the kept track's baseline once it has one
+  const baselineIncrement = {};
+  if (kept.playsBaseline !== undefined) {
+    baselineIncrement.playsBaseline = removed.playsBaseline !== undefined
+      ? removed.playsBaseline
+      : Math.max((removed.plays || 0) - await PlayEvent.countDocuments({ track: removed._id, counted: true }), 0);
+  }
+
+  await PlayEvent.updateMany({ track: removed._id }, { $set: { track: kept._id } });
+  await Track.updateOne({ _id: kept._id }, {
+    $inc: { plays: removed.plays || 0, monthlyPlays: removed.monthlyPlays || 0, ...baselineIncrement }
+  });
+
+  if (await Lyrics.exists({ track: kept._id })) {
+    await Lyrics.deleteOne({ track: removed._id });
+  } else {
+    await Lyrics.updateOne({ track: removed._id }, { $set: { track: kept._id } });
+  }
+
+  await deleteTrack(removed);
+};
+
+/**
+ * Resolve a flagged pair by merging it
+ * The original is kept unless keepId names the other track
+ */
+const mergeDuplicate = async (duplicate, { keepId, userId } = {}) => {
+  const [track, original] = await Promise.all([
+    Track.findById(duplicate.track),
+    Track.findById(duplicate.original)
+  ]);
+  if (!track || !original) {
+    return { error: 'One of the tracks no longer exists' };
+  }
+
+  const keepTrack = keepId && track._id.toString() === String(keepId);
+  const kept = keepTrack ? track : original;
+  const removed = keepTrack ? original : track;
+
+  // Resolved first so removing the track doesn't discard this flag with its other pending ones
+  duplicate.status = 'merged';
+  duplicate.keptTrack = kept._id;
+  duplicate.reviewedBy = userId;
+  duplicate.reviewedAt = new Date();
+  await duplicate.save();
+
+  try {
+    await mergeTracks(removed, kept);
+  } catch (err) {
+    await TrackDuplicate.updateOne(
+      { _id: duplicate._id },
+      { $set: { status: 'pending' }, $unset: { keptTrack: 1, reviewedBy: 1, reviewedAt: 1 } }
+    );
+    throw err;
+  }
+
+  return { duplicate, kept };
+};
+
+module.exports = {
+  findDuplicates,
+  queueDuplicateCheck,
+  backfillDuplicateChecks,
+  mergeDuplicate
+};
@@ -0,0 +1,459 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const Track = require('../models/Track');
+const DdexDelivery = require('../models/DdexDelivery');
+const { parseErn, isErnMessage } = require('./ernParser');
+const { escapeXml } = require('./xml');
+const { extractArchive } = require('./archive');
+const { findArtist, validateManifest } = require('./releaseManifest');
+const { createRelease } = require('./releaseIngest');
+const { hashFile } = require('./audioIngest');
+const { isTakenDown, applyTakedown } = require('./takedown');
+const { revokeLicenses } = require('./downloadLicense');
+
+/**
+ * DDEX ERN delivery ingestion
+ * Messages arrive either as an uploaded zip or as batch folders in DDEX_DROP_DIR.
+ * Each message is recorded as a DdexDelivery with an acknowledgement for the sender.
+ */
+
+const DROP_DIR = process.env.DDEX_DROP_DIR;
+
+// Our party details in acknowledgements
+const PARTY_ID = process.env.DDEX_PARTY_ID || '';
+const PARTY_NAME = process.env.DDEX_PARTY_NAME || 'Mousa';
+
+// Reason recorded on takedowns requested by a delivery - only these are lifted by a later deal
+const DDEX_TAKEDOWN_REASON = 'DDEX takedown';
+
+// Senders write this marker once every file of a batch has been delivered
+const BATCH_COMPLETE = /^BatchComplete.*\.xml$/i;
+const DROP_FOLDERS = ['acknowledgements', 'processed', 'failed'];
+
+// File statuses reported in acknowledgements
+const FILE_OK = 'FileOK';
+const RESOURCE_CORRUPT = 'ResourceCorrupt';
+const PROCESSING_ERROR = 'ProcessingError';
+
+/**
+ * Check delivered files against the hash sums in the message
+ * Missing files are left to manifest validation
+ */
+const verifyHashes = async (message, baseDir) => {
+  const files = [
+    { row: 0, field: 'cover', file: message.release.cover, hash: message.release.coverHash },
+    ...message.tracks.map((track, i) => ({ row: i + 1, field: 'file', file: track.file, hash: track.hash }))
+  ];
+
+  const issues = [];
+  for (const { row, field, file, hash } of files) {
+    if (!file || !hash || !hash.value) continue;
+
+    const algorithm = (hash.algorithm || 'MD5').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const filePath = path.resolve(baseDir, file);
+    if (!crypto.getHashes().includes(algorithm) ||
+      !filePath.startsWith(path.resolve(baseDir) + path.sep) ||
+      !fs.existsSync(filePath)) {
+      continue;
+    }
+
+    if (await hashFile(filePath, algorithm) !== hash.value.toLowerCase()) {
+      issues.push({ row, field, message: `${hash.algorithm || 'MD5'} hash sum does not match for ${file}` });
+    }
+  }
+  return issues;
+};
+
+/**
+ * Create profiles for artists named in the message that we don't know yet
+ * They're managed by the distributor account that uploaded the delivery, if any
+ * Returns the ids of the created artists
+ */
+const createMissingArtists = async (message, userId) => {
+  const names = [
+    message.release.artist,
+    ...message.tracks.flatMap(track => [...(track.artist || []), ...(track.featuring || [])])
+  ].filter(Boolean);
+
+  const created = [];
+  for (const name of names) {
+    if (!await findArtist(name)) {
+      const artist = await Artist.create({
+        name,
+        distributors: userId ? [{ userId, addedBy: 'ddex' }] : []
+      });
+      created.push(artist._id);
+    }
+  }
+  return created;
+};
+
+/**
+ * Create a new release from a message, through the bulk ingest validation
+ */
+const createFromMessage = async (message, baseDir, { distributorName, userId }) => {
+  const createdArtists = await createMissingArtists(message, userId);
+  const removeCreatedArtists = () => Artist.deleteMany({ _id: { $in: createdArtists } });
+
+  const validated = await validateManifest(message, baseDir, { managedBy: userId });
+  if (validated.errors.length > 0) {
+    await removeCreatedArtists();
+    return { fileStatus: PROCESSING_ERROR, errors: validated.errors };
+  }
+
+  // Deals become availability windows
+  validated.release.availability = message.release.availability;
+  validated.tracks.forEach((track, i) => {
+    track.availability = message.tracks[i].availability;
+  });
+
+  try {
+    return await createRelease(validated, distributorName);
+  } catch (err) {
+    await removeCreatedArtists();
+    throw err;
+  }
+};
+
+/**
+ * Apply a delivered deal to an album or track (the document is not saved)
+ * A new deal lifts a DDEX takedown; one made by an admin or in the portal stays
+ * in place and the deal is what a later restore puts back on sale
+ */
+const applyDeal = (doc, availability) => {
+  if (isTakenDown(doc) && doc.takedown.reason !== DDEX_TAKEDOWN_REASON) {
+    doc.takedown.previousAvailability = availability;
+    return;
+  }
+
+  doc.availability = availability;
+  doc.takedown = undefined;
+};
+
+/**
+ * Apply an update or takedown to a release we already have
+ * Tracks are matched by ISRC; only metadata and availability change
+ */
+const updateFromMessage = async (album, message) => {
+  const tracks = await Track.find({ album: album._id });
+  const byIsrc = new Map(tracks
+    .filter(track => track.metadata && track.metadata.isrc)
+    .map(track => [track.metadata.isrc, track]));
+
+  const errors = [];
+  const updates = [];
+  message.tracks.forEach((entry, i) => {
+    const isrc = entry.isrc && entry.isrc.toUpperCase().replace(/-/g, '');
+    const track = isrc && byIsrc.get(isrc);
+    if (track) {
+      updates.push({ track, entry });
+    } else {
+      errors.push({ row: i + 1, field: 'isrc', message: `No track with ISRC ${entry.isrc || '(missing)'} on this release` });
+    }
+  });
+
+  if (errors.length > 0) {
+    return { fileStatus: PROCESSING_ERROR, errors };
+  }
+
+  if (message.takedown) {
+    applyTakedown(album, { reason: DDEX_TAKEDOWN_REASON });
+    tracks.forEach(track => applyTakedown(track, { reason: DDEX_TAKEDOWN_REASON }));
+  } else {
+    const { release } = message;
+    const releaseDate = new Date(release.releaseDate);
+
+    if (release.title) album.title = release.title;
+    if (release.releaseDate && !isNaN(releaseDate)) album.releaseDate = releaseDate;
+    if (release.genre) album.genre = release.genre;
+    if (release.label) album.metadata.label = release.label;
+    if (release.copyright) album.metadata.copyright = release.copyright;
+    applyDeal(album, release.availability);
+
+    updates.forEach(({ track, entry }) => {
+      if (entry.title) track.title = entry.title;
+      track.trackNumber = entry.trackNumber;
+      track.discNumber = entry.discNumber;
+      if (entry.explicit !== undefined) track.metadata.explicit = entry.explicit;
+      applyDeal(track, entry.availability);
+      // A moved release date moves the embargo of every track with it
+      track.releaseDate = album.releaseDate;
+    });
+  }
+
+  await album.save();
+  await Promise.all(tracks.map(track => track.save()));
+
+  if (message.takedown) {
+    await revokeLicenses({ track: { $in: tracks.map(track => track._id) } }, 'Track taken down');
+  }
+
+  return { album, tracks };
+};
+
+/**
+ * Map a parsed message onto the catalog
+ * Returns { album, tracks } or { fileStatus, errors }
+ */
+const applyMessage = async (message, baseDir, { distributorName, userId }) => {
+  const corrupt = await verifyHashes(message, baseDir);
+  if (corrupt.length > 0) {
+    return { fileStatus: RESOURCE_CORRUPT, errors: corrupt };
+  }
+
+  // Re-deliveries of a known UPC are treated as updates
+  const existing = message.release.upc && await Album.findOne({ 'metadata.upc': message.release.upc });
+  if (existing) {
+    // Uploaded deliveries may only change releases of artists the uploader manages
+    if (userId && !await Artist.exists({ _id: existing.artist, 'distributors.userId': userId })) {
+      return {
+        fileStatus: PROCESSING_ERROR,
+        errors: [{ row: 0, field: 'upc', message: `Release ${message.release.upc} belongs to an artist you don't manage` }]
+      };
+    }
+    return updateFromMessage(existing, message);
+  }
+
+  if (message.takedown) {
+    return {
+      fileStatus: PROCESSING_ERROR,
+      errors: [{ row: 0, field: 'upc', message: `Takedown refers to an unknown release: ${message.release.upc || '(no UPC)'}` }]
+    };
+  }
+
+  return createFromMessage(message, baseDir, { distributorName, userId });
+};
+
+/**
+ * Build the acknowledgement message for a delivery
+ * Modelled on the DDEX ECHO FtpAcknowledgementMessage
+ */
+const buildAcknowledgement = (delivery) => {
+  const errorTexts = delivery.issues.map(issue => {
+    const location = issue.row > 0 ? `Track ${issue.row}, ${issue.field}` : issue.field;
+    return `    <ErrorText>${escapeXml(`${location}: ${issue.message}`)}</ErrorText>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<FtpAcknowledgementMessage>',
+    '  <MessageHeader>',
+    `    <MessageId>ACK-${delivery._id}</MessageId>`,
+    '    <MessageSender>',
+    `      <PartyId>${escapeXml(PARTY_ID)}</PartyId>`,
+    `      <PartyName><FullName>${escapeXml(PARTY_NAME)}</FullName></PartyName>`,
+    '    </MessageSender>',
+    '    <MessageRecipient>',
+    `      <PartyId>${escapeXml(delivery.sender.partyId || '')}</PartyId>`,
+    `      <PartyName><FullName>${escapeXml(delivery.sender.name || '')}</FullName></PartyName>`,
+    '    </MessageRecipient>',
+    `    <MessageCreatedDateTime>${new Date().toISOString()}</MessageCreatedDateTime>`,
+    '  </MessageHeader>',
+    '  <AcknowledgedFile>',
+    `    <FileName>${escapeXml(delivery.fileName)}</FileName>`,
+    ...(delivery.messageId ? [`    <MessageId>${escapeXml(delivery.messageId)}</MessageId>`] : []),
+    `    <FileStatus>${delivery.fileStatus}</FileStatus>`,
+    ...errorTexts,
+    '  </AcknowledgedFile>',
+    '</FtpAcknowledgementMessage>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Process one ERN message file; resources are resolved relative to its folder
+ * Returns the DdexDelivery record, or the earlier one when the message was already ingested
+ */
+const processErnMessage = async (xmlPath, { source, userId, fileName, distributorName } = {}) => {
+  const delivery = new DdexDelivery({
+    fileName: fileName || path.basename(xmlPath),
+    source,
+    uploadedBy: userId
+  });
+
+  let message;
+  try {
+    message = parseErn(await fs.promises.readFile(xmlPath, 'utf8'));
+  } catch (err) {
+    delivery.status = 'failed';
+    delivery.fileStatus = PROCESSING_ERROR;
+    delivery.issues = [{ row: 0, field: 'message', message: err.message }];
+  }
+
+  if (message) {
+    delivery.messageId = message.messageId;
+    delivery.schemaVersion = message.version;
+    delivery.sender = message.sender;
+
+    const previous = message.messageId && await DdexDelivery.findOne({
+      messageId: message.messageId,
+      'sender.partyId': message.sender.partyId,
+      status: 'succeeded'
+    });
+    if (previous) return previous;
+
+    await delivery.save();
+
+    try {
+      const result = await applyMessage(message, path.dirname(xmlPath), {
+        distributorName: distributorName || message.sender.name,
+        userId
+      });
+
+      if (result.errors) {
+        delivery.status = 'failed';
+        delivery.fileStatus = result.fileStatus;
+        delivery.issues = result.errors;
+      } else {
+        delivery.status = 'succeeded';
+        delivery.fileStatus = FILE_OK;
+        delivery.album = result.album._id;
+        delivery.tracks = result.tracks.map(track => track._id);
+      }
+    } catch (err) {
+      console.error(`DDEX message ${delivery.fileName} failed:`, err);
+      delivery.status = 'failed';
+      delivery.fileStatus = PROCESSING_ERROR;
+      delivery.issues = [{ row: 0, field: 'message', message: 'The release could not be stored' }];
+    }
+  }
+
+  delivery.processedAt = new Date();
+  delivery.acknowledgement = buildAcknowledgement(delivery);
+  await delivery.save();
+
+  return delivery;
+};
+
+/**
+ * ERN message files under a folder, relative to it
+ */
+const findMessages = async (dir, entries) => {
+  const messages = [];
+  for (const name of entries) {
+    if (!name.toLowerCase().endsWith('.xml') || name.startsWith('__MACOSX/') || BATCH_COMPLETE.test(path.basename(name))) {
+      continue;
+    }
+    if (isErnMessage(await fs.promises.readFile(path.join(dir, name), 'utf8'))) {
+      messages.push(name);
+    }
+  }
+  return messages.sort();
+};
+
+/**
+ * Ingest an uploaded zip holding one or more ERN messages and their resources
+ * Returns { errors } when the archive can't be used, otherwise { deliveries }
+ */
+const ingestErnArchive = async (archive, { userId, distributorName } = {}) => {
+  const extractDir = `${archive.path}-extracted`;
+
+  try {
+    let entries;
+    try {
+      entries = await extractArchive(archive.path, extractDir);
+    } catch (err) {
+      return { errors: [{ row: 0, field: 'archive', message: err.message }] };
+    }
+
+    const messages = await findMessages(extractDir, entries);
+    if (messages.length === 0) {
+      return { errors: [{ row: 0, field: 'archive', message: 'Archive contains no ERN NewReleaseMessage' }] };
+    }
+
+    const deliveries = [];
+    for (const name of messages) {
+      deliveries.push(await processErnMessage(path.join(extractDir, name), {
+        source: 'upload',
+        userId,
+        fileName: name,
+        distributorName
+      }));
+    }
+
+    return { deliveries };
+  } finally {
+    await fs.promises.rm(extractDir, { recursive: true, force: true });
+    await fs.promises.unlink(archive.path).catch(() => {});
+  }
+};
+
+/**
+ * Files under a folder as relative paths
+ */
+const listFiles = async (dir, prefix = '') => {
+  const files = [];
+  for (const entry of await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+    const name = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) files.push(...await listFiles(dir, name));
+    else files.push(name);
+  }
+  return files;
+};
+
+/**
+ * Move a folder, adding a suffix if the destination is taken
+ */
+const moveFolder = async (from, toDir, name) => {
+  await fs.promises.mkdir(toDir, { recursive: true });
+  const destination = fs.existsSync(path.join(toDir, name))
+    ? path.join(toDir, `${name}-${Date.now()}`)
+    : path.join(toDir, name);
+  await fs.promises.rename(from, destination);
+};
+
+/**
+ * Process one complete batch folder from the drop folder
+ * Acknowledgements go to acknowledgements/, the batch to processed/ or failed/
+ */
+const processBatch = async (batchName) => {
+  const batchDir = path.join(DROP_DIR, batchName);
+  const messages = await findMessages(batchDir, await listFiles(batchDir));
+
+  const deliveries = [];
+  for (const name of messages) {
+    deliveries.push(await processErnMessage(path.join(batchDir, name), {
+      source: 'drop-folder',
+      fileName: `${batchName}/${name}`
+    }));
+  }
+
+  const ackDir = path.join(DROP_DIR, 'acknowledgements');
+  await fs.promises.mkdir(ackDir, { recursive: true });
+  await Promise.all(deliveries.map((delivery, i) => fs.promises.writeFile(
+    path.join(ackDir, `ACK_${batchName}_${path.basename(messages[i])}`),
+    delivery.acknowledgement
+  )));
+
+  if (messages.length === 0) {
+    console.warn(`DDEX batch ${batchName} contains no ERN messages`);
+  }
+
+  const succeeded = deliveries.length > 0 && deliveries.every(delivery => delivery.status === 'succeeded');
+  await moveFolder(batchDir, path.join(DROP_DIR, succeeded ? 'processed' : 'failed'), batchName);
+};
+
+/**
+ * Pick up complete batches from the drop folder
+ */
+const processDropFolder = async () => {
+  if (!DROP_DIR) return;
+
+  const entries = await fs.promises.readdir(DROP_DIR, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory() || DROP_FOLDERS.includes(entry.name)) continue;
+
+    const files = await fs.promises.readdir(path.join(DROP_DIR, entry.name));
+    if (files.some(name => BATCH_COMPLETE.test(name))) {
+      await processBatch(entry.name);
+    }
+  }
+};
+
+module.exports = {
+  ingestErnArchive,
+  processDropFolder
+};
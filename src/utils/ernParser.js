@@ -0,0 +1,339 @@
+const { parseXml, child, children, text, descendants } = require('./xml');
+
+/**
+ * Parser for DDEX ERN (Electronic Release Notification) messages
+ * Supports ERN 3.8.x and 4.x NewReleaseMessages and maps them to the
+ * release manifest shape used by bulk ingest, plus deal-based availability
+ */
+
+// DDEX contributor roles we keep as credits
+const CREDIT_ROLES = {
+  Composer: 'composer',
+  Lyricist: 'lyricist',
+  ComposerLyricist: 'songwriter',
+  Songwriter: 'songwriter',
+  Arranger: 'arranger',
+  Producer: 'producer',
+  CoProducer: 'co-producer',
+  ExecutiveProducer: 'executive producer',
+  RecordingEngineer: 'recording engineer',
+  MixingEngineer: 'mixing engineer',
+  Mixer: 'mixing engineer',
+  MasteringEngineer: 'mastering engineer',
+  Remixer: 'remixer'
+};
+
+const RELEASE_TYPES = {
+  Album: 'album',
+  ClassicalAlbum: 'album',
+  Single: 'single',
+  EP: 'ep'
+};
+
+/**
+ * Read the ERN version from the schema version attribute or namespace
+ * e.g. "ern/382" -> { major: 3, minor: 8 }, "ern/43" -> { major: 4, minor: 3 }
+ */
+const detectVersion = (root) => {
+  const source = root.attributes.MessageSchemaVersionId ||
+    Object.values(root.attributes).find(value => /ddex\.net\/xml\/ern\//.test(value)) || '';
+  const match = /ern\/(\d)(\d)(\d?)/.exec(source);
+  if (!match) return null;
+
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    label: `${match[1]}.${match[2]}${match[3] ? `.${match[3]}` : ''}`
+  };
+};
+
+/**
+ * ISO 8601 duration (PT3M25.5S) to whole seconds
+ */
+const parseDuration = (value) => {
+  const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?$/.exec(value || '');
+  if (!match) return undefined;
+  const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+  return Math.round(days * 86400 + hours * 3600 + minutes * 60 + seconds);
+};
+
+/**
+ * Pick the worldwide (or first) territory-specific details block (ERN 3.8)
+ */
+const territoryDetails = (element, name) => {
+  const blocks = children(element, name);
+  return blocks.find(block => children(block, 'TerritoryCode').some(code => code.text === 'Worldwide')) || blocks[0];
+};
+
+/**
+ * First non-empty text found at any of the paths, searching each element in turn
+ */
+const firstText = (elements, ...paths) => {
+  for (const element of elements.filter(Boolean)) {
+    for (const path of paths) {
+      const value = text(element, ...path);
+      if (value) return value;
+    }
+  }
+  return '';
+};
+
+const normalizeTerritory = (code) => (code === 'Worldwide' ? 'WORLDWIDE' : code.toUpperCase());
+
+/**
+ * Map a message to the release manifest shape
+ */
+const mapMessage = (root, version) => {
+  const isErn4 = version.major >= 4;
+  const header = child(root, 'MessageHeader');
+
+  // ERN 4 refers to artists and labels through a party list
+  const parties = new Map(descendants(child(root, 'PartyList'), 'Party').map(party => [
+    text(party, 'PartyReference'),
+    text(party, 'PartyName', 'FullName')
+  ]));
+  const partyName = (element, referenceName) => (isErn4
+    ? parties.get(text(element, referenceName)) || ''
+    : text(element, 'PartyName', 'FullName'));
+
+  /**
+   * Primary and featured artist names from DisplayArtist elements
+   */
+  const displayArtists = (elements) => {
+    const primary = [];
+    const featured = [];
+    elements.forEach(artist => {
+      const name = partyName(artist, 'ArtistPartyReference');
+      const role = text(artist, isErn4 ? 'DisplayArtistRole' : 'ArtistRole');
+      if (!name) return;
+      if (role === 'FeaturedArtist') featured.push(name);
+      else primary.push(name);
+    });
+    return { primary, featured };
+  };
+
+  /**
+   * Credits from contributor elements
+   */
+  const contributorCredits = (elements) => elements.reduce((credits, contributor) => {
+    const roles = [
+      ...children(contributor, 'Role'),
+      ...children(contributor, 'ResourceContributorRole'),
+      ...children(contributor, 'IndirectResourceContributorRole')
+    ].map(role => role.attributes.UserDefinedValue || role.text);
+    const name = partyName(contributor, 'ContributorPartyReference');
+
+    roles.forEach(role => {
+      if (name && CREDIT_ROLES[role]) {
+        credits.push({ role: CREDIT_ROLES[role], name });
+      }
+    });
+    return credits;
+  }, []);
+
+  /**
+   * Delivered file for a resource, relative to the message
+   * ERN 3.8 uses FilePath + FileName, ERN 4 a URI
+   */
+  const resourceFile = (resource) => {
+    const file = descendants(resource, 'File')[0];
+    if (!file) return {};
+
+    const uri = text(file, 'URI');
+    const name = uri || [text(file, 'FilePath'), text(file, 'FileName')].filter(Boolean).join('/');
+    const hashSum = child(file, 'HashSum');
+
+    return {
+      file: name.replace(/^\.?\//, ''),
+      hash: hashSum && {
+        algorithm: text(hashSum, 'HashSumAlgorithmType') || text(hashSum, 'Algorithm'),
+        value: text(hashSum, 'HashSum') || text(hashSum, 'HashSumValue')
+      }
+    };
+  };
+
+  // Sound recordings and the cover image, keyed by resource reference
+  const resourceList = child(root, 'ResourceList');
+  const recordings = new Map(children(resourceList, 'SoundRecording').map(recording => {
+    const details = territoryDetails(recording, 'SoundRecordingDetailsByTerritory');
+    const scopes = [recording, details];
+    const artists = displayArtists(scopes.flatMap(scope => children(scope, 'DisplayArtist')));
+    const parentalWarning = firstText(scopes, ['ParentalWarningType']);
+
+    return [text(recording, 'ResourceReference'), {
+      title: firstText(scopes, ['DisplayTitleText'], ['DisplayTitle', 'TitleText'], ['Title', 'TitleText'], ['ReferenceTitle', 'TitleText']),
+      isrc: descendants(recording, 'ISRC').map(isrc => isrc.text)[0],
+      duration: parseDuration(text(recording, 'Duration')),
+      artist: artists.primary,
+      featuring: artists.featured,
+      // Left unset when the message doesn't say, so updates keep the current flag
+      explicit: parentalWarning ? parentalWarning === 'Explicit' : undefined,
+      genre: firstText(scopes, ['Genre', 'GenreText']),
+      credits: contributorCredits(scopes.flatMap(scope => [
+        ...children(scope, 'Contributor'),
+        ...children(scope, 'ResourceContributor'),
+        ...children(scope, 'IndirectResourceContributor')
+      ])),
+      ...resourceFile(recording)
+    }];
+  }));
+
+  const cover = children(resourceList, 'Image')
+    .find(image => (text(image, 'ImageType') || text(image, 'Type')) === 'FrontCoverImage');
+
+  // The main release is flagged (3.8) or the only Release element next to TrackReleases (4.x)
+  const releaseList = child(root, 'ReleaseList');
+  const releases = children(releaseList, 'Release');
+  const mainRelease = releases.find(release => release.attributes.IsMainRelease === 'true') ||
+    releases.find(release => RELEASE_TYPES[text(release, 'ReleaseType')]) ||
+    releases[0];
+
+  if (!mainRelease) {
+    throw new Error('Message contains no release');
+  }
+
+  const releaseDetails = territoryDetails(mainRelease, 'ReleaseDetailsByTerritory');
+  const releaseScopes = [mainRelease, releaseDetails];
+  const releaseArtists = displayArtists(releaseScopes.flatMap(scope => children(scope, 'DisplayArtist')));
+
+  // Track order from the resource groups - one group of items per disc
+  const groups = descendants(mainRelease, 'ResourceGroup')
+    .filter(group => children(group, 'ResourceGroupContentItem').length > 0);
+  const ordered = groups.flatMap((group, discIndex) => children(group, 'ResourceGroupContentItem')
+    .map((item, i) => ({
+      reference: text(item, 'ReleaseResourceReference'),
+      discNumber: groups.length > 1 ? parseInt(text(group, 'SequenceNumber'), 10) || discIndex + 1 : 1,
+      trackNumber: parseInt(text(item, 'SequenceNumber'), 10) || i + 1
+    })));
+
+  // Without resource groups, fall back to the order recordings were listed
+  const trackOrder = ordered.length > 0
+    ? ordered.filter(item => recordings.has(item.reference))
+    : [...recordings.keys()].map((reference, i) => ({ reference, discNumber: 1, trackNumber: i + 1 }));
+
+  // Deals become availability windows, per release reference
+  const availabilityByRelease = new Map();
+  let takedown = false;
+  children(child(root, 'DealList'), 'ReleaseDeal').forEach(releaseDeal => {
+    const windows = children(releaseDeal, 'Deal').map(deal => child(deal, 'DealTerms')).filter(Boolean)
+      // We only stream, so download-only deals don't apply
+      .filter(terms => {
+        const useTypes = descendants(terms, 'UseType').map(useType => useType.text);
+        return useTypes.length === 0 || useTypes.some(useType => /Stream/i.test(useType));
+      })
+      .filter(terms => {
+        if (text(terms, 'TakeDown') === 'true') {
+          takedown = true;
+          return false;
+        }
+        return true;
+      })
+      .map(terms => {
+        const period = child(terms, 'ValidityPeriod');
+        const startDate = text(period, 'StartDate') || text(period, 'StartDateTime');
+        const endDate = text(period, 'EndDate') || text(period, 'EndDateTime');
+        const territories = children(terms, 'TerritoryCode').map(code => normalizeTerritory(code.text));
+
+        return {
+          territories: territories.length > 0 ? territories : ['WORLDWIDE'],
+          excludedTerritories: children(terms, 'ExcludedTerritoryCode').map(code => normalizeTerritory(code.text)),
+          startDate: startDate ? new Date(startDate) : undefined,
+          endDate: endDate ? new Date(endDate) : undefined
+        };
+      });
+
+    children(releaseDeal, 'DealReleaseReference').forEach(reference => {
+      availabilityByRelease.set(reference.text, [...(availabilityByRelease.get(reference.text) || []), ...windows]);
+    });
+  });
+
+  // Track-level deals point at track releases, which point at a recording
+  const trackReleases = [
+    ...children(releaseList, 'TrackRelease'),
+    ...releases.filter(release => release !== mainRelease)
+  ];
+  const availabilityByResource = new Map();
+  trackReleases.forEach(release => {
+    const windows = availabilityByRelease.get(text(release, 'ReleaseReference'));
+    const resource = descendants(release, 'ReleaseResourceReference').map(reference => reference.text)[0];
+    if (windows && resource) availabilityByResource.set(resource, windows);
+  });
+
+  const releaseAvailability = availabilityByRelease.get(text(mainRelease, 'ReleaseReference')) || [];
+
+  // Release date from the message, falling back to the earliest deal start
+  const dealStarts = releaseAvailability.map(window => window.startDate).filter(Boolean).sort((a, b) => a - b);
+  const releaseDate = firstText(releaseScopes, ['ReleaseDate'], ['OriginalReleaseDate'], ['GlobalOriginalReleaseDate']) ||
+    (dealStarts[0] && dealStarts[0].toISOString());
+
+  const labelReference = text(mainRelease, 'ReleaseLabelReference');
+
+  return {
+    messageId: text(header, 'MessageId'),
+    sender: {
+      partyId: text(header, 'MessageSender', 'PartyId'),
+      name: text(header, 'MessageSender', 'PartyName', 'FullName')
+    },
+    updateIndicator: text(root, 'UpdateIndicator') || 'OriginalMessage',
+    takedown,
+    release: {
+      title: firstText(releaseScopes, ['DisplayTitleText'], ['DisplayTitle', 'TitleText'], ['Title', 'TitleText'], ['ReferenceTitle', 'TitleText']),
+      artist: releaseArtists.primary[0] ||
+        firstText(releaseScopes, ['DisplayArtistName']),
+      releaseDate,
+      type: RELEASE_TYPES[text(mainRelease, 'ReleaseType')] || 'album',
+      genre: firstText(releaseScopes, ['Genre', 'GenreText']),
+      label: firstText(releaseScopes, ['LabelName']) || (labelReference && parties.get(labelReference)) || undefined,
+      upc: descendants(child(mainRelease, 'ReleaseId'), 'ICPN').map(icpn => icpn.text)[0],
+      copyright: firstText(releaseScopes, ['CLine', 'CLineText'], ['PLine', 'PLineText']) || undefined,
+      cover: cover ? resourceFile(cover).file : undefined,
+      coverHash: cover ? resourceFile(cover).hash : undefined,
+      credits: [],
+      availability: releaseAvailability
+    },
+    tracks: trackOrder.map(({ reference, discNumber, trackNumber }) => {
+      const recording = recordings.get(reference);
+      return {
+        ...recording,
+        // Recordings credited to the release artist alone defer to the release
+        artist: recording.artist.length > 0 ? recording.artist : undefined,
+        trackNumber,
+        discNumber,
+        availability: availabilityByResource.get(reference) || []
+      };
+    })
+  };
+};
+
+/**
+ * Parse an ERN message
+ * Returns { messageType, version, ...mapped } or throws when it can't be read
+ */
+const parseErn = (xml) => {
+  const root = parseXml(xml);
+  const version = detectVersion(root);
+
+  if (!version || ![3, 4].includes(version.major) || (version.major === 3 && version.minor < 8)) {
+    throw new Error('Unsupported ERN version - only ERN 3.8 and 4.x are accepted');
+  }
+
+  if (root.name !== 'NewReleaseMessage') {
+    throw new Error(`Unsupported message type: ${root.name}`);
+  }
+
+  return {
+    messageType: root.name,
+    version: version.label,
+    ...mapMessage(root, version)
+  };
+};
+
+/**
+ * Quick check whether an XML file looks like an ERN message
+ */
+const isErnMessage = (xml) => /<([\w-]+:)?NewReleaseMessage[\s>]/.test(xml.slice(0, 4096));
+
+module.exports = {
+  parseErn,
+  isErnMessage
+};
@@ -0,0 +1,19 @@
+const runProcess = require('./runProcess');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+/**
+ * Run ffmpeg with the given arguments (overwrites outputs, no banner)
+ */
+const runFfmpeg = (args) => runProcess(FFMPEG_PATH, ['-hide_banner', '-nostdin', '-y', ...args]);
+
+/**
+ * Run ffprobe with the given arguments
+ */
+const runFfprobe = (args) => runProcess(FFPROBE_PATH, ['-hide_banner', ...args]);
+
+module.exports = {
+  runFfmpeg,
+  runFfprobe
+};
@@ -0,0 +1,140 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Track = require('../models/Track');
+const Album = require('../models/Album');
+const Artist = require('../models/Artist');
+const Playlist = require('../models/Playlist');
+const User = require('../models/User');
+const ExclusiveContent = require('../models/ExclusiveContent');
+const ArtistEvent = require('../models/ArtistEvent');
+const storage = require('./storage');
+const { IMAGE_FIELDS } = require('./imageDerivatives');
+
+// Storage folders whose files are referenced by documents
+const FILE_DIRS = ['tracks', 'masters', 'covers', 'avatars', 'content'];
+
+// Local folders that only hold files on their way into storage (e.g. extracted imports)
+const WORK_DIRS = ['imports'];
+
+// Files younger than this may belong to an upload that is still being processed
+const GRACE_PERIOD = parseInt(process.env.ORPHAN_FILE_GRACE_MS) || 24 * 60 * 60 * 1000;
+
+/**
+ * Storage key of an upload
+ * Stored values are either /uploads/... URLs or bare file names inside dir
+ */
+const toUploadPath = (value, dir) => {
+  if (!value) return null;
+  if (value.startsWith('/uploads/')) return storage.keyFromUrl(value);
+  return dir ? `${dir}/${value}` : null;
+};
+
+/**
+ * Storage keys of every upload still referenced by a document
+ */
+const getReferencedFiles = async () => {
+  const sources = [
+    [Track, 'fileUrl', 'tracks'],
+    [Track, 'master.fileUrl', 'masters'],
+    [Track, 'coverArt'],
+    [Album, 'coverArt'],
+    [Artist, 'coverArt'],
+    [Artist, 'profileImage'],
+    [Playlist, 'coverImage'],
+    [User, 'avatar'],
+    [ExclusiveContent, 'contentUrl'],
+    [ExclusiveContent, 'thumbnailUrl'],
+    [ArtistEvent, 'imageUrl'],
+    // Resized copies of cover art and avatars
+    ...IMAGE_FIELDS.map(([Model, field]) => [Model, `images.${field}.variants.url`])
+  ];
+
+  const referenced = new Set();
+  for (const [Model, field, dir] of sources) {
+    const values = await Model.distinct(field);
+    values.forEach(value => {
+      const uploadPath = toUploadPath(value, dir);
+      if (uploadPath) referenced.add(uploadPath);
+    });
+  }
+  return referenced;
+};
+
+/**
+ * Local working files older than the cutoff, relative to the local uploads folder
+ */
+const findStaleLocalFiles = async (dirs, cutoff) => {
+  const stale = [];
+  for (const dir of dirs) {
+    const entries = await fs.promises.readdir(path.join(storage.UPLOADS_DIR, dir)).catch(() => []);
+    for (const name of entries) {
+      const stats = await fs.promises.stat(path.join(storage.UPLOADS_DIR, dir, name)).catch(() => null);
+      if (stats && stats.mtimeMs < cutoff) {
+        stale.push(`${dir}/${name}`);
+      }
+    }
+  }
+  return stale;
+};
+
+/**
+ * Remove uploads that nothing refers to any more
+ * Covers files left behind by deleted or edited documents, HLS folders of deleted
+ * tracks and extracted imports from interrupted ingests
+ * Returns the removed storage keys and local paths
+ */
+const reapOrphanedFiles = async ({ dryRun = false } = {}) => {
+  // Never judge files against a database we can't read
+  if (mongoose.connection.readyState !== 1) {
+    return [];
+  }
+
+  const referenced = await getReferencedFiles();
+  const trackIds = new Set((await Track.distinct('_id')).map(id => id.toString()));
+  const cutoff = Date.now() - GRACE_PERIOD;
+  const isStale = object => object.modifiedAt.getTime() < cutoff;
+
+  const orphans = [];
+  for (const dir of FILE_DIRS) {
+    const objects = await storage.list(`${dir}/`);
+    objects
+      .filter(object => !referenced.has(object.key) && isStale(object))
+      .forEach(object => orphans.push(object.key));
+  }
+
+  // HLS renditions live in a folder named after the track
+  const hlsFolders = new Set();
+  (await storage.list('hls/')).forEach(object => {
+    const trackId = object.key.split('/')[1];
+    if (!trackIds.has(trackId) && isStale(object)) {
+      hlsFolders.add(`hls/${trackId}`);
+    }
+  });
+
+  // With a remote store, anything still on local disk is a leftover upload
+  const localDirs = storage.name === 'local' ? WORK_DIRS : [...FILE_DIRS, ...WORK_DIRS];
+  const localFiles = await findStaleLocalFiles(localDirs, cutoff);
+
+  if (!dryRun) {
+    await Promise.all(orphans.map(key => storage.remove(key)));
+    for (const folder of hlsFolders) {
+      await storage.removePrefix(folder);
+    }
+    await Promise.all(localFiles.map(relative => fs.promises.rm(
+      path.join(storage.UPLOADS_DIR, relative),
+      { recursive: true, force: true }
+    )));
+
+    const removed = orphans.length + hlsFolders.size + localFiles.length;
+    if (removed > 0) {
+      console.log(`Orphan file reaper removed ${removed} file(s)`);
+    }
+  }
+
+  return [...orphans, ...hlsFolders, ...localFiles];
+};
+
+module.exports = {
+  reapOrphanedFiles
+};
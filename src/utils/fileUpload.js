@@ -1,12 +1,110 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { UPLOADS_DIR, saveFile, uploadUrl } = require('./storage');
 
-// Ensure upload directories exist
+// Accepted audio formats - lossy streaming formats and lossless masters
+const AUDIO_MIME_TYPES = [
+  'audio/mpeg', 'audio/mp3',
+  'audio/flac', 'audio/x-flac',
+  'audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave',
+  'audio/aiff', 'audio/x-aiff',
+  'audio/aac', 'audio/mp4', 'audio/x-m4a',
+  'audio/ogg', 'audio/opus'
+];
+
+// Browsers often report lossless files as application/octet-stream
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.wav', '.aif', '.aiff', '.aac', '.m4a', '.ogg', '.oga', '.opus'];
+
+const MEDIA_MIME_TYPES = [
+  // Audio
+  ...AUDIO_MIME_TYPES,
+  // Video
+  'video/mp4', 'video/webm', 'video/ogg',
+  // Images
+  'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+  // Documents
+  'application/pdf', 'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  // Archives
+  'application/zip', 'application/x-rar-compressed'
+];
+
+const MB = 1024 * 1024;
+
+const isAudio = (file) => AUDIO_MIME_TYPES.includes(file.mimetype) ||
+  AUDIO_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase());
+
+const isImage = (file) => file.mimetype.startsWith('image/');
+
+const isZip = (file) => ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+  path.extname(file.originalname).toLowerCase() === '.zip';
+
+/**
+ * Upload policy per form field: target directory, accepted files and size limit
+ * Audio uploads land in masters/ and are transcoded for streaming at ingest
+ */
+const audioPolicy = {
+  dir: 'masters',
+  accepts: isAudio,
+  error: 'Only MP3, FLAC, WAV, AIFF, AAC and OGG audio files are allowed!',
+  maxSize: 500 * MB // Lossless masters can be large
+};
+
+const imagePolicy = {
+  dir: 'covers',
+  accepts: isImage,
+  error: 'Only image files are allowed!',
+  maxSize: 5 * MB
+};
+
+const UPLOAD_POLICY = {
+  track: audioPolicy,
+  audioFile: audioPolicy,
+  audio: audioPolicy,
+  cover: imagePolicy,
+  coverArt: imagePolicy,
+  avatar: { ...imagePolicy, dir: 'avatars' },
+  // Release archives are extracted and removed once ingested
+  archive: {
+    dir: 'imports',
+    accepts: isZip,
+    error: 'Release archives must be zip files!',
+    maxSize: 500 * MB
+  },
+  media: {
+    dir: 'content',
+    accepts: file => MEDIA_MIME_TYPES.includes(file.mimetype),
+    error: 'Unsupported file type!',
+    maxSize: 500 * MB, // Largest of the limits below
+    maxSizeFor: (file) => {
+      if (file.mimetype.startsWith('video/')) {
+        return 500 * MB; // 500MB for videos
+      } else if (file.mimetype.startsWith('audio/')) {
+        return 50 * MB; // 50MB for audio
+      } else if (file.mimetype.startsWith('application/')) {
+        return 100 * MB; // 100MB for documents and archives
+      }
+      return 5 * MB; // 5MB for images
+    }
+  }
+};
+
+/**
+ * Size limit for one uploaded file under its field's policy
+ */
+const fileSizeLimit = (file) => {
+  const policy = UPLOAD_POLICY[file.fieldname];
+  return policy.maxSizeFor ? policy.maxSizeFor(file) : policy.maxSize;
+};
+
+// Ensure upload directories exist - uploads are received on local disk before they're stored
 const createUploadDirs = () => {
-  const dirs = ['tracks', 'covers', 'avatars', 'content'];
+  const dirs = ['tracks', 'masters', 'covers', 'avatars', 'content', 'imports'];
   dirs.forEach(dir => {
-    const dirPath = path.join(__dirname, `../../uploads/${dir}`);
+    const dirPath = path.join(UPLOADS_DIR, dir);
     if (!fs.existsSync(dirPath)) {
       fs.mkdirSync(dirPath, { recursive: true });
     }
@@ -15,104 +113,137 @@ const createUploadDirs = () => {
 
 createUploadDirs();
 
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let uploadPath = '../../uploads/';
-
-    if (file.fieldname === 'track') {
-      uploadPath += 'tracks';
-    } else if (file.fieldname === 'cover') {
-      uploadPath += 'covers';
-    } else if (file.fieldname === 'avatar') {
-      uploadPath += 'avatars';
-    } else if (file.fieldname === 'media') {
-      uploadPath += 'content';
-    }
-
-    cb(null, path.join(__dirname, uploadPath));
-  },
-  filename: (req, file, cb) => {
+/**
+ * Disk storage that enforces each file's own size limit while it streams in,
+ * so an oversized upload is cut off rather than written out in full
+ */
+const storage = {
+  _handleFile: (req, file, cb) => {
     // Create unique filename with timestamp
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
+    const filename = uniqueSuffix + path.extname(file.originalname).toLowerCase();
+    const destination = path.join(UPLOADS_DIR, UPLOAD_POLICY[file.fieldname].dir);
+    const filePath = path.join(destination, filename);
+    const maxSize = fileSizeLimit(file);
+
+    const outStream = fs.createWriteStream(filePath);
+    let received = 0;
+    let settled = false;
+
+    const abort = (err) => {
+      if (settled) return;
+      settled = true;
+
+      // Discard the rest of the file so the remaining form still parses before the error is sent
+      file.stream.unpipe(outStream);
+      const drained = file.stream.readableEnded
+        ? Promise.resolve()
+        : new Promise(resolve => file.stream.once('end', resolve));
+      file.stream.resume();
+
+      const removed = new Promise(resolve => {
+        outStream.once('close', () => fs.unlink(filePath, () => resolve()));
+      });
+      outStream.destroy();
+
+      Promise.all([drained, removed]).then(() => cb(err));
+    };
+
+    file.stream.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > maxSize) {
+        abort(new multer.MulterError('LIMIT_FILE_SIZE', file.fieldname));
+      }
+    });
+
+    outStream.on('error', abort);
+    outStream.on('finish', () => {
+      if (settled) return;
+      settled = true;
+      cb(null, { destination, filename, path: filePath, size: outStream.bytesWritten });
+    });
+
+    file.stream.pipe(outStream);
+  },
+
+  _removeFile: (req, file, cb) => {
+    fs.unlink(file.path, cb);
   }
-});
+};
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  if (file.fieldname === 'track') {
-    // Allow only mp3 files for tracks
-    if (file.mimetype === 'audio/mpeg') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only MP3 files are allowed!'), false);
-    }
-  } else if (file.fieldname === 'cover' || file.fieldname === 'avatar') {
-    // Allow images for covers and avatars
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  } else if (file.fieldname === 'media') {
-    // Allow various media types for exclusive content
-    const allowedMimeTypes = [
-      // Audio
-      'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/aac', 'audio/ogg',
-      // Video
-      'video/mp4', 'video/webm', 'video/ogg',
-      // Images
-      'image/jpeg', 'image/png', 'image/gif', 'image/webp',
-      // Documents
-      'application/pdf', 'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'application/vnd.ms-excel',
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      // Archives
-      'application/zip', 'application/x-rar-compressed'
-    ];
-
-    if (allowedMimeTypes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Unsupported file type!'), false);
-    }
+  const policy = UPLOAD_POLICY[file.fieldname];
+
+  if (!policy) {
+    return cb(new Error('Invalid field name!'), false);
+  }
+
+  if (policy.accepts(file)) {
+    cb(null, true);
   } else {
-    cb(new Error('Invalid field name!'), false);
+    cb(new Error(policy.error), false);
   }
 };
 
-// Create multer upload instance
-const upload = multer({
+/**
+ * Create a multer instance for the given fields, capped at the largest size they allow
+ */
+const createUpload = (fieldnames) => multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: function(req, file) {
-      if (file.fieldname === 'track') {
-        return 50 * 1024 * 1024; // 50MB for tracks
-      } else if (file.fieldname === 'media') {
-        if (file.mimetype.startsWith('video/')) {
-          return 500 * 1024 * 1024; // 500MB for videos
-        } else if (file.mimetype.startsWith('audio/')) {
-          return 50 * 1024 * 1024; // 50MB for audio
-        } else if (file.mimetype.startsWith('application/')) {
-          return 100 * 1024 * 1024; // 100MB for documents and archives
-        }
-      }
-      return 5 * 1024 * 1024; // 5MB for images and other files
-    }
+    fileSize: Math.max(...fieldnames.map(fieldname => UPLOAD_POLICY[fieldname].maxSize))
   }
 });
 
+/**
+ * Wrap a multer middleware to turn upload errors into 400 responses
+ * (413 when a file is over its size limit)
+ */
+const withPolicy = (multerMiddleware) => (req, res, next) => {
+  multerMiddleware(req, res, (err) => {
+    if (err) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({ message: `File too large for ${err.field}` });
+      }
+      return res.status(400).json({ message: err.message });
+    }
+
+    next();
+  });
+};
+
+const uploadSingle = (fieldname) => withPolicy(createUpload([fieldname]).single(fieldname));
+
+const uploadFields = (fields) => withPolicy(createUpload(fields.map(field => field.name)).fields(fields));
+
+/**
+ * Move a received upload into storage under its policy's folder
+ * Returns the /uploads URL to keep on the document
+ */
+const saveUpload = async (file) => {
+  const key = `${UPLOAD_POLICY[file.fieldname].dir}/${file.filename}`;
+  await saveFile(key, file.path);
+  return uploadUrl(key);
+};
+
 // Export configured multer instances for different upload types
 module.exports = {
-  uploadTrack: upload.single('track'),
-  uploadCover: upload.single('cover'),
-  uploadAvatar: upload.single('avatar'),
-  uploadMedia: upload.single('media'),
-  uploadTrackWithCover: upload.fields([
+  saveUpload,
+  uploadTrack: uploadSingle('track'),
+  uploadAudioFile: uploadSingle('audioFile'),
+  uploadCover: uploadSingle('cover'),
+  uploadAvatar: uploadSingle('avatar'),
+  uploadMedia: uploadSingle('media'),
+  uploadReleaseArchive: uploadSingle('archive'),
+  uploadTrackWithCover: uploadFields([
     { name: 'track', maxCount: 1 },
     { name: 'cover', maxCount: 1 }
+  ]),
+  uploadCoverArt: uploadSingle('coverArt'),
+  uploadAudioWithCoverArt: uploadFields([
+    { name: 'audio', maxCount: 1 },
+    { name: 'coverArt', maxCount: 1 }
   ])
-};
\ No newline at end of file
+};
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const Track = require('../models/Track');
+const AudioFingerprint = require('../models/AudioFingerprint');
+const { runFfmpeg } = require('./ffmpeg');
+const storage = require('./storage');
+const { getSourceKey } = require('./audioIngest');
+
+/**
+ * Local acoustic fingerprinting
+ * Each frame's sub-fingerprint encodes how energy changes across 33 frequency
+ * bands between neighbouring frames (Haitsma & Kalker), which survives
+ * re-encoding, bitrate changes and new tags
+ */
+
+const SAMPLE_RATE = 5512;
+const FRAME_SIZE = 2048; // ~0.37s, must be a power of two for the FFT
+const HOP_SIZE = 1024;
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+const BANDS = 33; // Gives 32 bits per frame
+
+// How far two fingerprints may be shifted against each other when compared, in frames
+const MAX_OFFSET = 16;
+
+// Log-spaced band edges as FFT bin indexes
+const BAND_EDGES = Array.from({ length: BANDS + 1 }, (_, i) => {
+  const frequency = MIN_FREQUENCY * (MAX_FREQUENCY / MIN_FREQUENCY) ** (i / BANDS);
+  return Math.round(frequency * FRAME_SIZE / SAMPLE_RATE);
+});
+
+const HANN_WINDOW = Float64Array.from({ length: FRAME_SIZE },
+  (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1)));
+
+/**
+ * In-place iterative radix-2 FFT
+ */
+const fft = (real, imag) => {
+  const n = real.length;
+
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+};
+
+/**
+ * Energy per band for the frame starting at offset
+ */
+const bandEnergies = (samples, offset) => {
+  const real = new Float64Array(FRAME_SIZE);
+  const imag = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) {
+    real[i] = samples[offset + i] * HANN_WINDOW[i];
+  }
+  fft(real, imag);
+
+  const energies = new Float64Array(BANDS);
+  for (let band = 0; band < BANDS; band++) {
+    for (let bin = BAND_EDGES[band]; bin < BAND_EDGES[band + 1]; bin++) {
+      energies[band] += real[bin] * real[bin] + imag[bin] * imag[bin];
+    }
+  }
+  return energies;
+};
+
+/**
+ * Compute sub-fingerprints from mono PCM samples
+ */
+const computeFingerprint = (samples) => {
+  const frames = [];
+  let previous = null;
+
+  for (let offset = 0; offset + FRAME_SIZE <= samples.length; offset += HOP_SIZE) {
+    const energies = bandEnergies(samples, offset);
+
+    if (previous) {
+      let bits = 0;
+      for (let band = 0; band < BANDS - 1; band++) {
+        const difference = (energies[band] - energies[band + 1]) - (previous[band] - previous[band + 1]);
+        if (difference > 0) bits |= 1 << band;
+      }
+      frames.push(bits >>> 0);
+    }
+    previous = energies;
+  }
+
+  return frames;
+};
+
+/**
+ * Number of set bits in a 32-bit value
+ */
+const popcount = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+};
+
+/**
+ * Compare two fingerprints, trying small shifts to allow for leading silence
+ * Returns { similarity, offset } where similarity is 1 - bit error rate and
+ * offset is how many seconds b is shifted against a
+ */
+const compareFingerprints = (a, b) => {
+  let best = { similarity: 0, offset: 0 };
+  const minOverlap = Math.ceil(Math.min(a.length, b.length) / 2);
+
+  for (let shift = -MAX_OFFSET; shift <= MAX_OFFSET; shift++) {
+    let errors = 0;
+    let compared = 0;
+
+    for (let i = Math.max(0, -shift); i < a.length && i + shift < b.length; i++) {
+      errors += popcount((a[i] ^ b[i + shift]) >>> 0);
+      compared++;
+    }
+
+    if (compared > 0 && compared >= minOverlap) {
+      const similarity = 1 - errors / (compared * 32);
+      if (similarity > best.similarity) {
+        best = {
+          similarity: Math.round(similarity * 1000) / 1000,
+          offset: Math.round((shift * HOP_SIZE / SAMPLE_RATE) * 100) / 100
+        };
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Decode an audio file to mono 16-bit PCM at the fingerprint sample rate
+ */
+const decodeSamples = async (filePath) => {
+  const { stdout } = await runFfmpeg([
+    '-i', filePath,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(SAMPLE_RATE),
+    '-f', 's16le',
+    '-acodec', 'pcm_s16le',
+    'pipe:1'
+  ]);
+
+  // Copy into a fresh buffer so the typed array view is properly aligned
+  const pcm = Buffer.alloc(stdout.length - (stdout.length % 2));
+  stdout.copy(pcm);
+
+  return {
+    pcm,
+    samples: new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2)
+  };
+};
+
+/**
+ * Compute and store the fingerprint and decoded-audio hash of a track
+ */
+const generateFingerprint = async (trackId) => {
+  const track = await Track.findById(trackId);
+  if (!track) {
+    throw new Error(`Track ${trackId} not found`);
+  }
+
+  const { pcm, samples } = await storage.withLocalFile(getSourceKey(track), decodeSamples);
+
+  return AudioFingerprint.findOneAndUpdate(
+    { track: track._id },
+    {
+      sourceFile: track.fileUrl,
+      contentHash: crypto.createHash('sha256').update(pcm).digest('hex'),
+      duration: Math.round(samples.length / SAMPLE_RATE),
+      frames: computeFingerprint(samples),
+      generatedAt: new Date()
+    },
+    { upsert: true, new: true }
+  );
+};
+
+module.exports = {
+  computeFingerprint,
+  compareFingerprints,
+  generateFingerprint
+};
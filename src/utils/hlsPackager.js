@@ -0,0 +1,146 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const Track = require('../models/Track');
+const storage = require('./storage');
+const { runFfmpeg } = require('./ffmpeg');
+const { getSourceKey } = require('./audioIngest');
+const { enqueue } = require('./jobQueue');
+
+// Bitrate ladder for adaptive streaming (AAC-LC in MPEG-TS segments)
+const RENDITIONS = [
+  { name: '64k', bitrate: 64 },
+  { name: '128k', bitrate: 128 },
+  { name: '256k', bitrate: 256 }
+];
+
+const SEGMENT_DURATION = 6; // In seconds
+const AAC_CODEC = 'mp4a.40.2';
+
+/**
+ * Storage key of a track's HLS folder, or of a file inside it
+ */
+const getTrackHlsKey = (trackId, ...parts) => ['hls', trackId.toString(), ...parts].join('/');
+
+/**
+ * Store every file of a finished HLS package under the track's folder
+ */
+const storePackage = async (outputDir, trackId) => {
+  const entries = await fs.promises.readdir(outputDir, { recursive: true });
+  for (const relative of entries) {
+    const filePath = path.join(outputDir, relative);
+    if ((await fs.promises.stat(filePath)).isFile()) {
+      await storage.saveFile(getTrackHlsKey(trackId, ...relative.split(path.sep)), filePath);
+    }
+  }
+};
+
+/**
+ * Transcode a source file into a single HLS rendition
+ */
+const transcodeRendition = async (sourcePath, outputDir, rendition) => {
+  const renditionDir = path.join(outputDir, rendition.name);
+  await fs.promises.mkdir(renditionDir, { recursive: true });
+
+  await runFfmpeg([
+    '-i', sourcePath,
+    '-vn', // Drop embedded cover art
+    '-c:a', 'aac',
+    '-b:a', `${rendition.bitrate}k`,
+    '-ac', '2',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_DURATION),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(renditionDir, 'segment_%03d.ts'),
+    path.join(renditionDir, 'index.m3u8')
+  ]);
+
+  return {
+    name: rendition.name,
+    bitrate: rendition.bitrate,
+    codec: AAC_CODEC,
+    // Peak bandwidth including ~10% container overhead
+    bandwidth: Math.round(rendition.bitrate * 1000 * 1.1),
+    playlistUrl: `${rendition.name}/index.m3u8`
+  };
+};
+
+/**
+ * Build the master playlist referencing every rendition
+ */
+const buildMasterPlaylist = (renditions) => {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  renditions.forEach(rendition => {
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},AVERAGE-BANDWIDTH=${rendition.bitrate * 1000},CODECS="${rendition.codec}"`);
+    lines.push(rendition.playlistUrl);
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Package a track into adaptive HLS renditions
+ * Records progress and the resulting renditions on the Track document
+ */
+const packageTrack = async (trackId) => {
+  const track = await Track.findById(trackId);
+  if (!track) {
+    throw new Error(`Track ${trackId} not found`);
+  }
+
+  track.hls.status = 'processing';
+  track.hls.error = undefined;
+  await track.save();
+
+  // Renditions are encoded in a scratch folder and stored once complete
+  const outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mousa-hls-'));
+
+  try {
+    // Transcode one rendition at a time to keep CPU usage predictable
+    const renditions = await storage.withLocalFile(getSourceKey(track), async (sourcePath) => {
+      const results = [];
+      for (const rendition of RENDITIONS) {
+        results.push(await transcodeRendition(sourcePath, outputDir, rendition));
+      }
+      return results;
+    });
+
+    await fs.promises.writeFile(
+      path.join(outputDir, 'master.m3u8'),
+      buildMasterPlaylist(renditions)
+    );
+
+    // Start from a clean folder in case of re-processing
+    await storage.removePrefix(getTrackHlsKey(track._id));
+    await storePackage(outputDir, track._id);
+
+    track.renditions = renditions;
+    track.hls.status = 'ready';
+    track.hls.masterPlaylist = 'master.m3u8';
+    track.hls.processedAt = new Date();
+    await track.save();
+  } catch (err) {
+    track.hls.status = 'failed';
+    track.hls.error = err.message;
+    await track.save();
+    throw err;
+  } finally {
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+  }
+
+  return track;
+};
+
+/**
+ * Queue HLS packaging for a track without blocking the request
+ */
+const queueTrackPackaging = (trackId) => {
+  enqueue(`hls:${trackId}`, () => packageTrack(trackId));
+};
+
+module.exports = {
+  packageTrack,
+  queueTrackPackaging,
+  getTrackHlsKey
+};
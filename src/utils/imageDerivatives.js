@@ -0,0 +1,181 @@
+const path = require('path');
+const sharp = require('sharp');
+const Album = require('../models/Album');
+const Track = require('../models/Track');
+const Artist = require('../models/Artist');
+const Playlist = require('../models/Playlist');
+const User = require('../models/User');
+const storage = require('./storage');
+const { encodeBlurhash } = require('./blurhash');
+const { enqueue } = require('./jobQueue');
+
+// Image fields that get responsive derivatives, stored under images.<field>
+const IMAGE_FIELDS = [
+  [Album, 'coverArt'],
+  [Track, 'coverArt'],
+  [Artist, 'coverArt'],
+  [Artist, 'profileImage'],
+  [Playlist, 'coverImage'],
+  [User, 'avatar']
+];
+
+// Widths to generate per upload folder - avatars are never shown large
+const WIDTHS = {
+  covers: [160, 320, 640, 1280],
+  avatars: [64, 128, 256, 512]
+};
+
+// Width of the plain JPEG offered as src for clients without srcset support
+const DEFAULT_WIDTH = 640;
+
+const FORMATS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 75 },
+  jpeg: { quality: 80, mozjpeg: true }
+};
+
+const FORMAT_EXTENSIONS = { avif: '.avif', webp: '.webp', jpeg: '.jpg' };
+
+// Pixels sampled for the blurhash - more detail doesn't survive 4x3 components
+const BLURHASH_SIZE = 32;
+
+/**
+ * Most common colour of an image as #rrggbb
+ */
+const getDominantColor = async (filePath) => {
+  const { dominant } = await sharp(filePath).stats();
+  return '#' + [dominant.r, dominant.g, dominant.b]
+    .map(channel => channel.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * BlurHash placeholder of an image
+ */
+const getBlurhash = async (filePath) => {
+  const { data, info } = await sharp(filePath)
+    .rotate()
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return encodeBlurhash(data, info.width, info.height, { channels: info.channels });
+};
+
+/**
+ * Generate resized AVIF, WebP and JPEG copies of a stored image
+ * Variants are stored next to the original; images are never upscaled
+ */
+const generateImage = async (key) => {
+  const folder = key.split('/')[0];
+  const widths = WIDTHS[folder] || WIDTHS.covers;
+  const baseName = path.basename(key, path.extname(key));
+
+  return storage.withLocalFile(key, async (filePath) => {
+    const metadata = await sharp(filePath).metadata();
+    // EXIF orientations 5-8 are rotated by 90 degrees
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    // Always keep at least the smallest size, even for tiny uploads
+    const targetWidths = widths.filter(target => target <= width);
+    if (targetWidths.length === 0) targetWidths.push(Math.min(width, widths[0]));
+
+    const variants = [];
+    for (const targetWidth of targetWidths) {
+      for (const [format, options] of Object.entries(FORMATS)) {
+        const { data, info } = await sharp(filePath)
+          .rotate()
+          .resize({ width: targetWidth, withoutEnlargement: true })
+          .toFormat(format, options)
+          .toBuffer({ resolveWithObject: true });
+
+        const variantKey = `${folder}/${baseName}-${targetWidth}w${FORMAT_EXTENSIONS[format]}`;
+        await storage.saveBuffer(variantKey, data);
+
+        variants.push({
+          url: storage.uploadUrl(variantKey),
+          format,
+          width: info.width,
+          height: info.height,
+          size: info.size
+        });
+      }
+    }
+
+    const srcset = {};
+    Object.keys(FORMATS).forEach(format => {
+      srcset[format] = variants
+        .filter(variant => variant.format === format)
+        .map(variant => `${variant.url} ${variant.width}w`)
+        .join(', ');
+    });
+
+    const jpegs = variants.filter(variant => variant.format === 'jpeg');
+    const fallback = [...jpegs].reverse().find(variant => variant.width <= DEFAULT_WIDTH) || jpegs[0];
+
+    return {
+      width,
+      height,
+      dominantColor: await getDominantColor(filePath),
+      blurhash: await getBlurhash(filePath),
+      src: fallback.url,
+      srcset,
+      variants,
+      processedAt: new Date()
+    };
+  });
+};
+
+/**
+ * Generate derivatives for an uploaded image and attach them to every document using it
+ * Only documents still pointing at the upload are updated
+ */
+const processImage = async (url) => {
+  const key = storage.keyFromUrl(url);
+  if (!key) return null;
+
+  const image = { original: url, ...await generateImage(key) };
+
+  for (const [Model, field] of IMAGE_FIELDS) {
+    await Model.updateMany({ [field]: url }, { $set: { [`images.${field}`]: image } });
+  }
+
+  return image;
+};
+
+/**
+ * Queue derivative generation for an uploaded image without blocking the request
+ * External URLs (e.g. seeded artwork) are left alone
+ */
+const queueImageProcessing = (url) => {
+  if (!storage.keyFromUrl(url)) return;
+  enqueue(`image:${url}`, () => processImage(url));
+};
+
+/**
+ * Uploaded images without derivatives, or whose derivatives belong to an older upload
+ * Every uploaded image when forced
+ */
+const findUnprocessedImages = async ({ force = false } = {}) => {
+  const urls = new Set();
+
+  for (const [Model, field] of IMAGE_FIELDS) {
+    const query = { [field]: /^\/uploads\// };
+    if (!force) {
+      query.$expr = { $ne: [`$images.${field}.original`, `$${field}`] };
+    }
+    (await Model.distinct(field, query)).forEach(url => urls.add(url));
+  }
+
+  return [...urls];
+};
+
+module.exports = {
+  IMAGE_FIELDS,
+  processImage,
+  queueImageProcessing,
+  findUnprocessedImages
+};
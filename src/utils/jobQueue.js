@@ -0,0 +1,52 @@
+/**
+ * Minimal in-process background job queue
+ * Jobs run one after another so concurrent uploads don't spawn parallel encoders.
+ * Low priority jobs (catalog backfills) only run when no normal job is waiting.
+ */
+const queues = { normal: [], low: [] };
+let running = false;
+
+// Names of jobs queued or running, so repeated requests don't pile up duplicate work
+const active = new Set();
+
+const runJobs = async () => {
+  if (running) return;
+  running = true;
+
+  let next;
+  while ((next = queues.normal.shift() || queues.low.shift())) {
+    try {
+      await next.job();
+    } catch (err) {
+      console.error(`Background job "${next.name}" failed:`, err.message);
+    } finally {
+      active.delete(next.name);
+    }
+  }
+
+  running = false;
+};
+
+/**
+ * Queue a job without blocking the caller
+ * Failures are logged with the job name rather than thrown
+ * Returns false when a job with the same name is already queued or running
+ */
+const enqueue = (name, job, { priority = 'normal' } = {}) => {
+  if (active.has(name)) {
+    // A normal request for a job still waiting in the backfill moves it up
+    const waiting = queues.low.findIndex(entry => entry.name === name);
+    if (priority === 'normal' && waiting !== -1) {
+      queues.normal.push(...queues.low.splice(waiting, 1));
+    }
+    return false;
+  }
+
+  active.add(name);
+  queues[priority].push({ name, job });
+  Promise.resolve().then(runJobs);
+
+  return true;
+};
+
+module.exports = { enqueue };
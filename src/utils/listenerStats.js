@@ -0,0 +1,162 @@
+const PlayEvent = require('../models/PlayEvent');
+const Track = require('../models/Track');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const StatsSnapshot = require('../models/StatsSnapshot');
+const { unwindPlayArtists } = require('./playLedger');
+
+// Rolling window used for "monthly" stats
+const WINDOW_DAYS = 28;
+const DAY = 24 * 60 * 60 * 1000;
+
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Start of the UTC day for a timestamp
+ */
+const startOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+/**
+ * Count counted plays in the window grouped by a ledger field
+ */
+const countPlaysBy = (field, since) => PlayEvent.aggregate([
+  { $match: { counted: true, createdAt: { $gte: since }, [field]: { $ne: null } } },
+  { $group: { _id: `$${field}`, plays: { $sum: 1 } } }
+]).allowDiskUse(true);
+
+/**
+ * Count counted plays in the window for each credited primary artist
+ */
+const countArtistPlays = (since) => PlayEvent.aggregate([
+  { $match: { counted: true, createdAt: { $gte: since } } },
+  ...unwindPlayArtists,
+  { $group: { _id: '$creditedArtist', plays: { $sum: 1 } } }
+]).allowDiskUse(true);
+
+/**
+ * Count unique listeners per credited primary artist in the window
+ */
+const countArtistListeners = (since) => PlayEvent.aggregate([
+  { $match: { counted: true, createdAt: { $gte: since } } },
+  ...unwindPlayArtists,
+  { $group: { _id: { artist: '$creditedArtist', user: '$user' } } },
+  { $group: { _id: '$_id.artist', listeners: { $sum: 1 } } }
+]).allowDiskUse(true);
+
+/**
+ * Upsert today's snapshot for each entity
+ */
+const writeSnapshots = async (entityType, entityModel, Model, totalField, rows, date) => {
+  if (rows.length === 0) return;
+
+  // Current lifetime totals for the snapshot
+  const docs = await Model.find({ _id: { $in: rows.map(row => row.id) } }).select(totalField);
+  const totals = new Map(docs.map(doc => [doc._id.toString(), doc.get(totalField) || 0]));
+
+  await StatsSnapshot.bulkWrite(rows.map(row => ({
+    updateOne: {
+      filter: { entityType, entity: row.id, date },
+      update: {
+        $set: {
+          entityModel,
+          monthlyListeners: row.listeners || 0,
+          monthlyPlays: row.plays || 0,
+          totalPlays: totals.get(row.id.toString()) || 0
+        }
+      },
+      upsert: true
+    }
+  })));
+};
+
+/**
+ * Recompute rolling monthly listeners and plays from the play ledger
+ * and store a daily snapshot for trend charts
+ */
+const updateListenerStats = async (now = Date.now()) => {
+  const since = new Date(now - WINDOW_DAYS * DAY);
+  const today = startOfDay(now);
+
+  const [artistListeners, artistPlays, albumPlays, trackPlays] = await Promise.all([
+    countArtistListeners(since),
+    countArtistPlays(since),
+    countPlaysBy('album', since),
+    countPlaysBy('track', since)
+  ]);
+
+  // Merge listener and play counts per artist
+  const artists = new Map();
+  artistListeners.forEach(({ _id, listeners }) => artists.set(_id.toString(), { id: _id, listeners, plays: 0 }));
+  artistPlays.forEach(({ _id, plays }) => {
+    const row = artists.get(_id.toString()) || { id: _id, listeners: 0 };
+    artists.set(_id.toString(), { ...row, plays });
+  });
+  const artistRows = [...artists.values()];
+  const albumRows = albumPlays.map(({ _id, plays }) => ({ id: _id, plays }));
+  const trackRows = trackPlays.map(({ _id, plays }) => ({ id: _id, plays }));
+
+  // Anything without plays in the window drops back to zero
+  const ids = rows => rows.map(row => row.id);
+  await Artist.updateMany(
+    { _id: { $nin: ids(artistRows) }, monthlyListeners: { $ne: 0 } },
+    { $set: { monthlyListeners: 0 } }
+  );
+  await Album.updateMany(
+    { _id: { $nin: ids(albumRows) }, 'stats.monthlyPlays': { $ne: 0 } },
+    { $set: { 'stats.monthlyPlays': 0 } }
+  );
+  await Track.updateMany(
+    { _id: { $nin: ids(trackRows) }, monthlyPlays: { $ne: 0 } },
+    { $set: { monthlyPlays: 0 } }
+  );
+
+  if (artistRows.length) {
+    await Artist.bulkWrite(artistRows.map(row => ({
+      updateOne: { filter: { _id: row.id }, update: { $set: { monthlyListeners: row.listeners } } }
+    })));
+  }
+  if (albumRows.length) {
+    await Album.bulkWrite(albumRows.map(row => ({
+      updateOne: { filter: { _id: row.id }, update: { $set: { 'stats.monthlyPlays': row.plays } } }
+    })));
+  }
+  if (trackRows.length) {
+    await Track.bulkWrite(trackRows.map(row => ({
+      updateOne: { filter: { _id: row.id }, update: { $set: { monthlyPlays: row.plays } } }
+    })));
+  }
+
+  await writeSnapshots('artist', 'Artist', Artist, 'totalPlays', artistRows, today);
+  await writeSnapshots('album', 'Album', Album, 'stats.totalPlays', albumRows, today);
+  await writeSnapshots('track', 'Track', Track, 'plays', trackRows, today);
+
+  return {
+    artists: artistRows.length,
+    albums: albumRows.length,
+    tracks: trackRows.length
+  };
+};
+
+/**
+ * Get daily snapshots for an entity, oldest first
+ */
+const getStatsHistory = (entityType, entityId, days) => {
+  const historyDays = Math.min(parseInt(days) || 30, MAX_HISTORY_DAYS);
+
+  return StatsSnapshot.find({
+    entityType,
+    entity: entityId,
+    date: { $gte: startOfDay(Date.now() - historyDays * DAY) }
+  })
+    .select('date monthlyListeners monthlyPlays totalPlays -_id')
+    .sort({ date: 1 });
+};
+
+module.exports = {
+  updateListenerStats,
+  getStatsHistory
+};
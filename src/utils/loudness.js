@@ -0,0 +1,154 @@
+const Track = require('../models/Track');
+const Album = require('../models/Album');
+const { runFfmpeg } = require('./ffmpeg');
+const storage = require('./storage');
+const { getSourceKey } = require('./audioIngest');
+const { enqueue } = require('./jobQueue');
+
+// ReplayGain 2.0 reference level, in LUFS
+const REFERENCE_LOUDNESS = -18;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Measure EBU R128 integrated loudness, loudness range and true peak
+ * Uses ffmpeg's loudnorm filter in analysis-only mode
+ */
+const measureLoudness = async (filePath) => {
+  const { stderr } = await runFfmpeg([
+    '-i', filePath,
+    '-vn',
+    '-af', 'loudnorm=print_format=json',
+    '-f', 'null',
+    '-'
+  ]);
+
+  // The filter prints its measurements as the last JSON object on stderr
+  const match = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) {
+    throw new Error('Could not read loudness measurements');
+  }
+
+  const stats = JSON.parse(match[0]);
+  const integrated = parseFloat(stats.input_i);
+  const truePeak = parseFloat(stats.input_tp);
+
+  // Digital silence reports -inf, which can't be normalized
+  if (!isFinite(integrated) || !isFinite(truePeak)) {
+    throw new Error('Track is silent or too short to measure');
+  }
+
+  return {
+    integrated: round(integrated),
+    truePeak: round(truePeak),
+    range: round(parseFloat(stats.input_lra) || 0)
+  };
+};
+
+/**
+ * Convert a dBTP value to a linear peak amplitude
+ */
+const dbToLinear = (db) => round(10 ** (db / 20), 6);
+
+/**
+ * Combine track measurements into album loudness
+ * Integrated loudness is energy-averaged and weighted by duration
+ */
+const computeAlbumLoudness = (tracks) => {
+  const measured = tracks.filter(track => track.loudness && track.loudness.integrated !== undefined);
+  if (measured.length === 0) return null;
+
+  let weightedEnergy = 0;
+  let totalDuration = 0;
+  measured.forEach(track => {
+    const weight = track.duration || 1;
+    weightedEnergy += weight * 10 ** (track.loudness.integrated / 10);
+    totalDuration += weight;
+  });
+
+  const integrated = 10 * Math.log10(weightedEnergy / totalDuration);
+  const truePeak = Math.max(...measured.map(track => track.loudness.truePeak));
+
+  return {
+    integrated: round(integrated),
+    truePeak: round(truePeak),
+    albumGain: round(REFERENCE_LOUDNESS - integrated),
+    albumPeak: dbToLinear(truePeak),
+    analyzedAt: new Date()
+  };
+};
+
+/**
+ * Recompute album loudness and copy album gain onto each of its tracks
+ */
+const updateAlbumLoudness = async (albumId) => {
+  const album = await Album.findById(albumId);
+  if (!album) return null;
+
+  const tracks = await Track.find({ album: album._id });
+  const loudness = computeAlbumLoudness(tracks);
+  if (!loudness) return album;
+
+  album.loudness = loudness;
+  await album.save();
+
+  await Track.updateMany(
+    { album: album._id, 'loudness.integrated': { $exists: true } },
+    { $set: { 'loudness.albumGain': loudness.albumGain, 'loudness.albumPeak': loudness.albumPeak } }
+  );
+
+  return album;
+};
+
+/**
+ * Analyze a track and store its loudness and ReplayGain values
+ */
+const analyzeTrackLoudness = async (trackId) => {
+  const track = await Track.findById(trackId);
+  if (!track) {
+    throw new Error(`Track ${trackId} not found`);
+  }
+
+  const measurement = await storage.withLocalFile(getSourceKey(track), measureLoudness);
+
+  track.loudness = {
+    ...measurement,
+    trackGain: round(REFERENCE_LOUDNESS - measurement.integrated),
+    trackPeak: dbToLinear(measurement.truePeak),
+    analyzedAt: new Date()
+  };
+  await track.save();
+
+  if (track.album) {
+    await updateAlbumLoudness(track.album);
+  }
+
+  return track;
+};
+
+/**
+ * Queue loudness analysis for a track without blocking the request
+ */
+const queueLoudnessAnalysis = (trackId) => {
+  enqueue(`loudness:${trackId}`, () => analyzeTrackLoudness(trackId));
+};
+
+/**
+ * Queue analysis for every track missing loudness data (or all tracks when forced)
+ * Returns the number of tracks queued
+ */
+const backfillLoudness = async ({ force = false } = {}) => {
+  const query = force ? {} : { 'loudness.analyzedAt': { $exists: false } };
+  const tracks = await Track.find(query).select('_id');
+
+  tracks.forEach(track => queueLoudnessAnalysis(track._id));
+
+  return tracks.length;
+};
+
+module.exports = {
+  analyzeTrackLoudness,
+  queueLoudnessAnalysis,
+  updateAlbumLoudness,
+  backfillLoudness
+};
@@ -0,0 +1,121 @@
+/**
+ * Parser for LRC lyrics, including enhanced (word-level) LRC
+ *
+ * Line-level:  [01:23.45]Line of text
+ * Word-level:  [01:23.45]<01:23.45>Line <01:24.10>of <01:24.60>text
+ */
+
+const LINE_TAG = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const WORD_TAG = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+const META_TAG = /^\[([a-z]+):(.*)\]$/i;
+
+/**
+ * Convert LRC timestamp parts to milliseconds
+ * Fractions are hundredths for two digits and milliseconds for three
+ */
+const toMilliseconds = (minutes, seconds, fraction = '') => {
+  const fractionMs = fraction ? parseInt(fraction.padEnd(3, '0'), 10) : 0;
+  return parseInt(minutes, 10) * 60000 + parseInt(seconds, 10) * 1000 + fractionMs;
+};
+
+/**
+ * Check whether text contains LRC timestamps
+ */
+const isLrc = (text) => new RegExp(LINE_TAG.source).test(text);
+
+/**
+ * Split a line's text into timed words when it uses enhanced LRC tags
+ */
+const parseWords = (text, offset) => {
+  const words = [];
+  const matches = [...text.matchAll(WORD_TAG)];
+
+  matches.forEach((match, i) => {
+    const start = match.index + match[0].length;
+    const end = i + 1 < matches.length ? matches[i + 1].index : text.length;
+    const word = text.slice(start, end).trim();
+
+    if (word) {
+      words.push({
+        time: Math.max(toMilliseconds(match[1], match[2], match[3]) + offset, 0),
+        text: word
+      });
+    }
+  });
+
+  return words;
+};
+
+/**
+ * Parse LRC text into timed lines
+ * Returns { lines, syncType, metadata } where syncType is 'line' or 'word'
+ */
+const parseLrc = (content) => {
+  const metadata = {};
+  const lines = [];
+  let offset = 0;
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    // ID tags like [ar:Artist] or [offset:+250]
+    const meta = META_TAG.exec(line);
+    if (meta && !/^\d+$/.test(meta[1])) {
+      const key = meta[1].toLowerCase();
+      if (key === 'offset') {
+        offset = parseInt(meta[2], 10) || 0;
+      } else {
+        metadata[key] = meta[2].trim();
+      }
+      return;
+    }
+
+    // A line may carry several timestamps when it repeats (e.g. a chorus)
+    const times = [...line.matchAll(LINE_TAG)];
+    if (times.length === 0) return;
+
+    const body = line.replace(LINE_TAG, '');
+    const words = parseWords(body, offset);
+    const text = body.replace(WORD_TAG, '').replace(/\s+/g, ' ').trim();
+
+    times.forEach(match => {
+      lines.push({
+        time: Math.max(toMilliseconds(match[1], match[2], match[3]) + offset, 0),
+        text,
+        words
+      });
+    });
+  });
+
+  lines.sort((a, b) => a.time - b.time);
+
+  const syncType = lines.some(line => line.words.length > 0) ? 'word' : 'line';
+
+  return { lines, syncType, metadata };
+};
+
+/**
+ * Serialize timed lines back to LRC text
+ */
+const toLrc = (lines) => {
+  const format = (ms) => {
+    const minutes = Math.floor(ms / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    const hundredths = Math.floor((ms % 1000) / 10);
+    return `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(hundredths).padStart(2, '0')}`;
+  };
+
+  return lines.map(line => {
+    const text = line.words && line.words.length > 0
+      ? line.words.map(word => `<${format(word.time)}>${word.text}`).join(' ')
+      : line.text;
+    return `[${format(line.time)}]${text}`;
+  }).join('\n');
+};
+
+module.exports = {
+  isLrc,
+  parseLrc,
+  toLrc
+};
@@ -0,0 +1,82 @@
+const Lyrics = require('../models/Lyrics');
+const { isLrc, parseLrc } = require('./lrc');
+
+/**
+ * Turn submitted lyric text into the stored shape
+ * LRC input becomes timed lines, anything else is kept as plain text
+ */
+const buildLyrics = (content) => {
+  const text = String(content).trim();
+
+  if (!isLrc(text)) {
+    return {
+      plainText: text,
+      syncType: 'none',
+      lines: [],
+      metadata: {}
+    };
+  }
+
+  const { lines, syncType, metadata } = parseLrc(text);
+
+  return {
+    plainText: lines.map(line => line.text).filter(Boolean).join('\n'),
+    syncType,
+    lines,
+    metadata
+  };
+};
+
+/**
+ * Create or replace the lyrics for a track
+ * Returns null when the content has no lyric text
+ */
+const saveLyrics = async (trackId, content, { source, userId, language } = {}) => {
+  const { plainText, syncType, lines, metadata } = buildLyrics(content);
+  if (!plainText) return null;
+
+  return Lyrics.findOneAndUpdate(
+    { track: trackId },
+    {
+      $set: {
+        plainText,
+        syncType,
+        lines,
+        language: language || metadata.la || undefined,
+        source,
+        updatedBy: userId
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Find tracks whose lyrics contain a phrase
+ * Returns a map of track id to the first matching line
+ */
+const searchLyrics = async (phrase, limit = 50) => {
+  // The text index narrows the search down; quoting makes it a phrase search
+  const terms = phrase.replace(/"/g, ' ').trim();
+  if (!terms) return new Map();
+
+  const matches = await Lyrics.find({ $text: { $search: `"${terms}"` } })
+    .select({ track: 1, plainText: 1, score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit);
+
+  // Lyric phrases often contain punctuation, so the exact phrase is matched literally
+  const regex = new RegExp(phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+  return new Map(matches
+    .filter(lyrics => regex.test(lyrics.plainText))
+    .map(lyrics => {
+      const line = lyrics.plainText.split('\n').find(text => regex.test(text));
+      return [lyrics.track.toString(), line || null];
+    }));
+};
+
+module.exports = {
+  saveLyrics,
+  searchLyrics
+};
@@ -0,0 +1,238 @@
+const path = require('path');
+const express = require('express');
+const storage = require('./storage');
+
+// Content types for the audio containers and HLS files we serve
+// Anything else (cover art, exclusive media) falls back to express's MIME table
+const MIME_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.flac': 'audio/flac'
+};
+
+/**
+ * Build a weak ETag from file size and modification time
+ */
+const buildETag = (stats) => {
+  return `W/"${stats.size.toString(16)}-${stats.modifiedAt.getTime().toString(16)}"`;
+};
+
+/**
+ * Check whether an If-None-Match header matches the current ETag
+ */
+const etagMatches = (header, etag) => {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  // Weak comparison - ignore the W/ prefix on both sides
+  const strip = tag => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+};
+
+/**
+ * Check whether an If-Range entity tag matches the current ETag
+ * If-Range needs a strong match, so a weak tag on either side never matches
+ */
+const etagMatchesStrongly = (header, etag) => {
+  const tag = header.trim();
+  return !tag.startsWith('W/') && !etag.startsWith('W/') && tag === etag;
+};
+
+/**
+ * Check whether the file has been modified since the given HTTP date
+ */
+const modifiedSince = (header, stats) => {
+  const since = Date.parse(header);
+  if (isNaN(since)) return true;
+
+  // HTTP dates have second precision
+  return Math.floor(stats.modifiedAt.getTime() / 1000) > Math.floor(since / 1000);
+};
+
+/**
+ * Parse a Range header against a file size
+ * Returns { start, end } for a satisfiable single range, 'ignore' for malformed
+ * and multi-range headers (answered with the full file), or null when unsatisfiable
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(.+)$/.exec(header.trim());
+  if (!match) return 'ignore';
+
+  if (match[1].includes(',')) return 'ignore';
+
+  const spec = /^(\d*)-(\d*)$/.exec(match[1].trim());
+  if (!spec || (spec[1] === '' && spec[2] === '')) return 'ignore';
+
+  const [, startStr, endStr] = spec;
+  let start;
+  let end;
+
+  if (startStr === '') {
+    // Suffix range: last N bytes
+    const suffix = parseInt(endStr, 10);
+    if (suffix === 0) return null;
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(startStr, 10);
+    end = endStr === '' ? Infinity : parseInt(endStr, 10);
+    if (start > end) return 'ignore';
+    end = Math.min(end, size - 1);
+  }
+
+  if (start >= size) return null;
+
+  return { start, end };
+};
+
+/**
+ * Send a stored media file with support for byte ranges and conditional requests
+ * Handles ETag/Last-Modified validation, If-Range, 206 Partial Content and 416
+ */
+const sendMediaFile = async (req, res, key) => {
+  const stats = await storage.stat(key);
+  if (!stats) {
+    return res.status(404).json({ message: 'Media file not found' });
+  }
+
+  const etag = buildETag(stats);
+  const lastModified = stats.modifiedAt.toUTCString();
+  const extension = path.extname(key).toLowerCase();
+  const contentType = MIME_TYPES[extension] || (extension && express.static.mime.lookup(extension)) || 'application/octet-stream';
+
+  res.set({
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': lastModified,
+    'Cache-Control': 'private, max-age=0, must-revalidate'
+  });
+
+  // Conditional GET - If-None-Match takes precedence over If-Modified-Since
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = req.headers['if-modified-since'];
+  if (ifNoneMatch ? etagMatches(ifNoneMatch, etag) : (ifModifiedSince && !modifiedSince(ifModifiedSince, stats))) {
+    return res.status(304).end();
+  }
+
+  let range = null;
+  const rangeHeader = req.headers.range;
+
+  if (rangeHeader) {
+    // If-Range: only honour the range when the validator still matches
+    const ifRange = req.headers['if-range'];
+    const rangeValid = !ifRange ||
+      (ifRange.includes('"') ? etagMatchesStrongly(ifRange, etag) : !modifiedSince(ifRange, stats));
+
+    if (rangeValid) {
+      range = parseRange(rangeHeader, stats.size);
+
+      // Malformed and multi-range headers are ignored and the whole file is sent
+      if (range === 'ignore') {
+        range = null;
+      } else if (!range) {
+        res.set('Content-Range', `bytes */${stats.size}`);
+        return res.status(416).json({ message: 'Requested range not satisfiable' });
+      }
+    }
+  }
+
+  res.set('Content-Type', contentType);
+
+  if (range) {
+    res.status(206);
+    res.set({
+      'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+      'Content-Length': range.end - range.start + 1
+    });
+  } else {
+    res.status(200);
+    res.set('Content-Length', stats.size);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  const stream = await storage.openReadStream(key, range);
+  stream.on('error', (err) => {
+    console.error(err);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+};
+
+/**
+ * Send an HLS playlist
+ * Requests made through a signed URL get the same signature appended to every
+ * URI in the playlist, since relative URIs would otherwise drop the query string
+ */
+const sendPlaylist = async (req, res, key) => {
+  if (!req.signedUrl) {
+    return sendMediaFile(req, res, key);
+  }
+
+  let playlist;
+  try {
+    playlist = (await storage.readFile(key)).toString('utf8');
+  } catch (err) {
+    return res.status(404).json({ message: 'Media file not found' });
+  }
+
+  const { expires, uid, sig } = req.query;
+  const signature = new URLSearchParams({ expires, uid, sig }).toString();
+
+  const signed = playlist
+    .split('\n')
+    .map(line => (line && !line.startsWith('#') ? `${line}?${signature}` : line))
+    .join('\n');
+
+  res.set({
+    'Content-Type': MIME_TYPES['.m3u8'],
+    'Cache-Control': 'private, no-cache'
+  });
+  res.send(signed);
+};
+
+/**
+ * Serve stored uploads by URL path, optionally within one storage folder
+ * Replaces express.static so uploads are served the same way from any storage driver
+ */
+const serveUploads = (folder) => async (req, res, next) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return next();
+  }
+
+  let key;
+  try {
+    key = decodeURIComponent(req.path.slice(1));
+  } catch (err) {
+    return res.status(400).json({ message: 'Invalid file path' });
+  }
+
+  // Encoded separators must not climb out of the folder into private media
+  const segments = key.split(/[\\/]/);
+  if (segments.some(segment => segment === '..' || segment === '.') || key.includes('\0')) {
+    return res.status(400).json({ message: 'Invalid file path' });
+  }
+
+  try {
+    await sendMediaFile(req, res, folder ? `${folder}/${key}` : key);
+  } catch (err) {
+    console.error(err);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+};
+
+module.exports = {
+  sendMediaFile,
+  sendPlaylist,
+  serveUploads
+};
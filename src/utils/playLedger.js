@@ -0,0 +1,223 @@
+const PlayEvent = require('../models/PlayEvent');
+const CountedPlay = require('../models/CountedPlay');
+const Track = require('../models/Track');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const { getPrimaryArtistIds } = require('./trackArtists');
+
+// A play counts once this much of the track has been heard (or half of short tracks)
+const MIN_LISTEN_SECONDS = 30;
+
+// Allowance for clock drift and buffering when checking reported durations
+const DURATION_TOLERANCE = 10;
+
+// Fraud thresholds
+const MAX_PLAYS_PER_HOUR = 120; // Roughly back-to-back plays at the minimum threshold
+const MAX_TRACK_REPEATS_PER_DAY = 25;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Aggregation stages giving one document per credited primary artist
+// Events recorded before multi-artist support only carry the artist field
+const unwindPlayArtists = [
+  { $project: { user: 1, createdAt: 1, creditedArtist: { $ifNull: ['$artists', ['$artist']] } } },
+  { $unwind: '$creditedArtist' }
+];
+
+/**
+ * Minimum listen time before a play of this track counts
+ */
+const listenThreshold = (track) => {
+  if (track.duration && track.duration < MIN_LISTEN_SECONDS * 2) {
+    return Math.ceil(track.duration / 2);
+  }
+  return MIN_LISTEN_SECONDS;
+};
+
+/**
+ * Look for suspicious listening patterns
+ * Returns a list of flag reasons (empty when nothing looks wrong)
+ */
+const detectFraud = async (userId, track, durationListened, now) => {
+  const reasons = [];
+
+  if (track.duration && durationListened > track.duration + DURATION_TOLERANCE) {
+    reasons.push('duration_exceeds_track');
+  }
+
+  const [recentPlays, trackRepeats] = await Promise.all([
+    PlayEvent.find({
+      user: userId,
+      createdAt: { $gte: new Date(now - HOUR) }
+    }).select('durationListened'),
+    PlayEvent.countDocuments({
+      user: userId,
+      track: track._id,
+      counted: true,
+      createdAt: { $gte: new Date(now - DAY) }
+    })
+  ]);
+
+  if (recentPlays.length >= MAX_PLAYS_PER_HOUR) {
+    reasons.push('high_velocity');
+  }
+
+  // More listening time in the last hour than an hour holds
+  const listenedLastHour = recentPlays.reduce((sum, play) => sum + play.durationListened, 0);
+  if (listenedLastHour + durationListened > 3600 + DURATION_TOLERANCE) {
+    reasons.push('overlapping_playback');
+  }
+
+  if (trackRepeats >= MAX_TRACK_REPEATS_PER_DAY) {
+    reasons.push('excessive_repeats');
+  }
+
+  return reasons;
+};
+
+/**
+ * Claim a counted play of this track for the user
+ * Returns false when they already had one within the time it takes to listen to it again
+ */
+const claimPlay = async (userId, track, now) => {
+  const window = Math.max(track.duration || 0, MIN_LISTEN_SECONDS) * 1000;
+
+  // Only matches a claim that has run out; otherwise the upsert hits the unique index
+  try {
+    await CountedPlay.updateOne(
+      { user: userId, track: track._id, countedAt: { $lt: new Date(now - window) } },
+      { $set: { countedAt: new Date(now) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+/**
+ * Increment the play counters derived from the ledger
+ */
+const incrementCounters = async (track) => {
+  await Track.findByIdAndUpdate(track._id, { $inc: { plays: 1 } });
+
+  // Every primary artist gets credit for the play
+  await Artist.updateMany(
+    { _id: { $in: getPrimaryArtistIds(track) } },
+    { $inc: { totalPlays: 1 } }
+  );
+
+  if (track.album) {
+    await Album.findByIdAndUpdate(track.album, { $inc: { 'stats.totalPlays': 1 } });
+  }
+};
+
+/**
+ * Record a play event and decide whether it counts
+ * Returns the stored PlayEvent
+ */
+const recordPlay = async ({ userId, track, durationListened, context, device, ip }) => {
+  const now = Date.now();
+  const listened = Math.max(parseFloat(durationListened) || 0, 0);
+
+  const event = new PlayEvent({
+    user: userId,
+    track: track._id,
+    artist: track.artist,
+    artists: getPrimaryArtistIds(track),
+    album: track.album,
+    context,
+    durationListened: listened,
+    device,
+    ip,
+    createdAt: new Date(now)
+  });
+
+  const flagReasons = await detectFraud(userId, track, listened, now);
+
+  if (flagReasons.length > 0) {
+    event.flagged = true;
+    event.flagReasons = flagReasons;
+    event.reason = 'flagged';
+  } else if (listened < listenThreshold(track)) {
+    event.reason = 'below_threshold';
+  } else if (await claimPlay(userId, track, now)) {
+    event.counted = true;
+  } else {
+    event.reason = 'duplicate';
+  }
+
+  await event.save();
+
+  if (event.counted) {
+    await incrementCounters(track);
+  }
+
+  return event;
+};
+
+/**
+ * Reset one play counter to its baseline plus the counted ledger events
+ * The first rebuild stores what the counter held beyond the ledger as the baseline
+ */
+const rebuildCounter = async (Model, counter, baseline, counts) => {
+  const current = { $ifNull: [`$${counter}`, 0] };
+
+  if (counts.length) {
+    await Model.bulkWrite(counts.map(({ _id, plays }) => ({
+      updateOne: {
+        filter: { _id, [baseline]: { $exists: false } },
+        update: [{ $set: { [baseline]: { $max: [{ $subtract: [current, plays] }, 0] } } }]
+      }
+    })));
+  }
+  await Model.updateMany({ [baseline]: { $exists: false } }, [{ $set: { [baseline]: current } }]);
+
+  await Model.updateMany({}, [{ $set: { [counter]: `$${baseline}` } }]);
+  if (counts.length) {
+    await Model.bulkWrite(counts.map(({ _id, plays }) => ({
+      updateOne: { filter: { _id }, update: { $inc: { [counter]: plays } } }
+    })));
+  }
+};
+
+/**
+ * Rebuild track, artist and album play counters from counted ledger events
+ * Plays from before the ledger are kept as a baseline rather than reset
+ */
+const rebuildPlayCounters = async () => {
+  const byField = (field) => PlayEvent.aggregate([
+    { $match: { counted: true, [field]: { $ne: null } } },
+    { $group: { _id: `$${field}`, plays: { $sum: 1 } } }
+  ]);
+
+  const [trackCounts, artistCounts, albumCounts] = await Promise.all([
+    byField('track'),
+    PlayEvent.aggregate([
+      { $match: { counted: true } },
+      ...unwindPlayArtists,
+      { $group: { _id: '$creditedArtist', plays: { $sum: 1 } } }
+    ]),
+    byField('album')
+  ]);
+
+  await Promise.all([
+    rebuildCounter(Track, 'plays', 'playsBaseline', trackCounts),
+    rebuildCounter(Artist, 'totalPlays', 'totalPlaysBaseline', artistCounts),
+    rebuildCounter(Album, 'stats.totalPlays', 'stats.totalPlaysBaseline', albumCounts)
+  ]);
+
+  return {
+    tracks: trackCounts.length,
+    artists: artistCounts.length,
+    albums: albumCounts.length
+  };
+};
+
+module.exports = {
+  unwindPlayArtists,
+  recordPlay,
+  rebuildPlayCounters
+};
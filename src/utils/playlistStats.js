@@ -0,0 +1,45 @@
+const Playlist = require('../models/Playlist');
+
+/**
+ * Keep playlist stats.totalDuration in step with changes made outside the playlist routes
+ * Updates run as pipelines so a track listed more than once counts once per entry
+ */
+
+const entryCount = (trackId) => ({
+  $size: { $filter: { input: '$tracks', cond: { $eq: ['$$this.track', trackId] } } }
+});
+
+// Total duration after changing each of the track's entries by delta seconds
+const shiftedDuration = (trackId, delta) => ({
+  $max: [0, { $add: [{ $ifNull: ['$stats.totalDuration', 0] }, { $multiply: [delta, entryCount(trackId)] }] }]
+});
+
+/**
+ * Remove a track from every playlist holding it (optionally narrowed by a query)
+ */
+const pullTrackFromPlaylists = (track, query = {}) => Playlist.updateMany(
+  { $and: [query, { 'tracks.track': track._id }] },
+  [{
+    $set: {
+      'stats.totalDuration': shiftedDuration(track._id, -(track.duration || 0)),
+      tracks: { $filter: { input: '$tracks', cond: { $ne: ['$$this.track', track._id] } } }
+    }
+  }]
+);
+
+/**
+ * Apply a change in a track's duration to every playlist holding it
+ */
+const adjustPlaylistDurations = (trackId, delta) => {
+  if (!delta) return Promise.resolve();
+
+  return Playlist.updateMany(
+    { 'tracks.track': trackId },
+    [{ $set: { 'stats.totalDuration': shiftedDuration(trackId, delta) } }]
+  );
+};
+
+module.exports = {
+  pullTrackFromPlaylists,
+  adjustPlaylistDurations
+};
@@ -0,0 +1,125 @@
+const Album = require('../models/Album');
+const Track = require('../models/Track');
+const Playlist = require('../models/Playlist');
+const User = require('../models/User');
+const PreSave = require('../models/PreSave');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_HISTORY_DAYS = 365;
+
+/**
+ * Find the playlist a pre-save's tracks go to
+ * Falls back to Liked Songs when no playlist was chosen or it has since been deleted
+ */
+const findTargetPlaylist = async (preSave) => {
+  if (preSave.playlist) {
+    const playlist = await Playlist.findOne({ _id: preSave.playlist, owner: preSave.user });
+    if (playlist) return playlist;
+  }
+
+  const user = await User.findById(preSave.user).select('playlists.liked');
+  return user && user.playlists.liked ? Playlist.findById(user.playlists.liked) : null;
+};
+
+/**
+ * Add an album's tracks to the playlist a pre-save asked for
+ * Tracks already in the playlist are not added twice
+ */
+const fulfillPreSave = async (preSave, tracks) => {
+  const playlist = await findTargetPlaylist(preSave);
+  if (!playlist) {
+    preSave.status = 'failed';
+    preSave.error = 'No playlist to add the tracks to';
+    await preSave.save();
+    return false;
+  }
+
+  const existing = new Set(playlist.tracks.map(item => item.track.toString()));
+  const added = tracks.filter(track => !existing.has(track._id.toString()));
+
+  added.forEach(track => playlist.tracks.push({ track: track._id, addedAt: new Date() }));
+  playlist.stats.totalDuration = (playlist.stats.totalDuration || 0) +
+    added.reduce((sum, track) => sum + (track.duration || 0), 0);
+  await playlist.save();
+
+  preSave.status = 'fulfilled';
+  preSave.playlist = playlist._id;
+  preSave.fulfilledAt = new Date();
+  await preSave.save();
+  return true;
+};
+
+/**
+ * Fulfil the pending pre-saves of every album that is out
+ * Albums that are taken down keep their pre-saves until they are restored
+ */
+const fulfillReleasedPreSaves = async () => {
+  const albumIds = await PreSave.distinct('album', { status: 'pending' });
+  if (albumIds.length === 0) return 0;
+
+  // Pre-saves are only taken while an album is embargoed, so these albums always have the flag
+  const albums = await Album.find({
+    _id: { $in: albumIds },
+    isReleased: true,
+    'takedown.takenDownAt': { $exists: false }
+  }).select('_id');
+
+  let fulfilled = 0;
+  for (const album of albums) {
+    const tracks = await Track.find({ album: album._id })
+      .select('_id duration')
+      .sort({ discNumber: 1, trackNumber: 1 });
+
+    const pending = PreSave.find({ album: album._id, status: 'pending' }).cursor();
+    for await (const preSave of pending) {
+      if (await fulfillPreSave(preSave, tracks)) fulfilled++;
+    }
+  }
+
+  return fulfilled;
+};
+
+/**
+ * Pre-save totals for an album with new pre-saves per day
+ */
+const getPreSaveStats = async (albumId, days) => {
+  const historyDays = Math.min(parseInt(days) || 30, MAX_HISTORY_DAYS);
+  const since = new Date(Date.now() - historyDays * DAY);
+  since.setUTCHours(0, 0, 0, 0);
+
+  const [byStatus, before, daily] = await Promise.all([
+    PreSave.aggregate([
+      { $match: { album: albumId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    PreSave.countDocuments({ album: albumId, createdAt: { $lt: since } }),
+    PreSave.aggregate([
+      { $match: { album: albumId, createdAt: { $gte: since } } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ])
+  ]);
+
+  const counts = Object.fromEntries(byStatus.map(row => [row._id, row.count]));
+
+  // Running total so clients can chart growth towards release day
+  let total = before;
+  const history = daily.map(row => {
+    total += row.count;
+    return { date: row._id, preSaves: row.count, total };
+  });
+
+  return {
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    pending: counts.pending || 0,
+    fulfilled: counts.fulfilled || 0,
+    failed: counts.failed || 0,
+    history
+  };
+};
+
+module.exports = {
+  fulfillPreSave,
+  fulfillReleasedPreSaves,
+  getPreSaveStats
+};
@@ -0,0 +1,198 @@
+const path = require('path');
+const fs = require('fs');
+const Album = require('../models/Album');
+const Track = require('../models/Track');
+const { extractArchive } = require('./archive');
+const { loadManifest, validateManifest } = require('./releaseManifest');
+const storage = require('./storage');
+const { ingestAudioFile, getStreamKey, getMasterKey } = require('./audioIngest');
+const { queueTrackPackaging } = require('./hlsPackager');
+const { queueWaveformGeneration } = require('./waveform');
+const { queueLoudnessAnalysis } = require('./loudness');
+const { queueDuplicateCheck } = require('./duplicates');
+const { queueImageProcessing } = require('./imageDerivatives');
+
+// Extracted files are staged next to regular uploads before they're stored
+const MASTERS_DIR = path.join(storage.UPLOADS_DIR, 'masters');
+const COVERS_DIR = path.join(storage.UPLOADS_DIR, 'covers');
+
+/**
+ * Unique file name in the same style as multer uploads
+ */
+const uniqueName = (filePath) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(filePath).toLowerCase();
+};
+
+/**
+ * Move an extracted file into a local upload folder under a unique name
+ */
+const moveInto = async (filePath, dir) => {
+  const filename = uniqueName(filePath);
+  const destination = path.join(dir, filename);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  try {
+    await fs.promises.rename(filePath, destination);
+  } catch (err) {
+    // The DDEX drop folder may be on another mount than the uploads
+    if (err.code !== 'EXDEV') throw err;
+    await fs.promises.copyFile(filePath, destination);
+    await fs.promises.unlink(filePath);
+  }
+
+  const { size } = await fs.promises.stat(destination);
+  return { path: destination, filename, size };
+};
+
+/**
+ * Create the album and its tracks from a validated manifest
+ * Nothing is left behind if any step fails: created documents and files are removed
+ */
+const createRelease = async ({ release, tracks }, distributorName) => {
+  // Staged local files and the storage keys they end up under
+  const stagedFiles = [];
+  const createdKeys = [];
+  let album;
+
+  try {
+    const cover = await moveInto(release.coverPath, COVERS_DIR);
+    stagedFiles.push(cover.path);
+    const coverKey = `covers/${cover.filename}`;
+    createdKeys.push(coverKey);
+    await storage.saveFile(coverKey, cover.path);
+    const coverArt = storage.uploadUrl(coverKey);
+
+    // Store every audio file before touching the database
+    const ingested = [];
+    for (const track of tracks) {
+      const master = await moveInto(track.filePath, MASTERS_DIR);
+      stagedFiles.push(master.path);
+      createdKeys.push(getMasterKey({ master: { fileUrl: master.filename } }));
+
+      const result = await ingestAudioFile(master);
+      createdKeys.push(getStreamKey({ fileUrl: result.fileUrl }));
+      ingested.push(result);
+    }
+
+    const distributor = {
+      name: release.distributor || distributorName || 'Unknown Distributor',
+      uploadDate: new Date()
+    };
+
+    album = await Album.create({
+      title: release.title,
+      artist: release.artist._id,
+      releaseDate: release.releaseDate,
+      releaseTimeZone: release.releaseTimeZone,
+      coverArt,
+      type: release.type,
+      distributor,
+      genre: release.genre,
+      totalDuration: ingested.reduce((sum, result) => sum + (result.duration || 0), 0),
+      metadata: {
+        label: release.label,
+        upc: release.upc,
+        copyright: release.copyright,
+        language: release.language
+      },
+      credits: release.credits,
+      availability: release.availability
+    });
+
+    const trackDocs = await Track.insertMany(tracks.map((track, i) => {
+      const { fileUrl, master, audio, duration, tags } = ingested[i];
+
+      return {
+        title: track.title,
+        artist: track.artists[0].artist,
+        artists: track.artists,
+        album: album._id,
+        // Tracks stay embargoed with their album
+        releaseDate: album.releaseDate,
+        isReleased: album.isReleased,
+        trackNumber: track.trackNumber,
+        discNumber: track.discNumber,
+        fileUrl,
+        coverArt,
+        genre: track.genre || release.genre || tags.genre || 'Unknown',
+        duration,
+        audio,
+        master,
+        distributor,
+        credits: track.credits,
+        availability: track.availability,
+        metadata: {
+          bpm: tags.bpm,
+          isrc: track.isrc || tags.isrc,
+          language: tags.language || release.language,
+          explicit: track.explicit
+        }
+      };
+    }));
+
+    trackDocs.sort((a, b) => a.discNumber - b.discNumber || a.trackNumber - b.trackNumber);
+    album.tracks = trackDocs.map(track => track._id);
+    await album.save();
+
+    // Transcode, render waveform peaks, measure loudness and look for duplicates in the background
+    trackDocs.forEach(track => {
+      queueTrackPackaging(track._id);
+      queueWaveformGeneration(track._id);
+      queueLoudnessAnalysis(track._id);
+      queueDuplicateCheck(track._id);
+    });
+    // The album and its tracks share the cover, so it's processed once for all of them
+    queueImageProcessing(coverArt);
+
+    return { album, tracks: trackDocs };
+  } catch (err) {
+    if (album) {
+      await Track.deleteMany({ album: album._id });
+      await Album.deleteOne({ _id: album._id });
+    }
+    await Promise.all(stagedFiles.map(file => fs.promises.unlink(file).catch(() => {})));
+    await Promise.all(createdKeys.map(key => storage.remove(key).catch(() => {})));
+    throw err;
+  }
+};
+
+/**
+ * Ingest a release archive (audio, artwork and a manifest)
+ * Returns { errors } when validation fails, otherwise { album, tracks }
+ */
+const ingestReleaseArchive = async (archive, { distributorName, managedBy } = {}) => {
+  const extractDir = `${archive.path}-extracted`;
+
+  try {
+    let entries;
+    try {
+      entries = await extractArchive(archive.path, extractDir);
+    } catch (err) {
+      return { errors: [{ row: 0, field: 'archive', message: err.message }] };
+    }
+
+    let manifest;
+    let baseDir;
+    try {
+      ({ manifest, baseDir } = await loadManifest(extractDir, entries));
+    } catch (err) {
+      return { errors: [{ row: 0, field: 'manifest', message: err.message }] };
+    }
+
+    const validated = await validateManifest(manifest, baseDir, { managedBy });
+    if (validated.errors.length > 0) {
+      return { errors: validated.errors };
+    }
+
+    return createRelease(validated, distributorName);
+  } finally {
+    await fs.promises.rm(extractDir, { recursive: true, force: true });
+    await fs.promises.unlink(archive.path).catch(() => {});
+  }
+};
+
+module.exports = {
+  createRelease,
+  ingestReleaseArchive
+};
@@ -0,0 +1,446 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const Track = require('../models/Track');
+const { normalizeCredits } = require('./credits');
+const { extractAudioMetadata } = require('./audioMetadata');
+const { isValidTimeZone, resolveReleaseDate } = require('./releaseSchedule');
+
+const MANIFEST_NAMES = ['manifest.json', 'manifest.csv'];
+
+const AUDIO_EXTENSIONS = ['.mp3', '.flac', '.wav', '.aif', '.aiff', '.aac', '.m4a', '.ogg', '.oga', '.opus'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+const ALBUM_TYPES = Album.schema.path('type').enumValues;
+
+// e.g. USRC17607839 - hyphens are accepted and stripped
+const ISRC_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}\d{7}$/;
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting)
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Normalize a CSV header like "Track Number" or "track_number" to "tracknumber"
+ */
+const headerKey = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Split a list cell like "A; B" into values
+ */
+const splitList = (value) => (value ? value.split(';').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Parse a credits cell like "producer: Max Martin; composer: Jane Doe"
+ */
+const parseCreditList = (value) => splitList(value).map(entry => {
+  const separator = entry.indexOf(':');
+  return separator === -1
+    ? { role: entry }
+    : { role: entry.slice(0, separator).trim(), name: entry.slice(separator + 1).trim() };
+});
+
+/**
+ * Convert CSV rows (one per track, release columns repeated) to the manifest shape
+ */
+const csvToManifest = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new Error('Manifest is empty');
+  }
+
+  const keys = header.map(headerKey);
+  const records = rows.map(fields => keys.reduce((record, key, i) => {
+    record[key] = (fields[i] || '').trim();
+    return record;
+  }, {}));
+
+  // Release columns are read from the first row that has them
+  const first = (key) => (records.find(record => record[key]) || {})[key];
+
+  return {
+    release: {
+      title: first('albumtitle'),
+      artist: first('albumartist'),
+      releaseDate: first('releasedate'),
+      releaseTimeZone: first('releasetimezone'),
+      type: first('albumtype'),
+      genre: first('albumgenre') || first('genre'),
+      label: first('label'),
+      upc: first('upc'),
+      copyright: first('copyright'),
+      language: first('language'),
+      cover: first('cover'),
+      credits: parseCreditList(first('albumcredits'))
+    },
+    tracks: records.map(record => ({
+      file: record.file,
+      title: record.title,
+      artist: splitList(record.artist),
+      featuring: splitList(record.featuring),
+      trackNumber: record.tracknumber,
+      discNumber: record.discnumber,
+      isrc: record.isrc,
+      explicit: record.explicit,
+      genre: record.genre,
+      credits: parseCreditList(record.credits)
+    }))
+  };
+};
+
+/**
+ * Find and read the manifest in an extracted archive
+ * The manifest may sit at the root or inside a single top-level folder;
+ * file references in it are relative to the manifest's folder
+ */
+const loadManifest = async (extractDir, entries) => {
+  const files = entries.filter(name => !name.startsWith('__MACOSX/'));
+  const manifestPath = files
+    .filter(name => MANIFEST_NAMES.includes(path.basename(name).toLowerCase()))
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+
+  if (!manifestPath) {
+    throw new Error('Archive must contain a manifest.json or manifest.csv');
+  }
+
+  const baseDir = path.join(extractDir, path.dirname(manifestPath));
+  const content = await fs.promises.readFile(path.join(extractDir, manifestPath), 'utf8');
+
+  let manifest;
+  if (manifestPath.toLowerCase().endsWith('.json')) {
+    try {
+      manifest = JSON.parse(content);
+    } catch (err) {
+      throw new Error(`Manifest is not valid JSON: ${err.message}`);
+    }
+  } else {
+    manifest = csvToManifest(content.replace(/^\uFEFF/, ''));
+  }
+
+  if (!manifest || !manifest.release || typeof manifest.release !== 'object' || !Array.isArray(manifest.tracks)) {
+    throw new Error('Manifest must describe a release and a list of tracks');
+  }
+
+  return { baseDir, manifest };
+};
+
+/**
+ * Resolve an artist reference given as an id or an exact (case-insensitive) name
+ */
+const findArtist = async (ref) => {
+  if (!ref) return null;
+  if (mongoose.isValidObjectId(ref)) {
+    const byId = await Artist.findById(ref).select('name');
+    if (byId) return byId;
+  }
+  const escaped = String(ref).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return Artist.findOne({ name: { $regex: `^${escaped}$`, $options: 'i' } }).select('name');
+};
+
+/**
+ * Link credit names to artist profiles where one exists, then validate them
+ */
+const resolveCredits = async (credits) => {
+  if (!credits || (Array.isArray(credits) && credits.length === 0)) {
+    return { credits: [] };
+  }
+  if (!Array.isArray(credits)) {
+    return { error: 'Credits must be a list' };
+  }
+
+  const linked = [];
+  for (const credit of credits) {
+    if (credit && !credit.artist && credit.name) {
+      const artist = await findArtist(credit.name);
+      linked.push(artist ? { ...credit, artist: artist._id, name: undefined } : credit);
+    } else {
+      linked.push(credit);
+    }
+  }
+
+  return normalizeCredits(linked);
+};
+
+/**
+ * Resolve a file reference from the manifest inside the extracted folder
+ */
+const resolveFile = (baseDir, file) => {
+  if (!file || typeof file !== 'string') return null;
+  const resolved = path.resolve(baseDir, file);
+  // Never follow references out of the extracted archive, including through symlinks
+  if (!resolved.startsWith(path.resolve(baseDir) + path.sep)) return null;
+  try {
+    const real = fs.realpathSync(resolved);
+    if (!real.startsWith(fs.realpathSync(baseDir) + path.sep)) return null;
+    return fs.lstatSync(resolved).isFile() ? resolved : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const parseBoolean = (value) => value === true || ['true', 'yes', '1', 'y'].includes(String(value).toLowerCase());
+
+const parsePositiveInt = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Validate the release section
+ * Returns the resolved release and appends problems to errors
+ */
+const validateRelease = async (release, baseDir, errors, managedBy) => {
+  const fail = (field, message) => errors.push({ row: 0, field, message });
+  const resolved = {};
+
+  if (!release.title) fail('title', 'Release title is required');
+  resolved.title = release.title;
+
+  resolved.artist = await findArtist(release.artist);
+  if (!resolved.artist) {
+    fail('artist', `Artist not found: ${release.artist || '(missing)'}`);
+  } else if (!await isManagedBy(resolved.artist, managedBy)) {
+    fail('artist', `You don't manage ${resolved.artist.name}`);
+  }
+
+  // With a time zone the release goes live at midnight local time
+  if (release.releaseTimeZone && !isValidTimeZone(release.releaseTimeZone)) {
+    fail('releaseTimeZone', `Unknown time zone: ${release.releaseTimeZone}`);
+  } else {
+    resolved.releaseTimeZone = release.releaseTimeZone || undefined;
+  }
+
+  resolved.releaseDate = release.releaseDate && resolveReleaseDate(release.releaseDate, resolved.releaseTimeZone);
+  if (!resolved.releaseDate) {
+    fail('releaseDate', 'A valid release date is required');
+  }
+
+  resolved.type = (release.type || 'album').toLowerCase();
+  if (!ALBUM_TYPES.includes(resolved.type)) {
+    fail('type', `Release type must be one of: ${ALBUM_TYPES.join(', ')}`);
+  }
+
+  resolved.coverPath = resolveFile(baseDir, release.cover);
+  if (!resolved.coverPath) {
+    fail('cover', `Cover image not found in archive: ${release.cover || '(missing)'}`);
+  } else if (!IMAGE_EXTENSIONS.includes(path.extname(resolved.coverPath).toLowerCase())) {
+    fail('cover', 'Cover must be a JPEG, PNG, GIF or WebP image');
+  }
+
+  if (release.upc) {
+    resolved.upc = String(release.upc).trim();
+    if (!/^\d{12,13}$/.test(resolved.upc)) {
+      fail('upc', 'UPC must be 12 or 13 digits');
+    } else if (await Album.exists({ 'metadata.upc': resolved.upc })) {
+      fail('upc', `A release with UPC ${resolved.upc} already exists`);
+    }
+  }
+
+  const credits = await resolveCredits(release.credits);
+  if (credits.error) fail('credits', credits.error);
+  resolved.credits = credits.credits || [];
+
+  resolved.genre = release.genre;
+  resolved.label = release.label;
+  resolved.copyright = release.copyright;
+  resolved.language = release.language;
+  resolved.distributor = release.distributor;
+
+  return resolved;
+};
+
+/**
+ * Check whether a distributor account manages an artist (always true without an account)
+ */
+const isManagedBy = async (artist, userId) => {
+  if (!userId) return true;
+  return Boolean(await Artist.exists({ _id: artist._id, 'distributors.userId': userId }));
+};
+
+/**
+ * Validate one track row
+ * Returns the resolved track and appends problems to errors
+ */
+const validateTrack = async (track, row, context, errors) => {
+  const fail = (field, message) => errors.push({ row, field, message });
+  const resolved = { row };
+
+  if (!track || typeof track !== 'object') {
+    fail('row', 'Track entry must be an object');
+    return resolved;
+  }
+
+  resolved.filePath = resolveFile(context.baseDir, track.file);
+  if (!resolved.filePath) {
+    fail('file', `Audio file not found in archive: ${track.file || '(missing)'}`);
+  } else if (!AUDIO_EXTENSIONS.includes(path.extname(resolved.filePath).toLowerCase())) {
+    fail('file', 'File is not a supported audio format');
+  } else if (context.usedFiles.has(resolved.filePath)) {
+    fail('file', 'File is used by more than one track');
+  } else {
+    context.usedFiles.add(resolved.filePath);
+    try {
+      resolved.metadata = await extractAudioMetadata(resolved.filePath);
+    } catch (err) {
+      fail('file', 'Could not read audio file');
+    }
+  }
+
+  // Embedded tags fill in a missing title
+  resolved.title = track.title || (resolved.metadata && resolved.metadata.tags.title);
+  if (!resolved.title) fail('title', 'Title is required');
+
+  resolved.trackNumber = parsePositiveInt(track.trackNumber);
+  if (!resolved.trackNumber) fail('trackNumber', 'Track number must be a positive integer');
+
+  resolved.discNumber = track.discNumber ? parsePositiveInt(track.discNumber) : 1;
+  if (!resolved.discNumber) fail('discNumber', 'Disc number must be a positive integer');
+
+  if (resolved.trackNumber && resolved.discNumber) {
+    const position = `${resolved.discNumber}-${resolved.trackNumber}`;
+    if (context.positions.has(position)) {
+      fail('trackNumber', `Disc ${resolved.discNumber} track ${resolved.trackNumber} is listed twice`);
+    }
+    context.positions.add(position);
+  }
+
+  if (track.isrc) {
+    resolved.isrc = String(track.isrc).toUpperCase().replace(/-/g, '').trim();
+    if (!ISRC_PATTERN.test(resolved.isrc)) {
+      fail('isrc', `Invalid ISRC: ${track.isrc}`);
+    } else if (context.isrcs.has(resolved.isrc)) {
+      fail('isrc', `ISRC ${resolved.isrc} is listed twice`);
+    } else if (await Track.exists({ 'metadata.isrc': resolved.isrc })) {
+      fail('isrc', `A track with ISRC ${resolved.isrc} already exists`);
+    }
+    context.isrcs.add(resolved.isrc);
+  }
+
+  // Primary artists default to the release artist; every artist must have a profile
+  const resolveArtists = async (refs, field) => {
+    const artists = [];
+    for (const ref of refs) {
+      const artist = await findArtist(ref);
+      if (!artist) {
+        fail(field, `Artist not found: ${ref}`);
+      } else if (!artists.some(existing => existing._id.equals(artist._id))) {
+        artists.push(artist);
+      }
+    }
+    return artists;
+  };
+
+  const primaryRefs = [].concat(track.artist || []);
+  const primaries = primaryRefs.length > 0
+    ? await resolveArtists(primaryRefs, 'artist')
+    : [context.releaseArtist].filter(Boolean);
+
+  // Distributors deliver for their own artists; featured guests may be anyone
+  if (primaryRefs.length > 0) {
+    for (const artist of primaries) {
+      if (!await isManagedBy(artist, context.managedBy)) {
+        fail('artist', `You don't manage ${artist.name}`);
+      }
+    }
+  }
+  const featured = await resolveArtists(Array.isArray(track.featuring) ? track.featuring : [], 'featuring');
+
+  if (primaries.length > 0) {
+    resolved.artists = [
+      ...primaries.map(artist => ({ artist: artist._id, role: 'primary' })),
+      ...featured
+        .filter(artist => !primaries.some(primary => primary._id.equals(artist._id)))
+        .map(artist => ({ artist: artist._id, role: 'featured' }))
+    ];
+  }
+
+  const credits = await resolveCredits(track.credits);
+  if (credits.error) fail('credits', credits.error);
+  resolved.credits = credits.credits || [];
+
+  resolved.explicit = parseBoolean(track.explicit);
+  resolved.genre = track.genre;
+
+  return resolved;
+};
+
+/**
+ * Validate a whole manifest against the extracted files and the catalog
+ * Every row is checked so the report lists all problems at once
+ * With managedBy, primary artists must be managed by that distributor account
+ * Returns { release, tracks, errors }
+ */
+const validateManifest = async (manifest, baseDir, { managedBy } = {}) => {
+  const errors = [];
+
+  const release = await validateRelease(manifest.release, baseDir, errors, managedBy);
+
+  if (manifest.tracks.length === 0) {
+    errors.push({ row: 0, field: 'tracks', message: 'Manifest lists no tracks' });
+  }
+
+  const context = {
+    baseDir,
+    releaseArtist: release.artist,
+    managedBy,
+    usedFiles: new Set(),
+    positions: new Set(),
+    isrcs: new Set()
+  };
+
+  const tracks = [];
+  for (let i = 0; i < manifest.tracks.length; i++) {
+    tracks.push(await validateTrack(manifest.tracks[i], i + 1, context, errors));
+  }
+
+  return { release, tracks, errors };
+};
+
+module.exports = {
+  findArtist,
+  loadManifest,
+  validateManifest
+};
@@ -0,0 +1,195 @@
+const Album = require('../models/Album');
+const Artist = require('../models/Artist');
+const Track = require('../models/Track');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { fulfillReleasedPreSaves } = require('./preSave');
+
+// Query fragment for albums and tracks that are out (documents predating embargoes have no flag)
+const RELEASED_QUERY = { isReleased: { $ne: false } };
+
+// Followers are notified in batches so large fan bases don't load into memory at once
+const NOTIFICATION_BATCH_SIZE = 500;
+
+// Releases older than this when first seen by the scheduler are not announced
+const ANNOUNCE_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether an album or track is out
+ */
+const isReleased = (doc) => !doc || doc.isReleased !== false;
+
+/**
+ * Check whether a string is a time zone known to the runtime (e.g. America/New_York)
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+
+  const value = type => parseInt(parts.find(part => part.type === type).value);
+  const local = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Resolve a requested release date into the release instant
+ * With a time zone the release happens at midnight local time on that calendar day
+ * Returns null for dates that can't be parsed
+ */
+const resolveReleaseDate = (value, timeZone) => {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  if (!timeZone) return date;
+
+  // Take the calendar day as written rather than shifting it through UTC
+  const day = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)
+    ? value.slice(0, 10)
+    : date.toISOString().slice(0, 10);
+  const [year, month, dayOfMonth] = day.split('-').map(Number);
+  const midnightUtc = Date.UTC(year, month - 1, dayOfMonth);
+
+  // Re-check the offset at the result in case a DST change falls in between
+  const offset = getTimeZoneOffset(new Date(midnightUtc), timeZone);
+  const corrected = getTimeZoneOffset(new Date(midnightUtc - offset), timeZone);
+
+  return new Date(midnightUtc - corrected);
+};
+
+/**
+ * Set an album's release date, as midnight local time when a time zone is given (the album is not saved)
+ * Returns { error } for an unknown time zone or an unparseable date
+ */
+const setAlbumReleaseDate = (album, releaseDate, timeZone) => {
+  if (timeZone && !isValidTimeZone(timeZone)) {
+    return { error: `Unknown time zone: ${timeZone}` };
+  }
+
+  const date = resolveReleaseDate(releaseDate, timeZone);
+  if (!date) {
+    return { error: 'Invalid release date' };
+  }
+
+  album.releaseDate = date;
+  album.releaseTimeZone = timeZone || undefined;
+  return {};
+};
+
+/**
+ * Copy an album's release date and embargo onto its tracks
+ */
+const syncTrackRelease = (album) => Track.updateMany(
+  { album: album._id },
+  { $set: { releaseDate: album.releaseDate, isReleased: album.isReleased !== false } }
+);
+
+/**
+ * Tell everyone following the album's artist about the release
+ * Users who turned off app notifications are skipped
+ */
+const notifyFollowers = async (album) => {
+  const artist = await Artist.findById(album.artist).select('name');
+  const message = `${artist ? artist.name : 'An artist you follow'} released ${album.title}`;
+
+  const followers = User.find({
+    'following.artists': album.artist,
+    'preferences.appNotifications': { $ne: false }
+  }).select('_id').cursor();
+
+  let batch = [];
+  let notified = 0;
+  for await (const follower of followers) {
+    batch.push({
+      user: follower._id,
+      type: 'new-release',
+      artist: album.artist,
+      album: album._id,
+      message
+    });
+
+    if (batch.length >= NOTIFICATION_BATCH_SIZE) {
+      await Notification.insertMany(batch);
+      notified += batch.length;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) {
+    await Notification.insertMany(batch);
+    notified += batch.length;
+  }
+
+  return notified;
+};
+
+/**
+ * Put live every embargoed album and track whose release date has passed,
+ * notify followers of albums that went out recently and fulfil their pre-saves
+ */
+const publishScheduledReleases = async () => {
+  const now = new Date();
+
+  const due = await Album.find({ isReleased: false, releaseDate: { $lte: now } });
+  for (const album of due) {
+    album.isReleased = true;
+    await album.save();
+    await syncTrackRelease(album);
+  }
+
+  // Standalone tracks scheduled on their own
+  const { modifiedCount } = await Track.updateMany(
+    { isReleased: false, releaseDate: { $lte: now } },
+    { $set: { isReleased: true } }
+  );
+
+  // Albums released straight away are announced too; older catalog never is
+  const unannounced = await Album.find({
+    ...RELEASED_QUERY,
+    releaseNotifiedAt: { $exists: false },
+    releaseDate: { $gte: new Date(now - ANNOUNCE_WINDOW), $lte: now },
+    'takedown.takenDownAt': { $exists: false }
+  });
+
+  let notified = 0;
+  for (const album of unannounced) {
+    notified += await notifyFollowers(album);
+    album.releaseNotifiedAt = new Date();
+    await album.save();
+  }
+
+  // Pre-saved tracks land in libraries on release day
+  const preSaves = await fulfillReleasedPreSaves();
+
+  return { albums: due.length, tracks: modifiedCount, announced: unannounced.length, notified, preSaves };
+};
+
+module.exports = {
+  RELEASED_QUERY,
+  isReleased,
+  isValidTimeZone,
+  resolveReleaseDate,
+  setAlbumReleaseDate,
+  syncTrackRelease,
+  notifyFollowers,
+  publishScheduledReleases
+};
@@ -0,0 +1,28 @@
+const { spawn } = require('child_process');
+
+/**
+ * Run a binary and collect its output
+ * Resolves with { stdout, stderr } or rejects with the tail of stderr
+ */
+const runProcess = (binary, args) => {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(binary, args);
+    const stdout = [];
+    const stderr = [];
+
+    proc.stdout.on('data', chunk => stdout.push(chunk));
+    proc.stderr.on('data', chunk => stderr.push(chunk));
+
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      const errOutput = Buffer.concat(stderr).toString();
+      if (code !== 0) {
+        const tail = errOutput.trim().split('\n').slice(-5).join('\n');
+        return reject(new Error(`${binary} exited with code ${code}: ${tail}`));
+      }
+      resolve({ stdout: Buffer.concat(stdout), stderr: errOutput });
+    });
+  });
+};
+
+module.exports = runProcess;
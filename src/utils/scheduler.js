@@ -0,0 +1,35 @@
+/**
+ * Minimal interval scheduler for recurring background jobs
+ */
+
+/**
+ * Run a job every intervalMs milliseconds
+ * A job never overlaps with itself - a run is skipped while the previous one is still going
+ */
+const scheduleJob = (name, intervalMs, job, { runOnStart = true } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (err) {
+      console.error(`Scheduled job "${name}" failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for scheduled jobs
+  timer.unref();
+
+  if (runOnStart) {
+    setImmediate(run);
+  }
+};
+
+module.exports = {
+  scheduleJob
+};
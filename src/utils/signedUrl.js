@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// Default lifetime of a signed media URL, in seconds
+const DEFAULT_TTL = parseInt(process.env.SIGNED_URL_TTL) || 15 * 60;
+
+const getSecret = () => process.env.SIGNED_URL_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Compute the HMAC for a scope, user and expiry time
+ * The scope names the resource the URL unlocks (e.g. "track:<id>")
+ */
+const computeSignature = (scope, userId, expires) => {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${scope}\n${userId}\n${expires}`)
+    .digest('base64url');
+};
+
+/**
+ * Create signature query parameters for a scope and user
+ */
+const createSignature = (scope, userId, ttl = DEFAULT_TTL) => {
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  const uid = userId.toString();
+
+  return {
+    expires: String(expires),
+    uid,
+    sig: computeSignature(scope, uid, expires)
+  };
+};
+
+/**
+ * Append signature query parameters to a URL
+ * Returns the signed URL and its expiry date
+ */
+const signUrl = (url, scope, userId, ttl = DEFAULT_TTL) => {
+  const params = createSignature(scope, userId, ttl);
+  const separator = url.includes('?') ? '&' : '?';
+
+  return {
+    url: `${url}${separator}${new URLSearchParams(params).toString()}`,
+    expiresAt: new Date(parseInt(params.expires) * 1000)
+  };
+};
+
+/**
+ * Verify signature query parameters against a scope
+ * Returns the signing user's ID when valid, otherwise null
+ */
+const verifySignature = (scope, { expires, uid, sig } = {}) => {
+  if (!expires || !uid || !sig) return null;
+
+  const expiresAt = parseInt(expires);
+  if (isNaN(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return null;
+
+  const expected = Buffer.from(computeSignature(scope, uid, expiresAt));
+  const provided = Buffer.from(String(sig));
+
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  return uid;
+};
+
+/**
+ * Sign a path under the /uploads mount
+ * Paths outside /uploads (e.g. external URLs) are returned unchanged
+ */
+const signUploadUrl = (url, userId, ttl = DEFAULT_TTL) => {
+  if (!url || !url.startsWith('/uploads/')) {
+    return { url, expiresAt: null };
+  }
+
+  return signUrl(url, `uploads:${url.slice('/uploads'.length)}`, userId, ttl);
+};
+
+module.exports = {
+  signUrl,
+  signUploadUrl,
+  verifySignature
+};
@@ -0,0 +1,56 @@
+const path = require('path');
+const createLocalStorage = require('./local');
+const createS3Storage = require('./s3');
+
+/**
+ * File storage shared by every upload and media route
+ * Objects are addressed by keys like "covers/<file>" or "hls/<trackId>/master.m3u8".
+ * STORAGE_DRIVER picks local disk (default) or an S3-compatible bucket; either way
+ * files are served to clients through /uploads/<key>.
+ */
+
+// Local working folder - multer and ffmpeg write here before files are stored
+const UPLOADS_DIR = path.join(__dirname, '../../../uploads');
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 'local';
+
+  if (driver === 'local') {
+    return createLocalStorage({ root: UPLOADS_DIR });
+  }
+
+  if (driver === 's3') {
+    return createS3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      timeout: parseInt(process.env.S3_TIMEOUT_MS) || undefined
+    });
+  }
+
+  throw new Error(`Unknown storage driver: ${driver}`);
+};
+
+const storage = createStorage();
+
+/**
+ * Public URL of a stored object
+ */
+const uploadUrl = (key) => `/uploads/${key}`;
+
+/**
+ * Storage key behind an /uploads URL (null for anything else)
+ */
+const keyFromUrl = (url) => (url && url.startsWith('/uploads/') ? url.slice('/uploads/'.length) : null);
+
+module.exports = {
+  ...storage,
+  UPLOADS_DIR,
+  uploadUrl,
+  keyFromUrl,
+  createLocalStorage,
+  createS3Storage
+};
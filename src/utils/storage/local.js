@@ -0,0 +1,98 @@
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * Local disk storage driver - objects are files under a root folder
+ */
+const createLocalStorage = ({ root }) => {
+  const rootDir = path.resolve(root);
+
+  /**
+   * File path for a key, refusing keys that would escape the root
+   */
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  const saveFile = async (key, filePath) => {
+    const destination = resolveKey(key);
+    if (path.resolve(filePath) === destination) return;
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    try {
+      await fs.promises.rename(filePath, destination);
+    } catch (err) {
+      // Moving across devices (e.g. from the system temp folder) needs a copy
+      if (err.code !== 'EXDEV') throw err;
+      await fs.promises.copyFile(filePath, destination);
+      await fs.promises.unlink(filePath);
+    }
+  };
+
+  const saveBuffer = async (key, buffer) => {
+    const destination = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.writeFile(destination, buffer);
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolveKey(key));
+      return stats.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const openReadStream = async (key, range) => fs.createReadStream(resolveKey(key), range || {});
+
+  const readFile = (key) => fs.promises.readFile(resolveKey(key));
+
+  const remove = (key) => fs.promises.rm(resolveKey(key), { force: true });
+
+  const removePrefix = (prefix) => fs.promises.rm(resolveKey(prefix.replace(/\/$/, '')), { recursive: true, force: true });
+
+  const list = async (prefix) => {
+    const objects = [];
+    const walk = async (dir) => {
+      const entries = await fs.promises.readdir(dir, { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(entryPath);
+        } else {
+          const stats = await fs.promises.stat(entryPath);
+          objects.push({
+            key: path.relative(rootDir, entryPath).split(path.sep).join('/'),
+            size: stats.size,
+            modifiedAt: stats.mtime
+          });
+        }
+      }
+    };
+    await walk(resolveKey(prefix.replace(/\/$/, '')));
+    return objects;
+  };
+
+  // Files are already on disk, so processing reads them in place
+  const withLocalFile = (key, fn) => fn(resolveKey(key));
+
+  return {
+    name: 'local',
+    saveFile,
+    saveBuffer,
+    stat,
+    openReadStream,
+    readFile,
+    remove,
+    removePrefix,
+    list,
+    withLocalFile
+  };
+};
+
+module.exports = createLocalStorage;
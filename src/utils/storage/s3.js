@@ -0,0 +1,271 @@
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { parseXml, children, child, text } = require('../xml');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...)
+ * Requests are signed with AWS Signature Version 4
+ */
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+// Idle time after which a stalled request or response is abandoned, in milliseconds
+const DEFAULT_TIMEOUT = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * Percent-encode everything but unreserved characters, as SigV4 requires
+ */
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Canonical query string: encoded pairs sorted by name, then value
+ */
+const canonicalQuery = (query) => Object.entries(query)
+  .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(String(value))])
+  .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+  .map(([name, value]) => `${name}=${value}`)
+  .join('&');
+
+/**
+ * Sign a request with AWS Signature Version 4
+ * pathname must already be URI-encoded; returns the headers to send
+ */
+const signRequest = ({ method, host, pathname, query = {}, headers = {}, payloadHash, credentials, region, date = new Date() }) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+
+  const signed = {};
+  Object.entries({ ...headers, host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate })
+    .forEach(([name, value]) => {
+      signed[name.toLowerCase()] = String(value).trim();
+    });
+
+  const names = Object.keys(signed).sort();
+  const signedHeaders = names.join(';');
+  const canonicalRequest = [
+    method,
+    pathname,
+    canonicalQuery(query),
+    names.map(name => `${name}:${signed[name]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [day, region, 's3', 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  return {
+    ...signed,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
+
+/**
+ * Read a whole response body
+ */
+const readBody = async (res) => {
+  const chunks = [];
+  for await (const chunk of res) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+const createS3Storage = ({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, timeout = DEFAULT_TIMEOUT }) => {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, access key ID and secret access key');
+  }
+
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const transport = base.protocol === 'http:' ? http : https;
+  const credentials = { accessKeyId, secretAccessKey };
+
+  /**
+   * Host and encoded path of an object - path-style suits MinIO and other stand-ins
+   */
+  const target = (key = '') => {
+    const encodedKey = key.split('/').map(encodeRfc3986).join('/');
+    return forcePathStyle
+      ? { host: base.host, pathname: `/${encodeRfc3986(bucket)}/${encodedKey}` }
+      : { host: `${bucket}.${base.host}`, pathname: `/${encodedKey}` };
+  };
+
+  /**
+   * Send a signed request and resolve with the response
+   * A connection that stalls while sending or receiving fails with a timeout error,
+   * so background jobs waiting on storage can't hang forever
+   */
+  const request = ({ method, key, query = {}, headers = {}, body, payloadHash = UNSIGNED_PAYLOAD }) => {
+    const { host, pathname } = target(key);
+    const search = canonicalQuery(query);
+    const signedHeaders = signRequest({ method, host, pathname, query, headers, payloadHash, credentials, region });
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: base.protocol,
+        hostname: host.replace(/:\d+$/, ''),
+        port: base.port || undefined,
+        method,
+        path: search ? `${pathname}?${search}` : pathname,
+        headers: signedHeaders
+      });
+
+      const timedOut = () => new Error(`S3 ${method} timed out for ${key || bucket}`);
+
+      req.setTimeout(timeout, () => req.destroy(timedOut()));
+      req.on('response', (res) => {
+        res.setTimeout(timeout, () => res.destroy(timedOut()));
+        resolve(res);
+      });
+      req.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', err => req.destroy(err));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  };
+
+  /**
+   * Throw a descriptive error for a failed response
+   */
+  const checkResponse = async (res, action, key) => {
+    if (res.statusCode < 300) return res;
+
+    const body = (await readBody(res)).toString();
+    let code = `HTTP ${res.statusCode}`;
+    try {
+      code = text(parseXml(body), 'Code') || code;
+    } catch (err) {
+      // Not every error response has an XML body (e.g. HEAD)
+    }
+
+    const error = new Error(`S3 ${action} failed for ${key || bucket}: ${code}`);
+    error.statusCode = res.statusCode;
+    throw error;
+  };
+
+  const saveFile = async (key, filePath) => {
+    const { size } = await fs.promises.stat(filePath);
+    const res = await request({
+      method: 'PUT',
+      key,
+      headers: { 'content-length': size },
+      body: fs.createReadStream(filePath)
+    });
+    await checkResponse(res, 'upload', key);
+    res.resume();
+
+    // The object now lives in the bucket
+    await fs.promises.unlink(filePath).catch(() => {});
+  };
+
+  const saveBuffer = async (key, buffer) => {
+    const res = await request({
+      method: 'PUT',
+      key,
+      headers: { 'content-length': buffer.length },
+      body: buffer,
+      payloadHash: sha256(buffer)
+    });
+    await checkResponse(res, 'upload', key);
+    res.resume();
+  };
+
+  const stat = async (key) => {
+    const res = await request({ method: 'HEAD', key });
+    res.resume();
+    if (res.statusCode === 404) return null;
+    await checkResponse(res, 'stat', key);
+
+    return {
+      size: parseInt(res.headers['content-length'], 10),
+      modifiedAt: new Date(res.headers['last-modified'])
+    };
+  };
+
+  const openReadStream = async (key, range) => {
+    const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+    const res = await request({ method: 'GET', key, headers });
+    return checkResponse(res, 'download', key);
+  };
+
+  const readFile = async (key) => readBody(await openReadStream(key));
+
+  const remove = async (key) => {
+    const res = await request({ method: 'DELETE', key });
+    if (res.statusCode !== 404) await checkResponse(res, 'delete', key);
+    res.resume();
+  };
+
+  const list = async (prefix) => {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const query = { 'list-type': '2', prefix };
+      if (continuationToken) query['continuation-token'] = continuationToken;
+
+      const res = await checkResponse(await request({ method: 'GET', query }), 'list', prefix);
+      const result = parseXml((await readBody(res)).toString());
+
+      children(result, 'Contents').forEach(entry => objects.push({
+        key: text(entry, 'Key'),
+        size: parseInt(text(entry, 'Size'), 10),
+        modifiedAt: new Date(text(entry, 'LastModified'))
+      }));
+
+      continuationToken = text(result, 'IsTruncated') === 'true' && child(result, 'NextContinuationToken')
+        ? text(result, 'NextContinuationToken')
+        : undefined;
+    } while (continuationToken);
+
+    return objects;
+  };
+
+  const removePrefix = async (prefix) => {
+    const objects = await list(prefix.endsWith('/') ? prefix : `${prefix}/`);
+    for (const object of objects) {
+      await remove(object.key);
+    }
+  };
+
+  // ffmpeg needs a real file, so processing works on a temporary download
+  const withLocalFile = async (key, fn) => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mousa-'));
+    try {
+      const filePath = path.join(dir, path.basename(key));
+      await pipeline(await openReadStream(key), fs.createWriteStream(filePath));
+      return await fn(filePath);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  return {
+    name: 's3',
+    saveFile,
+    saveBuffer,
+    stat,
+    openReadStream,
+    readFile,
+    remove,
+    removePrefix,
+    list,
+    withLocalFile
+  };
+};
+
+module.exports = createS3Storage;
@@ -0,0 +1,79 @@
+const Track = require('../models/Track');
+const { revokeLicenses } = require('./downloadLicense');
+
+// Query fragment for albums and tracks that are not taken down
+const NOT_TAKEN_DOWN = { 'takedown.takenDownAt': { $exists: false } };
+
+/**
+ * Check whether an album or track is currently taken down
+ */
+const isTakenDown = (doc) => Boolean(doc.takedown && doc.takedown.takenDownAt);
+
+/**
+ * Take an album or track out of every territory (the document is not saved)
+ * A window that has already ended keeps it unavailable everywhere
+ */
+const applyTakedown = (doc, { reason, userId } = {}) => {
+  const now = new Date();
+
+  // Keep the availability from before the first takedown
+  if (!isTakenDown(doc)) {
+    doc.takedown = {
+      takenDownAt: now,
+      reason,
+      takenDownBy: userId,
+      previousAvailability: doc.availability
+    };
+  }
+  doc.availability = [{ territories: ['WORLDWIDE'], endDate: now }];
+};
+
+/**
+ * Restore the availability an album or track had before its takedown (the document is not saved)
+ */
+const liftTakedown = (doc) => {
+  if (!isTakenDown(doc)) return;
+
+  doc.availability = doc.takedown.previousAvailability || [];
+  doc.takedown = undefined;
+};
+
+/**
+ * Take down tracks and revoke their offline downloads
+ */
+const takeDownTracks = async (tracks, options) => {
+  tracks.forEach(track => applyTakedown(track, options));
+  await Promise.all(tracks.map(track => track.save()));
+  await revokeLicenses({ track: { $in: tracks.map(track => track._id) } }, 'Track taken down');
+};
+
+/**
+ * Take down an album together with all of its tracks
+ */
+const takeDownAlbum = async (album, options) => {
+  applyTakedown(album, options);
+  await album.save();
+  await takeDownTracks(await Track.find({ album: album._id }), options);
+};
+
+/**
+ * Lift the takedown of an album and of its tracks
+ */
+const restoreAlbum = async (album) => {
+  liftTakedown(album);
+  await album.save();
+
+  const tracks = await Track.find({ album: album._id, 'takedown.takenDownAt': { $exists: true } });
+  tracks.forEach(track => liftTakedown(track));
+  await Promise.all(tracks.map(track => track.save()));
+};
+
+module.exports = {
+  NOT_TAKEN_DOWN,
+  isTakenDown,
+  applyTakedown,
+  liftTakedown,
+  takeDownTracks,
+  takeDownAlbum,
+  restoreAlbum
+};
@@ -0,0 +1,227 @@
+const Album = require('../models/Album');
+const User = require('../models/User');
+
+// Header carrying the listener's country, e.g. CF-IPCountry - only trusted when configured,
+// since clients could otherwise set it themselves to get around territory restrictions
+const COUNTRY_HEADER = process.env.COUNTRY_HEADER;
+
+const WORLDWIDE = 'WORLDWIDE';
+const COUNTRY_CODE = /^[A-Z]{2}$/;
+
+/**
+ * Normalize an ISO 3166-1 alpha-2 country code, or null when it isn't one
+ * XX is what most CDNs send when they can't place a client
+ */
+const normalizeCountry = (value) => {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return COUNTRY_CODE.test(code) && code !== 'XX' ? code : null;
+};
+
+/**
+ * Country a request comes from: the configured country header, otherwise the user's profile country
+ * Returns null when neither is known; the result is kept on the request
+ */
+const getRequestCountry = async (req) => {
+  if (req.country !== undefined) return req.country;
+
+  let country = COUNTRY_HEADER ? normalizeCountry(req.get(COUNTRY_HEADER)) : null;
+  if (!country && req.user && req.user.id) {
+    const user = await User.findById(req.user.id).select('country');
+    country = user ? normalizeCountry(user.country) : null;
+  }
+
+  req.country = country;
+  return country;
+};
+
+/**
+ * Check whether one availability window covers a country at an instant
+ * Without a known country only worldwide windows count
+ */
+const windowCovers = (window, country, at) => {
+  const territories = window.territories && window.territories.length > 0 ? window.territories : [WORLDWIDE];
+  if (!territories.includes(WORLDWIDE) && !(country && territories.includes(country))) return false;
+  if (country && (window.excludedTerritories || []).includes(country)) return false;
+  if (window.startDate && at < window.startDate) return false;
+  if (window.endDate && at >= window.endDate) return false;
+  return true;
+};
+
+/**
+ * Check whether availability windows allow a country, now unless another instant is given
+ * No windows at all means available everywhere
+ */
+const isAvailableIn = (availability, country, at = new Date()) => {
+  if (!availability || availability.length === 0) return true;
+  return availability.some(window => windowCovers(window, country, at));
+};
+
+const hasWindows = (doc) => Boolean(doc.availability && doc.availability.length > 0);
+
+/**
+ * Load the windows of restricted albums among the given tracks' albums
+ * Returns a map of album id to windows
+ */
+const loadAlbumWindows = async (tracks) => {
+  const albumIds = [...new Set(tracks
+    .filter(track => track && track.album && !hasWindows(track))
+    .map(track => (track.album._id || track.album).toString()))];
+  if (albumIds.length === 0) return new Map();
+
+  const albums = await Album.find({
+    _id: { $in: albumIds },
+    'availability.0': { $exists: true }
+  }).select('availability');
+
+  return new Map(albums.map(album => [album._id.toString(), album.availability]));
+};
+
+/**
+ * Windows that apply to a track: its own, or its album's when it has none
+ */
+const trackWindows = (track, albumWindows) => {
+  if (hasWindows(track) || !track.album) return track.availability;
+  return albumWindows.get((track.album._id || track.album).toString());
+};
+
+/**
+ * Query matching an availability window that covers a country at an instant (mirrors windowCovers)
+ * With upcoming set, windows that open later count too
+ */
+const windowQuery = (country, at, { upcoming = false } = {}) => ({
+  $and: [
+    { $or: [{ territories: { $in: country ? [WORLDWIDE, country] : [WORLDWIDE] } }, { territories: { $size: 0 } }] },
+    ...(country ? [{ excludedTerritories: { $ne: country } }] : []),
+    ...(upcoming ? [] : [{ $or: [{ startDate: null }, { startDate: { $lte: at } }] }]),
+    { $or: [{ endDate: null }, { endDate: { $gt: at } }] }
+  ]
+});
+
+/**
+ * Narrow an album query to albums available in a country
+ * Filtering in the query keeps pages full and totals right
+ */
+const availableAlbumsQuery = (query, country, options) => ({
+  $and: [query, {
+    $or: [
+      { 'availability.0': { $exists: false } },
+      { availability: { $elemMatch: windowQuery(country, new Date(), options) } }
+    ]
+  }]
+});
+
+/**
+ * Narrow a track query to tracks available in a country
+ * Tracks without windows of their own follow their album
+ */
+const availableTracksQuery = async (query, country) => {
+  const now = new Date();
+  const blockedAlbums = await Album.distinct('_id', {
+    'availability.0': { $exists: true },
+    availability: { $not: { $elemMatch: windowQuery(country, now) } }
+  });
+
+  return {
+    $and: [query, {
+      $or: [
+        { availability: { $elemMatch: windowQuery(country, now) } },
+        { 'availability.0': { $exists: false }, album: { $nin: blockedAlbums } }
+      ]
+    }]
+  };
+};
+
+const regionRestricted = (kind, country) => ({
+  message: `This ${kind} is not available in your region`,
+  code: 'REGION_RESTRICTED',
+  country
+});
+
+/**
+ * Check whether a track may be played in a country
+ * Returns null when it may, otherwise an object describing the refusal
+ */
+const checkTrackTerritory = async (track, country) => {
+  const albumWindows = await loadAlbumWindows([track]);
+  return isAvailableIn(trackWindows(track, albumWindows), country) ? null : regionRestricted('track', country);
+};
+
+/**
+ * Check whether an album is available in a country, now unless another instant is given
+ * Returns null when it is, otherwise an object describing the refusal
+ */
+const checkAlbumTerritory = (album, country, at = new Date()) => (
+  isAvailableIn(album.availability, country, at) ? null : regionRestricted('album', country)
+);
+
+const parseTerritories = (value) => [].concat(value || [])
+  .map(code => String(code).trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Validate submitted availability windows
+ * Returns { availability } on success or { error } describing the first problem
+ */
+const normalizeAvailability = (input) => {
+  let windows = input;
+
+  // Multipart forms send the list as a JSON string
+  if (typeof windows === 'string') {
+    try {
+      windows = JSON.parse(windows);
+    } catch (err) {
+      return { error: 'Availability must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(windows)) {
+    return { error: 'Availability must be an array' };
+  }
+
+  const availability = [];
+  for (const window of windows) {
+    if (!window || typeof window !== 'object') {
+      return { error: 'Each availability window must be an object' };
+    }
+
+    const territories = parseTerritories(window.territories);
+    const excludedTerritories = parseTerritories(window.excludedTerritories);
+    const invalid = [...territories, ...excludedTerritories]
+      .find(code => code !== WORLDWIDE && !COUNTRY_CODE.test(code));
+    if (invalid) {
+      return { error: `Invalid territory: ${invalid} (use ISO 3166-1 alpha-2 codes or ${WORLDWIDE})` };
+    }
+    if (excludedTerritories.includes(WORLDWIDE)) {
+      return { error: `${WORLDWIDE} cannot be excluded` };
+    }
+
+    const startDate = window.startDate ? new Date(window.startDate) : undefined;
+    const endDate = window.endDate ? new Date(window.endDate) : undefined;
+    if ((startDate && isNaN(startDate)) || (endDate && isNaN(endDate))) {
+      return { error: 'Invalid availability date' };
+    }
+    if (startDate && endDate && startDate >= endDate) {
+      return { error: 'Availability start date must be before its end date' };
+    }
+
+    availability.push({
+      territories: territories.length > 0 ? territories : [WORLDWIDE],
+      excludedTerritories,
+      startDate,
+      endDate
+    });
+  }
+
+  return { availability };
+};
+
+module.exports = {
+  normalizeCountry,
+  getRequestCountry,
+  isAvailableIn,
+  availableTracksQuery,
+  availableAlbumsQuery,
+  checkTrackTerritory,
+  checkAlbumTerritory,
+  normalizeAvailability
+};
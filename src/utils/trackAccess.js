@@ -0,0 +1,231 @@
+const Artist = require('../models/Artist');
+const SubscriptionTier = require('../models/SubscriptionTier');
+const UserSubscription = require('../models/UserSubscription');
+const { getPrimaryArtistIds } = require('./trackArtists');
+const { isReleased } = require('./releaseSchedule');
+
+/**
+ * Get the ObjectId of a reference that may or may not be populated
+ */
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Check whether a subscription's tier satisfies a required tier
+ * Tiers are ranked by their order field (1 = entry level)
+ */
+const tierSatisfies = (subscriptionTier, requiredTier) => {
+  if (!requiredTier) return true;
+  if (!subscriptionTier) return false;
+  return subscriptionTier.order >= requiredTier.order;
+};
+
+/**
+ * Summarize a tier for error payloads
+ */
+const summarizeTier = (tier) => tier && {
+  _id: tier._id,
+  name: tier.name,
+  order: tier.order
+};
+
+/**
+ * Build the upsell payload listing the tiers that would unlock the content
+ */
+const buildUpsell = async (artistId, requiredTier) => {
+  const query = { artist: artistId, active: true };
+  if (requiredTier) {
+    query.order = { $gte: requiredTier.order };
+  }
+
+  const tiers = await SubscriptionTier.find(query)
+    .select('name price features order isRecommended')
+    .sort({ order: 1 });
+
+  return {
+    artist: artistId,
+    tiers
+  };
+};
+
+// Checked here rather than through utils/takedown, which depends on this module
+const isTakenDown = (doc) => Boolean(doc.takedown && doc.takedown.takenDownAt);
+
+/**
+ * Check whether a user can play an exclusive track
+ * Returns null when access is granted, or a structured 403 payload when denied
+ */
+const checkTrackAccess = async (track, user) => {
+  // Embargoed tracks can only be played by the people releasing them
+  if (!isReleased(track) && !await canManageTrack(track, user)) {
+    return {
+      message: 'This track has not been released yet',
+      code: 'NOT_RELEASED',
+      releaseDate: track.releaseDate
+    };
+  }
+
+  // So are taken down ones
+  if (isTakenDown(track) && !await canManageTrack(track, user)) {
+    return {
+      message: 'This track has been taken down',
+      code: 'TAKEN_DOWN'
+    };
+  }
+
+  if (!track.isExclusive) return null;
+  if (user && user.isAdmin) return null;
+
+  const artistId = refId(track.artist);
+  const requiredTier = track.minimumTierRequired
+    ? await SubscriptionTier.findById(refId(track.minimumTierRequired))
+    : null;
+
+  if (user) {
+    // Artist members always have access to their own tracks
+    const isMember = await Artist.exists({ _id: artistId, 'members.userId': user.id });
+    if (isMember) return null;
+
+    const subscription = await UserSubscription.findOne({
+      user: user.id,
+      artist: artistId
+    }).populate('tier');
+
+    if (subscription && subscription.canAccessContent()) {
+      if (tierSatisfies(subscription.tier, requiredTier)) return null;
+
+      return {
+        message: 'This track requires a higher subscription tier',
+        code: 'TIER_TOO_LOW',
+        requiredTier: summarizeTier(requiredTier),
+        currentTier: summarizeTier(subscription.tier),
+        upsell: await buildUpsell(artistId, requiredTier)
+      };
+    }
+  }
+
+  return {
+    message: 'This track requires an active subscription',
+    code: 'SUBSCRIPTION_REQUIRED',
+    requiredTier: summarizeTier(requiredTier),
+    currentTier: null,
+    upsell: await buildUpsell(artistId, requiredTier)
+  };
+};
+
+/**
+ * Mark exclusive tracks the user cannot play as locked
+ * Accepts documents or plain objects and returns plain objects with a locked flag
+ */
+const markLockedTracks = async (tracks, user) => {
+  const plain = tracks.map(track => (track && track.toObject ? track.toObject() : track));
+  const exclusive = plain.filter(track => track && track.isExclusive);
+
+  if (exclusive.length === 0 || (user && user.isAdmin)) {
+    return plain.map(track => track && { ...track, locked: false });
+  }
+
+  const artistIds = [...new Set(exclusive.map(track => refId(track.artist).toString()))];
+  const tierIds = [...new Set(exclusive
+    .filter(track => track.minimumTierRequired)
+    .map(track => refId(track.minimumTierRequired).toString()))];
+
+  // Load everything needed for the decision in a few queries
+  const [requiredTiers, memberArtists, subscriptions] = await Promise.all([
+    SubscriptionTier.find({ _id: { $in: tierIds } }),
+    user
+      ? Artist.find({ _id: { $in: artistIds }, 'members.userId': user.id }).select('_id')
+      : [],
+    user
+      ? UserSubscription.find({ user: user.id, artist: { $in: artistIds } }).populate('tier')
+      : []
+  ]);
+
+  const tiersById = new Map(requiredTiers.map(tier => [tier._id.toString(), tier]));
+  const memberOf = new Set(memberArtists.map(artist => artist._id.toString()));
+  const subscriptionsByArtist = new Map(
+    subscriptions
+      .filter(subscription => subscription.canAccessContent())
+      .map(subscription => [subscription.artist.toString(), subscription])
+  );
+
+  return plain.map(track => {
+    if (!track) return track;
+    if (!track.isExclusive) return { ...track, locked: false };
+
+    const artistId = refId(track.artist).toString();
+    if (memberOf.has(artistId)) return { ...track, locked: false };
+
+    const subscription = subscriptionsByArtist.get(artistId);
+    const requiredTier = track.minimumTierRequired
+      ? tiersById.get(refId(track.minimumTierRequired).toString())
+      : null;
+
+    const locked = !subscription || !tierSatisfies(subscription.tier, requiredTier);
+    return { ...track, locked };
+  });
+};
+
+/**
+ * Check whether a user may edit a track's metadata
+ * Returns the role granting it ('admin', 'distributor' or 'artist'), or null
+ */
+const canManageTrack = async (track, user) => {
+  if (!user) return null;
+  if (user.isAdmin) return 'admin';
+
+  const artistIds = getPrimaryArtistIds(track);
+
+  // Distributors manage the catalog of the artists linked to their account
+  if (user.isDistributor) {
+    const isLinked = await Artist.exists({ _id: { $in: artistIds }, 'distributors.userId': user.id });
+    if (isLinked) return 'distributor';
+  }
+
+  // Members of any primary artist on a collaboration can manage it
+  const isMember = await Artist.exists({ _id: { $in: artistIds }, 'members.userId': user.id });
+  return isMember ? 'artist' : null;
+};
+
+/**
+ * Check whether a user may manage an album (and see it before its release)
+ * Returns the role granting it ('admin', 'distributor' or 'artist'), or null
+ */
+const canManageAlbum = async (album, user) => {
+  if (!user) return null;
+  if (user.isAdmin) return 'admin';
+
+  const artistId = refId(album.artist);
+
+  if (user.isDistributor) {
+    const isLinked = await Artist.exists({ _id: artistId, 'distributors.userId': user.id });
+    if (isLinked) return 'distributor';
+  }
+
+  const isMember = await Artist.exists({ _id: artistId, 'members.userId': user.id });
+  return isMember ? 'artist' : null;
+};
+
+/**
+ * Check whether a user can see a track
+ * Embargoed and taken down tracks are only visible to the people releasing them
+ */
+const canViewTrack = async (track, user) => (
+  (isReleased(track) && !isTakenDown(track)) || Boolean(await canManageTrack(track, user))
+);
+
+/**
+ * Check whether a user can see an album
+ * Embargoed and taken down albums are only visible to the people releasing them
+ */
+const canViewAlbum = async (album, user) => (
+  (isReleased(album) && !isTakenDown(album)) || Boolean(await canManageAlbum(album, user))
+);
+
+module.exports = {
+  checkTrackAccess,
+  markLockedTracks,
+  canManageTrack,
+  canManageAlbum,
+  canViewTrack,
+  canViewAlbum
+};
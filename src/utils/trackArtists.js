@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const Artist = require('../models/Artist');
+const Track = require('../models/Track');
+
+const ARTIST_ROLES = Track.schema.path('artists').schema.path('role').enumValues;
+const ARTIST_JOINERS = Track.schema.path('artists').schema.path('joiner').enumValues;
+
+/**
+ * Get the ObjectId of a reference that may or may not be populated
+ */
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Validate a submitted artist list and check that every artist exists
+ * Primaries are moved ahead of features; returns { artists } or { error }
+ */
+const normalizeTrackArtists = async (input) => {
+  let entries = input;
+
+  // Multipart forms send the list as a JSON string
+  if (typeof entries === 'string') {
+    try {
+      entries = JSON.parse(entries);
+    } catch (err) {
+      return { error: 'Artists must be a JSON array' };
+    }
+  }
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return { error: 'Artists must be a non-empty array' };
+  }
+
+  const normalized = [];
+  for (const entry of entries) {
+    const artist = entry && entry.artist;
+    const role = (entry && entry.role) || 'primary';
+    const joiner = entry && entry.joiner ? entry.joiner : undefined;
+
+    if (!mongoose.isValidObjectId(artist)) {
+      return { error: `Invalid artist id: ${artist}` };
+    }
+    if (!ARTIST_ROLES.includes(role)) {
+      return { error: `Artist role must be one of: ${ARTIST_ROLES.join(', ')}` };
+    }
+    if (joiner && !ARTIST_JOINERS.includes(joiner)) {
+      return { error: `Joiner must be one of: ${ARTIST_JOINERS.join(' ')}` };
+    }
+    if (normalized.some(existing => existing.artist.toString() === artist.toString())) {
+      return { error: 'An artist can only be listed once per track' };
+    }
+
+    normalized.push({ artist, role, joiner });
+  }
+
+  if (!normalized.some(entry => entry.role === 'primary')) {
+    return { error: 'A track needs at least one primary artist' };
+  }
+
+  const found = await Artist.countDocuments({ _id: { $in: normalized.map(entry => entry.artist) } });
+  if (found !== normalized.length) {
+    return { error: 'One or more artists were not found' };
+  }
+
+  return {
+    artists: [
+      ...normalized.filter(entry => entry.role === 'primary'),
+      ...normalized.filter(entry => entry.role === 'featured')
+    ]
+  };
+};
+
+/**
+ * Primary artist ids of a track, falling back to the single artist field
+ */
+const getPrimaryArtistIds = (track) => {
+  const primaries = (track.artists || [])
+    .filter(entry => entry.role === 'primary')
+    .map(entry => refId(entry.artist));
+
+  return primaries.length > 0 ? primaries : [refId(track.artist)];
+};
+
+/**
+ * Build the display string for a track's artists, e.g. "A & B feat. C"
+ * Needs artists.artist (or, for tracks without credits, artist) populated with names; returns null otherwise
+ */
+const formatArtistNames = (track) => {
+  const entries = (track.artists || []).filter(entry => entry.artist && entry.artist.name);
+  if (entries.length === 0) {
+    // Tracks from before artist credits only have the single artist
+    return (track.artist && track.artist.name) || null;
+  }
+
+  let featuredSeen = false;
+
+  return entries.reduce((display, entry, i) => {
+    const name = entry.artist.name;
+    if (i === 0) return name;
+
+    let joiner = entry.joiner;
+    if (!joiner) {
+      joiner = entry.role === 'featured' && !featuredSeen ? 'feat.' : '&';
+    }
+    if (entry.role === 'featured') featuredSeen = true;
+
+    return joiner === ',' ? `${display}, ${name}` : `${display} ${joiner} ${name}`;
+  }, '');
+};
+
+/**
+ * Add an artistDisplay string to plain track objects
+ */
+const withArtistDisplay = (tracks) => tracks.map(track => track && {
+  ...track,
+  artistDisplay: formatArtistNames(track)
+});
+
+/**
+ * Query for tracks an artist performs on
+ * role limits the match to primary or featured appearances
+ */
+const artistTracksQuery = (artistId, role) => {
+  if (role === 'featured') {
+    return { artists: { $elemMatch: { artist: artistId, role: 'featured' } } };
+  }
+
+  // Tracks saved before multi-artist support only have the artist field
+  const primary = [
+    { artist: artistId },
+    { artists: { $elemMatch: { artist: artistId, role: 'primary' } } }
+  ];
+
+  return role === 'primary'
+    ? { $or: primary }
+    : { $or: [...primary, { 'artists.artist': artistId }] };
+};
+
+module.exports = {
+  ARTIST_ROLES,
+  normalizeTrackArtists,
+  getPrimaryArtistIds,
+  formatArtistNames,
+  withArtistDisplay,
+  artistTracksQuery
+};
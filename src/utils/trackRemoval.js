@@ -0,0 +1,72 @@
+const Track = require('../models/Track');
+const Artist = require('../models/Artist');
+const Album = require('../models/Album');
+const User = require('../models/User');
+const Lyrics = require('../models/Lyrics');
+const Waveform = require('../models/Waveform');
+const AudioFingerprint = require('../models/AudioFingerprint');
+const TrackDuplicate = require('../models/TrackDuplicate');
+const storage = require('./storage');
+const { getStreamKey, getMasterKey } = require('./audioIngest');
+const { getTrackHlsKey } = require('./hlsPackager');
+const { updateAlbumLoudness } = require('./loudness');
+const { revokeLicenses } = require('./downloadLicense');
+const { pullTrackFromPlaylists } = require('./playlistStats');
+
+/**
+ * Remove the audio files owned by a track: streaming file, master and HLS renditions
+ * Cover art may be shared with the album, so it is left to the orphan file reaper
+ */
+const removeTrackFiles = async (track) => {
+  const keys = [];
+  if (track.fileUrl) keys.push(getStreamKey(track));
+  if (track.master && track.master.fileUrl) keys.push(getMasterKey(track));
+
+  await Promise.all(keys.map(key => storage.remove(key).catch(() => {})));
+  await storage.removePrefix(getTrackHlsKey(track._id));
+};
+
+/**
+ * Delete a track and everything that refers to it
+ * Albums, playlists (including Liked Songs), listening history, artist counters,
+ * download licenses and derived data are updated; the play ledger is kept as history
+ */
+const deleteTrack = async (track) => {
+  if (track.album) {
+    await Album.updateOne(
+      { _id: track.album },
+      { $pull: { tracks: track._id }, $inc: { totalDuration: -(track.duration || 0) } }
+    );
+  }
+  // Albums that list the track without it pointing back
+  await Album.updateMany({ tracks: track._id }, { $pull: { tracks: track._id } });
+
+  await pullTrackFromPlaylists(track);
+  await User.updateMany({ 'recentlyPlayed.track': track._id }, { $pull: { recentlyPlayed: { track: track._id } } });
+
+  // Exclusive tracks are counted separately from the public catalog
+  await Artist.findByIdAndUpdate(track.artist, {
+    $inc: track.isExclusive ? { exclusiveTrackCount: -1 } : { trackCount: -1 }
+  });
+
+  await revokeLicenses({ track: track._id }, 'Track removed');
+  await Promise.all([
+    Lyrics.deleteOne({ track: track._id }),
+    Waveform.deleteOne({ track: track._id }),
+    AudioFingerprint.deleteOne({ track: track._id }),
+    TrackDuplicate.deleteMany({ status: 'pending', $or: [{ track: track._id }, { original: track._id }] })
+  ]);
+
+  await Track.deleteOne({ _id: track._id });
+  await removeTrackFiles(track);
+
+  // Album loudness no longer includes this track
+  if (track.album) {
+    await updateAlbumLoudness(track.album);
+  }
+};
+
+module.exports = {
+  removeTrackFiles,
+  deleteTrack
+};
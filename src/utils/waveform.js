@@ -0,0 +1,140 @@
+const Track = require('../models/Track');
+const Waveform = require('../models/Waveform');
+const { runFfmpeg } = require('./ffmpeg');
+const storage = require('./storage');
+const { getSourceKey } = require('./audioIngest');
+const { enqueue } = require('./jobQueue');
+
+// Decode at a low sample rate - plenty for visual peaks
+const DECODE_SAMPLE_RATE = 8000;
+
+// Number of peaks stored per track
+const RESOLUTIONS = [128, 512, 2048];
+const DEFAULT_RESOLUTION = 512;
+
+/**
+ * Decode an audio file to mono 16-bit PCM samples
+ */
+const decodeSamples = async (filePath) => {
+  const { stdout } = await runFfmpeg([
+    '-i', filePath,
+    '-vn',
+    '-ac', '1',
+    '-ar', String(DECODE_SAMPLE_RATE),
+    '-f', 's16le',
+    '-acodec', 'pcm_s16le',
+    'pipe:1'
+  ]);
+
+  // Copy into a fresh buffer so the typed array view is properly aligned
+  const pcm = Buffer.alloc(stdout.length - (stdout.length % 2));
+  stdout.copy(pcm);
+
+  return new Int16Array(pcm.buffer, pcm.byteOffset, pcm.length / 2);
+};
+
+/**
+ * Downsample PCM samples to a fixed number of absolute peaks
+ */
+const computePeaks = (samples, points) => {
+  const peaks = new Array(points).fill(0);
+  if (samples.length === 0) return peaks;
+
+  const bucketSize = samples.length / points;
+
+  for (let i = 0; i < points; i++) {
+    const start = Math.floor(i * bucketSize);
+    const end = Math.max(Math.floor((i + 1) * bucketSize), start + 1);
+    let max = 0;
+
+    for (let j = start; j < end && j < samples.length; j++) {
+      const value = Math.abs(samples[j]);
+      if (value > max) max = value;
+    }
+
+    peaks[i] = Math.round((max / 32768) * 1000) / 1000;
+  }
+
+  return peaks;
+};
+
+/**
+ * Generate and store waveform peaks for a track
+ */
+const generateWaveform = async (trackId) => {
+  const track = await Track.findById(trackId);
+  if (!track) {
+    throw new Error(`Track ${trackId} not found`);
+  }
+
+  let samples;
+  try {
+    samples = await storage.withLocalFile(getSourceKey(track), decodeSamples);
+  } catch (err) {
+    // Remember the failure so requests don't keep decoding the same file
+    await Waveform.updateOne(
+      { track: track._id },
+      { $set: { sourceFile: track.fileUrl, status: 'failed', error: err.message } },
+      { upsert: true }
+    );
+    throw err;
+  }
+
+  const waveform = await Waveform.findOneAndUpdate(
+    { track: track._id },
+    {
+      $set: {
+        sourceFile: track.fileUrl,
+        status: 'ready',
+        duration: Math.round(samples.length / DECODE_SAMPLE_RATE),
+        resolutions: RESOLUTIONS.map(points => ({
+          points,
+          peaks: computePeaks(samples, points)
+        })),
+        generatedAt: new Date()
+      },
+      $unset: { error: 1 }
+    },
+    { upsert: true, new: true }
+  );
+
+  return waveform;
+};
+
+/**
+ * Queue waveform generation for a track without blocking the request
+ * Does nothing when generation for the track is already queued or running
+ */
+const queueWaveformGeneration = (trackId) => (
+  enqueue(`waveform:${trackId}`, () => generateWaveform(trackId))
+);
+
+/**
+ * Mark a track's waveform as pending for its current audio and queue generation
+ */
+const requestWaveform = async (track) => {
+  await Waveform.updateOne(
+    { track: track._id },
+    { $set: { sourceFile: track.fileUrl, status: 'pending' }, $unset: { error: 1 } },
+    { upsert: true }
+  );
+  queueWaveformGeneration(track._id);
+};
+
+/**
+ * Pick the stored resolution closest to the requested number of points
+ */
+const selectResolution = (waveform, requested) => {
+  const target = parseInt(requested) || DEFAULT_RESOLUTION;
+
+  return waveform.resolutions.reduce((best, resolution) => (
+    Math.abs(resolution.points - target) < Math.abs(best.points - target) ? resolution : best
+  ));
+};
+
+module.exports = {
+  generateWaveform,
+  queueWaveformGeneration,
+  requestWaveform,
+  selectResolution
+};
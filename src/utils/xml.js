@@ -0,0 +1,176 @@
+/**
+ * Minimal non-validating XML parser for delivery messages
+ * Produces { name, attributes, children, text } elements; namespace prefixes are dropped
+ */
+
+const ENTITIES = {
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Replace character and predefined entity references
+ */
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[entity] !== undefined ? ENTITIES[entity] : match;
+});
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const ATTRIBUTE = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parse XML text into an element tree
+ * Throws when the document is not well formed
+ */
+const parseXml = (xml) => {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let i = 0;
+
+  const current = () => stack[stack.length - 1];
+  const fail = (message) => {
+    throw new Error(`Invalid XML at offset ${i}: ${message}`);
+  };
+
+  while (i < xml.length) {
+    const lt = xml.indexOf('<', i);
+
+    // Text content up to the next tag
+    const textEnd = lt === -1 ? xml.length : lt;
+    if (textEnd > i) {
+      current().text += decodeEntities(xml.slice(i, textEnd));
+    }
+    if (lt === -1) break;
+    i = lt;
+
+    if (xml.startsWith('<!--', i)) {
+      const end = xml.indexOf('-->', i);
+      if (end === -1) fail('unterminated comment');
+      i = end + 3;
+    } else if (xml.startsWith('<![CDATA[', i)) {
+      const end = xml.indexOf(']]>', i);
+      if (end === -1) fail('unterminated CDATA section');
+      current().text += xml.slice(i + 9, end);
+      i = end + 3;
+    } else if (xml.startsWith('<?', i)) {
+      const end = xml.indexOf('?>', i);
+      if (end === -1) fail('unterminated processing instruction');
+      i = end + 2;
+    } else if (xml.startsWith('<!', i)) {
+      // DOCTYPE and other declarations are skipped (no internal subsets)
+      const end = xml.indexOf('>', i);
+      if (end === -1) fail('unterminated declaration');
+      i = end + 1;
+    } else if (xml[i + 1] === '/') {
+      const end = xml.indexOf('>', i);
+      if (end === -1) fail('unterminated closing tag');
+      const name = localName(xml.slice(i + 2, end).trim());
+      const element = stack.pop();
+      if (!element || element === root || element.name !== name) {
+        fail(`unexpected closing tag </${name}>`);
+      }
+      element.text = element.text.trim();
+      i = end + 1;
+    } else {
+      // Find the end of the tag, skipping over quoted attribute values
+      let end = i + 1;
+      let quote = null;
+      while (end < xml.length && (quote || xml[end] !== '>')) {
+        if (quote && xml[end] === quote) quote = null;
+        else if (!quote && (xml[end] === '"' || xml[end] === '\'')) quote = xml[end];
+        end++;
+      }
+      if (end >= xml.length) fail('unterminated tag');
+
+      const selfClosing = xml[end - 1] === '/';
+      const body = xml.slice(i + 1, selfClosing ? end - 1 : end);
+      const nameMatch = /^[^\s/>]+/.exec(body);
+      if (!nameMatch) fail('missing tag name');
+
+      const attributes = {};
+      for (const match of body.slice(nameMatch[0].length).matchAll(ATTRIBUTE)) {
+        attributes[localName(match[1])] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+      }
+
+      const element = { name: localName(nameMatch[0]), attributes, children: [], text: '' };
+      current().children.push(element);
+      if (!selfClosing) stack.push(element);
+      i = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`unclosed tag <${current().name}>`);
+  }
+
+  const [documentElement] = root.children;
+  if (!documentElement) {
+    throw new Error('Invalid XML: no root element');
+  }
+  return documentElement;
+};
+
+/**
+ * First child element with a given name
+ */
+const child = (element, name) => (element ? element.children.find(c => c.name === name) : undefined);
+
+/**
+ * All child elements with a given name
+ */
+const children = (element, name) => (element ? element.children.filter(c => c.name === name) : []);
+
+/**
+ * Follow a path of child names, e.g. at(el, 'PartyName', 'FullName')
+ */
+const at = (element, ...names) => names.reduce((el, name) => child(el, name), element);
+
+/**
+ * Text of the element at a path of child names ('' when missing)
+ */
+const text = (element, ...names) => {
+  const found = at(element, ...names);
+  return found ? found.text : '';
+};
+
+/**
+ * All descendant elements with a given name, depth first
+ */
+const descendants = (element, name, found = []) => {
+  if (!element) return found;
+  element.children.forEach(c => {
+    if (c.name === name) found.push(c);
+    descendants(c, name, found);
+  });
+  return found;
+};
+
+module.exports = {
+  parseXml,
+  escapeXml,
+  child,
+  children,
+  at,
+  text,
+  descendants
+};